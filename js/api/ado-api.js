@@ -3,6 +3,16 @@
  * Enterprise-grade API integration with authentication, queuing, caching, and error handling
  */
 
+// Browsers load the modules this client builds on with script tags ahead of
+// this file (see index.html); under Node they are required here
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./auth-providers.js'));
+    Object.assign(globalThis, require('./response-fixtures.js'));
+    Object.assign(globalThis, require('./field-mapping.js'));
+    Object.assign(globalThis, require('./environment-classifier.js'));
+    Object.assign(globalThis, require('./area-scope.js'));
+}
+
 // API Configuration Constants
 const API_CONFIG = {
     VERSION: '7.0',
@@ -10,6 +20,15 @@ const API_CONFIG = {
     MAX_RETRIES: 3,
     RATE_LIMIT_DELAY: 1000,
     MAX_CONCURRENT_REQUESTS: 5,
+    THROTTLING: {
+        SLOWDOWN_THRESHOLD: 0.25,   // slow down when less than 25% of the rate limit budget remains
+        MAX_SPACING: 30000,         // never space requests more than 30s apart
+        DEFAULT_RETRY_AFTER: 60,    // seconds, when a 429 carries no Retry-After
+        RECOVERY_RESPONSES: 10      // healthy responses before concurrency is raised again
+    },
+    WIQL_MAX_RESULTS: 20000,
+    ANALYTICS_VERSION: 'v4.0-preview',
+    CODE_COVERAGE_VERSION: '7.0-preview.1',
     CACHE_DURATIONS: {
         WORK_ITEMS: 5 * 60 * 1000,      // 5 minutes
         TEST_PLANS: 15 * 60 * 1000,     // 15 minutes
@@ -17,7 +36,9 @@ const API_CONFIG = {
         BUGS: 5 * 60 * 1000,            // 5 minutes
         ITERATIONS: 30 * 60 * 1000,     // 30 minutes
         TEAM_MEMBERS: 60 * 60 * 1000,   // 1 hour
-        TEST_RESULTS: 5 * 60 * 1000     // 5 minutes
+        TEST_RESULTS: 5 * 60 * 1000,    // 5 minutes
+        BUILDS: 5 * 60 * 1000,          // 5 minutes
+        ANALYTICS: 15 * 60 * 1000       // 15 minutes
     },
     BATCH_SIZE: {
         WORK_ITEMS: 200,
@@ -26,54 +47,216 @@ const API_CONFIG = {
     }
 };
 
-// WIQL Query Templates
-const WIQL_TEMPLATES = {
-    WORK_ITEMS: `
-        SELECT [System.Id], [System.Title], [System.State], [System.AssignedTo],
-               [System.CreatedDate], [System.ChangedDate], [System.WorkItemType],
-               [Microsoft.VSTS.Common.Priority], [Microsoft.VSTS.Common.Severity],
-               [System.AreaPath], [System.IterationPath], [System.Tags]
-        FROM WorkItems
-        WHERE [System.TeamProject] = @project
-    `,
-    BUGS: `
-        SELECT [System.Id], [System.Title], [System.State], [System.AssignedTo],
-               [Microsoft.VSTS.TCM.ReproSteps], [Microsoft.VSTS.Common.Severity],
-               [System.CreatedDate], [System.ChangedDate], [System.AreaPath],
-               [Microsoft.VSTS.Common.Priority], [Microsoft.VSTS.Build.FoundIn],
-               [System.Tags], [System.Description]
-        FROM WorkItems
-        WHERE [System.WorkItemType] = 'Bug' AND [System.TeamProject] = @project
-    `,
-    USER_STORIES: `
-        SELECT [System.Id], [System.Title], [System.State], [System.AssignedTo],
-               [Microsoft.VSTS.Common.StoryPoints], [Microsoft.VSTS.Common.Priority],
-               [System.CreatedDate], [System.ChangedDate], [System.AreaPath],
-               [System.IterationPath], [System.Description], [System.Tags]
-        FROM WorkItems
-        WHERE [System.WorkItemType] IN ('User Story', 'Product Backlog Item', 'Feature')
-               AND [System.TeamProject] = @project
-    `,
-    TASKS: `
-        SELECT [System.Id], [System.Title], [System.State], [System.AssignedTo],
-               [Microsoft.VSTS.Scheduling.RemainingWork], [Microsoft.VSTS.Scheduling.CompletedWork],
-               [Microsoft.VSTS.Scheduling.OriginalEstimate], [System.CreatedDate],
-               [System.ChangedDate], [System.AreaPath], [System.IterationPath]
-        FROM WorkItems
-        WHERE [System.WorkItemType] = 'Task' AND [System.TeamProject] = @project
-    `
+// WIQL field lists for the standard queries
+const WIQL_FIELDS = {
+    WORK_ITEMS: [
+        'System.Id', 'System.Title', 'System.State', 'System.AssignedTo',
+        'System.CreatedDate', 'System.ChangedDate', 'System.WorkItemType',
+        'Microsoft.VSTS.Common.Priority', 'Microsoft.VSTS.Common.Severity',
+        'System.AreaPath', 'System.IterationPath', 'System.Tags'
+    ],
+    BUGS: [
+        'System.Id', 'System.Title', 'System.State', 'System.AssignedTo',
+        'System.CreatedDate', 'System.Tags', 'System.AreaPath',
+        'Microsoft.VSTS.Common.Severity', 'Microsoft.VSTS.Common.Priority'
+    ],
+    ITERATION_ITEMS: [
+        'System.Id', 'System.Title', 'System.State', 'System.WorkItemType',
+        'System.AssignedTo', 'System.CreatedDate', 'System.ChangedDate',
+        'Microsoft.VSTS.Scheduling.StoryPoints', 'Microsoft.VSTS.Common.Priority',
+        'Microsoft.VSTS.Common.Severity', 'System.Tags', 'System.AreaPath'
+    ],
+    ASSIGNEE_ITEMS: [
+        'System.Id', 'System.Title', 'System.State', 'System.WorkItemType',
+        'System.AssignedTo', 'System.CreatedDate', 'System.ChangedDate',
+        'Microsoft.VSTS.Scheduling.StoryPoints', 'Microsoft.VSTS.Common.Priority'
+    ],
+    MEMBER_ACTIVITY: [
+        'System.Id', 'System.Title', 'System.State', 'System.WorkItemType',
+        'System.CreatedDate', 'System.ChangedDate',
+        'Microsoft.VSTS.Scheduling.StoryPoints'
+    ]
+};
+
+// Work item relation types (the `rel` of an entry in workItem.relations)
+const WORK_ITEM_LINK_TYPES = {
+    CHILD: 'System.LinkTypes.Hierarchy-Forward',
+    PARENT: 'System.LinkTypes.Hierarchy-Reverse',
+    TESTED_BY: 'Microsoft.VSTS.Common.TestedBy-Forward',
+    SUCCESSOR: 'System.LinkTypes.Dependency-Forward',
+    PREDECESSOR: 'System.LinkTypes.Dependency-Reverse',
+    RELATED: 'System.LinkTypes.Related'
+};
+
+const WIQL_OPERATORS = [
+    '=', '<>', '>', '<', '>=', '<=',
+    'CONTAINS', 'NOT CONTAINS', 'CONTAINS WORDS', 'NOT CONTAINS WORDS',
+    'UNDER', 'NOT UNDER', 'IN', 'NOT IN', 'EVER', 'IN GROUP', 'NOT IN GROUP'
+];
+
+const WIQL_MACROS = [
+    '@me', '@today', '@project', '@currentiteration', '@startofday',
+    '@startofweek', '@startofmonth', '@startofyear', '@teamareas'
+];
+
+// Analytics (OData) property names for work item fields
+const ODATA_FIELDS = {
+    'System.Id': 'WorkItemId',
+    'System.Title': 'Title',
+    'System.WorkItemType': 'WorkItemType',
+    'System.State': 'State',
+    'System.CreatedDate': 'CreatedDate',
+    'System.ChangedDate': 'ChangedDate',
+    'System.Tags': 'TagNames',
+    'Microsoft.VSTS.Common.Priority': 'Priority',
+    'Microsoft.VSTS.Common.Severity': 'Severity',
+    'Microsoft.VSTS.Scheduling.StoryPoints': 'StoryPoints',
+    'Microsoft.VSTS.Scheduling.OriginalEstimate': 'OriginalEstimate',
+    'Microsoft.VSTS.Scheduling.RemainingWork': 'RemainingWork',
+    'Microsoft.VSTS.Scheduling.CompletedWork': 'CompletedWork'
 };
 
 /**
- * Request Queue Manager for rate limiting and request optimization
+ * Throttling governor shared by every request (window.throttlingGovernor).
+ * Reads the X-RateLimit-* and Retry-After headers Azure DevOps returns and
+ * adapts request spacing and concurrency: it backs off multiplicatively as the
+ * budget runs low or requests get delayed, pauses for Retry-After, and
+ * recovers gradually once responses are healthy again.
  */
-class RequestQueue {
+class ThrottlingGovernor {
     constructor(maxConcurrent = API_CONFIG.MAX_CONCURRENT_REQUESTS) {
+        this.maxConcurrent = maxConcurrent;
+        this.concurrency = maxConcurrent;
+        this.spacing = 0;            // ms between request starts
+        this.nextSlot = 0;
+        this.pausedUntil = 0;
+        this.healthyStreak = 0;
+        this.budget = null;          // last X-RateLimit-* values seen
+        this.stats = {
+            requests: 0,
+            delayedResponses: 0,
+            throttledResponses: 0
+        };
+    }
+
+    /**
+     * Waits until the governor allows another request to start
+     */
+    async acquire() {
+        for (;;) {
+            const wait = Math.max(this.pausedUntil, this.nextSlot) - Date.now();
+            if (wait <= 0) break;
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        this.nextSlot = Date.now() + this.spacing;
+        this.stats.requests++;
+    }
+
+    recordResponse(response) {
+        const header = name => response.headers?.get?.(name) ?? null;
+        const number = name => {
+            const value = parseFloat(header(name));
+            return Number.isFinite(value) ? value : null;
+        };
+
+        const limit = number('X-RateLimit-Limit');
+        if (limit !== null) {
+            const reset = number('X-RateLimit-Reset');
+            this.budget = {
+                resource: header('X-RateLimit-Resource'),
+                limit,
+                remaining: number('X-RateLimit-Remaining'),
+                resetAt: reset !== null ? new Date(reset * 1000).toISOString() : null,
+                updatedAt: new Date().toISOString()
+            };
+        }
+
+        const retryAfter = number('Retry-After');
+        const delay = number('X-RateLimit-Delay') || 0;
+
+        if (response.status === 429 || retryAfter !== null) {
+            if (response.status === 429) this.stats.throttledResponses++;
+            const seconds = retryAfter ?? API_CONFIG.THROTTLING.DEFAULT_RETRY_AFTER;
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + seconds * 1000);
+            this.slowDown(seconds * 1000);
+            console.warn(`[ADO_API] Throttled - pausing requests for ${seconds}s`);
+        } else if (delay > 0 || this.isBudgetLow()) {
+            if (delay > 0) this.stats.delayedResponses++;
+            this.slowDown(delay * 1000);
+        } else {
+            this.speedUp();
+        }
+    }
+
+    isBudgetLow() {
+        if (!this.budget || !this.budget.limit || this.budget.remaining === null) return false;
+        return this.budget.remaining / this.budget.limit < API_CONFIG.THROTTLING.SLOWDOWN_THRESHOLD;
+    }
+
+    slowDown(observedDelay = 0) {
+        this.healthyStreak = 0;
+        this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+        this.spacing = Math.min(
+            API_CONFIG.THROTTLING.MAX_SPACING,
+            Math.max(this.spacing * 2, API_CONFIG.RATE_LIMIT_DELAY, observedDelay)
+        );
+    }
+
+    speedUp() {
+        this.spacing = this.spacing < 50 ? 0 : Math.floor(this.spacing * 0.75);
+
+        this.healthyStreak++;
+        if (this.healthyStreak >= API_CONFIG.THROTTLING.RECOVERY_RESPONSES && this.concurrency < this.maxConcurrent) {
+            this.concurrency++;
+            this.healthyStreak = 0;
+        }
+    }
+
+    getConcurrency() {
+        return this.concurrency;
+    }
+
+    getStatus() {
+        const now = Date.now();
+        let state = 'normal';
+        if (this.pausedUntil > now) {
+            state = 'paused';
+        } else if (this.spacing > 0 || this.concurrency < this.maxConcurrent) {
+            state = 'slowed';
+        }
+
+        return {
+            state,
+            concurrency: this.concurrency,
+            maxConcurrent: this.maxConcurrent,
+            spacingMs: this.spacing,
+            resumesInMs: Math.max(0, this.pausedUntil - now),
+            budget: this.budget,
+            ...this.stats
+        };
+    }
+
+    reset() {
+        this.concurrency = this.maxConcurrent;
+        this.spacing = 0;
+        this.nextSlot = 0;
+        this.pausedUntil = 0;
+        this.healthyStreak = 0;
+    }
+}
+
+const throttlingGovernor = new ThrottlingGovernor();
+
+/**
+ * Request Queue Manager - limits concurrency to what the throttling governor allows
+ */
+class RequestQueue {
+    constructor(maxConcurrent = API_CONFIG.MAX_CONCURRENT_REQUESTS, governor = throttlingGovernor) {
         this.queue = [];
         this.activeRequests = 0;
         this.maxConcurrent = maxConcurrent;
-        this.rateLimitDelay = API_CONFIG.RATE_LIMIT_DELAY;
-        this.lastRequestTime = 0;
+        this.governor = governor;
     }
 
     async enqueue(requestFn) {
@@ -84,7 +267,8 @@ class RequestQueue {
     }
 
     async processQueue() {
-        if (this.activeRequests >= this.maxConcurrent || this.queue.length === 0) {
+        const limit = Math.min(this.maxConcurrent, this.governor.getConcurrency());
+        if (this.activeRequests >= limit || this.queue.length === 0) {
             return;
         }
 
@@ -92,12 +276,6 @@ class RequestQueue {
         this.activeRequests++;
 
         try {
-            const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-            if (timeSinceLastRequest < this.rateLimitDelay) {
-                await new Promise(r => setTimeout(r, this.rateLimitDelay - timeSinceLastRequest));
-            }
-
-            this.lastRequestTime = Date.now();
             const result = await requestFn();
             resolve(result);
         } catch (error) {
@@ -187,49 +365,290 @@ class ADOCache {
     }
 }
 
+/**
+ * Fluent WIQL query builder
+ * Field names are validated and every value is escaped, so user-supplied
+ * names, emails and paths can never break out of their string literal.
+ * With a FieldMapping, default field and work item type names are translated
+ * to the project's own; unmapped fields are dropped from SELECT and ORDER BY.
+ */
+class WIQLBuilder {
+    constructor(fieldMapping = null) {
+        this.fieldMapping = fieldMapping;
+        this.fields = ['System.Id'];
+        this.source = 'WorkItems';
+        this.conditions = [];
+        this.orderings = [];
+        this.asOfDate = null;
+    }
+
+    static macro(name, offset = 0) {
+        const macroName = name.startsWith('@') ? name : `@${name}`;
+        if (!WIQL_MACROS.includes(macroName.toLowerCase())) {
+            throw new Error(`Unsupported WIQL macro: ${name}`);
+        }
+        if (!Number.isInteger(offset)) {
+            throw new Error(`WIQL macro offset must be an integer: ${offset}`);
+        }
+
+        const suffix = offset === 0 ? '' : ` ${offset > 0 ? '+' : '-'} ${Math.abs(offset)}`;
+        return { wiqlMacro: `${macroName}${suffix}` };
+    }
+
+    static escapeString(value) {
+        return String(value).replace(/'/g, "''");
+    }
+
+    static formatField(field) {
+        if (!/^[A-Za-z][\w.]*$/.test(field)) {
+            throw new Error(`Invalid WIQL field reference: ${field}`);
+        }
+        return `[${field}]`;
+    }
+
+    static formatValue(value) {
+        if (value && typeof value === 'object' && value.wiqlMacro) {
+            return value.wiqlMacro;
+        }
+        if (value instanceof Date) {
+            return `'${value.toISOString()}'`;
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return String(value);
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+        if (value === null || value === undefined) {
+            throw new Error('WIQL values cannot be null or undefined');
+        }
+        return `'${WIQLBuilder.escapeString(value)}'`;
+    }
+
+    select(...fields) {
+        this.fields = fields.flat();
+        return this;
+    }
+
+    from(source) {
+        if (!['WorkItems', 'WorkItemLinks'].includes(source)) {
+            throw new Error(`Invalid WIQL source: ${source}`);
+        }
+        this.source = source;
+        return this;
+    }
+
+    where(field, operator, value) {
+        const op = operator.toUpperCase();
+        if (!WIQL_OPERATORS.includes(op)) {
+            throw new Error(`Unsupported WIQL operator: ${operator}`);
+        }
+        if (op === 'IN' || op === 'NOT IN') {
+            return op === 'IN' ? this.whereIn(field, value) : this.whereNotIn(field, value);
+        }
+
+        this.conditions.push(`${WIQLBuilder.formatField(this.requireField(field))} ${op} ${WIQLBuilder.formatValue(this.mapValue(field, value))}`);
+        return this;
+    }
+
+    // Empty lists are ignored rather than producing an invalid "IN ()" clause
+    whereIn(field, values) {
+        return this.addListCondition(field, 'IN', values);
+    }
+
+    whereNotIn(field, values) {
+        return this.addListCondition(field, 'NOT IN', values);
+    }
+
+    under(field, path) {
+        return this.where(field, 'UNDER', path);
+    }
+
+    contains(field, value) {
+        return this.where(field, 'CONTAINS', value);
+    }
+
+    /**
+     * Group conditions with OR, e.g. anyOf(q => q.under('System.AreaPath', a).under('System.AreaPath', b))
+     */
+    anyOf(buildGroup) {
+        const group = new WIQLBuilder(this.fieldMapping);
+        buildGroup(group);
+
+        if (group.conditions.length === 1) {
+            this.conditions.push(group.conditions[0]);
+        } else if (group.conditions.length > 1) {
+            this.conditions.push(`(${group.conditions.join(' OR ')})`);
+        }
+        return this;
+    }
+
+    orderBy(field, direction = 'ASC') {
+        const dir = direction.toUpperCase();
+        if (dir !== 'ASC' && dir !== 'DESC') {
+            throw new Error(`Invalid WIQL sort direction: ${direction}`);
+        }
+        const referenceName = this.mapField(field);
+        if (referenceName) {
+            this.orderings.push(`${WIQLBuilder.formatField(referenceName)} ${dir}`);
+        }
+        return this;
+    }
+
+    clearOrderBy() {
+        this.orderings = [];
+        return this;
+    }
+
+    asOf(date) {
+        this.asOfDate = date instanceof Date ? date : new Date(date);
+        if (isNaN(this.asOfDate.getTime())) {
+            throw new Error(`Invalid WIQL ASOF date: ${date}`);
+        }
+        return this;
+    }
+
+    clone() {
+        const copy = new WIQLBuilder(this.fieldMapping);
+        copy.fields = [...this.fields];
+        copy.source = this.source;
+        copy.conditions = [...this.conditions];
+        copy.orderings = [...this.orderings];
+        copy.asOfDate = this.asOfDate;
+        return copy;
+    }
+
+    addListCondition(field, operator, values) {
+        const list = (Array.isArray(values) ? values : [values])
+            .filter(value => value !== null && value !== undefined);
+        if (list.length > 0) {
+            const formatted = list.map(value => WIQLBuilder.formatValue(this.mapValue(field, value))).join(', ');
+            this.conditions.push(`${WIQLBuilder.formatField(this.requireField(field))} ${operator} (${formatted})`);
+        }
+        return this;
+    }
+
+    mapField(field) {
+        return this.fieldMapping ? this.fieldMapping.resolveField(field) : field;
+    }
+
+    requireField(field) {
+        const referenceName = this.mapField(field);
+        if (!referenceName) {
+            throw new Error(`Field ${field} is not mapped for this process`);
+        }
+        return referenceName;
+    }
+
+    mapValue(field, value) {
+        if (this.fieldMapping && field === 'System.WorkItemType' && typeof value === 'string') {
+            return this.fieldMapping.resolveType(value);
+        }
+        return value;
+    }
+
+    build() {
+        const fields = [...new Set(this.fields.map(field => this.mapField(field)).filter(Boolean))];
+        let query = `SELECT ${fields.map(field => WIQLBuilder.formatField(field)).join(', ')} FROM ${this.source}`;
+
+        if (this.conditions.length > 0) {
+            query += ` WHERE ${this.conditions.join(' AND ')}`;
+        }
+        if (this.orderings.length > 0) {
+            query += ` ORDER BY ${this.orderings.join(', ')}`;
+        }
+        if (this.asOfDate) {
+            query += ` ASOF '${this.asOfDate.toISOString()}'`;
+        }
+
+        return query;
+    }
+
+    toString() {
+        return this.build();
+    }
+}
+
 /**
  * Comprehensive ADO API Client
+ * Single client shared by every module (window.adoClient). Combines request
+ * queuing, caching and retries with the work, sprint, test and build endpoints.
  */
 class ADOClient {
-    constructor() {
+    /**
+     * @param {Object} [config] - Optional connection ({ organization, project, personalAccessToken, proxyUrl, id, label }).
+     *   authType 'oauth' (with oauth: { clientId, tenantId, redirectUri }) or 'bearer' (accessToken / getAccessToken)
+     *   replaces the PAT; see createAuthProvider.
+     */
+    constructor(config = null) {
         this.config = null;
         this.baseUrl = null;
         this.headers = null;
+        this.authProvider = null;
         this.requestQueue = new RequestQueue();
         this.cache = new ADOCache();
+        this.fixtures = responseFixtures;
+        this.fieldMapping = fieldMapping;
+        this.environmentClassifier = environmentClassifier;
+        this.areaScope = areaScope;
         this.proxyConfig = null;
+        this.analyticsAvailable = null;
         this.retryDelays = [1000, 2000, 4000];
         
-        this.init();
+        this.init(config);
     }
 
-    init() {
-        this.loadConfiguration();
+    init(config = null) {
+        if (config) {
+            this.setConfiguration(config);
+        } else {
+            this.loadConfiguration();
+        }
         console.log('[ADO_API] Comprehensive ADO API Client initialized');
     }
 
     loadConfiguration() {
-        if (window.configManager) {
-            const config = window.configManager.getConfiguration();
-            if (config && config.adoConnection) {
-                this.setConfiguration(config.adoConnection);
-            }
-            if (config && config.proxy && config.proxy.enabled) {
-                this.setProxyConfiguration(config.proxy);
+        // Under Node there is no page configuration; pass a config to the constructor instead
+        if (typeof window !== 'undefined' && window.configManager) {
+            const connection = window.configManager.getConnectionDetails();
+            const organization = connection?.org || connection?.organization;
+            const hasCredentials = connection?.patToken || (connection?.authType && connection.authType !== 'pat')
+                || this.fixtures.isReplaying();
+            if (organization && connection.project && hasCredentials) {
+                this.setConfiguration({
+                    organization,
+                    project: connection.project,
+                    personalAccessToken: connection.patToken,
+                    proxyUrl: connection.proxyUrl,
+                    authType: connection.authType,
+                    oauth: connection.oauth
+                });
             }
         }
     }
 
     setConfiguration(config) {
+        // A connection without a proxy URL must not keep routing through the previous one
+        this.proxyConfig = config.proxyUrl ? { enabled: true, url: config.proxyUrl } : null;
         this.config = config;
+        // Additional connections may run a different process than the primary one
+        this.fieldMapping = config.fieldMapping ? new FieldMapping(config.fieldMapping) : fieldMapping;
         this.baseUrl = this.buildBaseUrl(config.organization);
-        this.headers = this.createHeaders(config.personalAccessToken);
+        // Replayed fixtures need no credentials
+        const replayOnly = this.fixtures.isReplaying() && !config.authProvider && !config.personalAccessToken
+            && (!config.authType || config.authType === 'pat');
+        this.authProvider = replayOnly ? null : createAuthProvider(config);
+        this.headers = this.createHeaders();
+        this.analyticsAvailable = null;
         this.cache.clear();
         console.log('[ADO_API] Configuration updated for:', config.organization);
     }
 
     setProxyConfiguration(proxyConfig) {
         this.proxyConfig = proxyConfig;
+        if (this.config) {
+            this.baseUrl = this.buildBaseUrl(this.config.organization);
+        }
         console.log('[ADO_API] Proxy configuration set');
     }
 
@@ -238,17 +657,17 @@ class ADOClient {
         
         if (organization.startsWith('http')) {
             const url = new URL(organization);
-            return `${url.protocol}//${url.host}${url.pathname}`;
+            return `${url.protocol}//${url.host}${url.pathname}`.replace(/\/$/, '');
+        } else if (this.proxyConfig?.enabled && this.proxyConfig.url) {
+            return `${this.proxyConfig.url.replace(/\/$/, '')}/${organization}`;
         } else {
             return `https://dev.azure.com/${organization}`;
         }
     }
 
-    createHeaders(token) {
-        if (!token) throw new Error('Personal Access Token is required');
-        
+    createHeaders() {
+        // Authorization is added per request by the auth provider, so refreshed tokens apply immediately
         return {
-            'Authorization': `Basic ${btoa(`:${token}`)}`,
             'Content-Type': 'application/json',
             'Accept': 'application/json',
             'User-Agent': 'ADO-Metrics-Command-Center/1.0'
@@ -256,7 +675,27 @@ class ADOClient {
     }
 
     isConfigured() {
-        return !!(this.config && this.baseUrl && this.headers);
+        if (!(this.config && this.baseUrl && this.headers)) return false;
+        return this.fixtures.isReplaying() || !!this.authProvider?.isConfigured();
+    }
+
+    async refreshAuthentication(issuedBefore = null) {
+        if (!this.authProvider?.canRefresh()) return false;
+        return this.authProvider.refresh({ issuedBefore });
+    }
+
+    toFixturePath(url) {
+        // Fixtures are keyed relative to the organization so they replay under any org name
+        const analyticsBase = this.baseUrl.replace('://dev.azure.com/', '://analytics.dev.azure.com/');
+        const base = [this.baseUrl, analyticsBase].find(prefix => url.startsWith(prefix));
+        return base ? url.slice(base.length) : new URL(url).pathname + new URL(url).search;
+    }
+
+    ownsUrl(url) {
+        // Requests to the organization or its Analytics host
+        if (!this.baseUrl || !url) return false;
+        const analyticsBase = this.baseUrl.replace('://dev.azure.com/', '://analytics.dev.azure.com/');
+        return String(url).startsWith(this.baseUrl) || String(url).startsWith(analyticsBase);
     }
 
     async makeRequest(endpoint, options = {}) {
@@ -282,8 +721,10 @@ class ADOClient {
     async executeRequest(endpoint, options, cacheKey) {
         const url = this.buildUrl(endpoint, options.params);
         let lastError;
+        let authRefreshed = false;
 
         for (let attempt = 0; attempt <= API_CONFIG.MAX_RETRIES; attempt++) {
+            const startedAt = Date.now();
             try {
                 const response = await this.performRequest(url, options);
                 
@@ -295,24 +736,40 @@ class ADOClient {
                 
             } catch (error) {
                 lastError = error;
+
+                // Expired OAuth/bearer tokens get one refresh and an immediate retry
+                if (error.status === 401 && !authRefreshed && await this.refreshAuthentication(startedAt)) {
+                    authRefreshed = true;
+                    continue;
+                }
                 
                 if (this.shouldNotRetry(error) || attempt === API_CONFIG.MAX_RETRIES) {
                     break;
                 }
                 
-                const delay = this.retryDelays[attempt] || 4000;
+                // After a 429 the governor already holds requests back for Retry-After
+                const delay = error.status === 429 ? 0 : this.retryDelays[attempt] || 4000;
                 console.log(`[ADO_API] Retry ${attempt + 1} after ${delay}ms for:`, endpoint);
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
 
-        return this.handleRequestError(lastError, endpoint);
+        return this.handleRequestError(lastError, endpoint, options);
     }
 
     async performRequest(url, options) {
+        const method = options.method || 'GET';
+        if (this.fixtures.isReplaying()) {
+            return this.fixtures.replay(method, this.toFixturePath(url), options.body);
+        }
+
         const requestOptions = {
             method: options.method || 'GET',
-            headers: { ...this.headers, ...options.headers },
+            headers: {
+                ...this.headers,
+                'Authorization': await this.authProvider.getAuthorizationHeader(),
+                ...options.headers
+            },
             timeout: options.timeout || API_CONFIG.TIMEOUT
         };
 
@@ -324,6 +781,8 @@ class ADOClient {
 
         console.log(`[ADO_API] ${requestOptions.method} ${url}`);
 
+        await this.requestQueue.governor.acquire();
+
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), requestOptions.timeout);
         
@@ -334,18 +793,29 @@ class ADOClient {
             });
 
             clearTimeout(timeoutId);
+            this.requestQueue.governor.recordResponse(response);
 
             if (!response.ok) {
                 throw await this.createErrorFromResponse(response);
             }
 
             const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                return await response.json();
-            } else {
-                return await response.text();
+            const data = contentType && contentType.includes('application/json')
+                ? await response.json()
+                : await response.text();
+
+            // Paged APIs such as Test Plans return the next page token in a header
+            const continuationToken = response.headers.get('x-ms-continuationtoken');
+            if (continuationToken && data && typeof data === 'object') {
+                data.continuationToken = continuationToken;
+            }
+
+            if (this.fixtures.isRecording()) {
+                this.fixtures.record(method, this.toFixturePath(url), options.body, data);
             }
 
+            return data;
+
         } catch (error) {
             clearTimeout(timeoutId);
             
@@ -374,18 +844,20 @@ class ADOClient {
         return error;
     }
 
-    handleRequestError(error, endpoint) {
+    handleRequestError(error, endpoint, options = {}) {
         console.error('[ADO_API] Request failed after all retries:', endpoint, error);
         
         errorHandler.handleError(error, {
             context: `ADO API: ${endpoint}`,
-            silent: false
+            silent: !!options.silent
         });
         
         throw error;
     }
 
     shouldNotRetry(error) {
+        // Missing configuration or credentials will not fix themselves
+        if (error.category === 'validation') return true;
         if (!error.status) return false;
         
         if (error.status >= 400 && error.status < 500) {
@@ -396,7 +868,8 @@ class ADOClient {
     }
 
     buildUrl(endpoint, params = {}) {
-        const url = new URL(endpoint, this.baseUrl);
+        // Endpoints are relative to the organization, so append rather than resolve
+        const url = new URL(endpoint.startsWith('http') ? endpoint : `${this.baseUrl}${endpoint}`);
         
         const allParams = {
             'api-version': API_CONFIG.VERSION,
@@ -404,17 +877,19 @@ class ADOClient {
         };
 
         Object.keys(allParams).forEach(key => {
-            if (allParams[key] !== null && allParams[key] !== undefined) {
+            if (allParams[key] !== null && allParams[key] !== undefined && !url.searchParams.has(key)) {
                 url.searchParams.append(key, String(allParams[key]));
             }
         });
 
+        // URLSearchParams encodes spaces as '+', which OData filters do not decode
+        url.search = url.search.replace(/\+/g, '%20');
         return url.toString();
     }
 
     generateCacheKey(endpoint, options) {
-        const key = `${endpoint}_${JSON.stringify(options.params || {})}_${options.method || 'GET'}`;
-        return btoa(key).replace(/[^a-zA-Z0-9]/g, '');
+        const body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body || '');
+        return `${options.method || 'GET'}_${endpoint}_${JSON.stringify(options.params || {})}_${body}`;
     }
 
     // ===== PUBLIC API METHODS =====
@@ -445,6 +920,27 @@ class ADOClient {
         });
     }
 
+    async getFields() {
+        return this.makeRequest('/_apis/wit/fields', {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEAM_MEMBERS
+        });
+    }
+
+    async getWorkItemTypes() {
+        return this.makeRequest(`/${this.config.project}/_apis/wit/workitemtypes`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEAM_MEMBERS
+        });
+    }
+
+    /**
+     * Validates a field mapping (this client's by default) against the fields
+     * and work item types that exist in the project
+     */
+    async validateFieldMapping(mapping = this.fieldMapping) {
+        const [fields, types] = await Promise.all([this.getFields(), this.getWorkItemTypes()]);
+        return mapping.validate(fields.value || [], types.value || []);
+    }
+
     async fetchWorkItems(options = {}) {
         const {
             types = ['User Story', 'Bug', 'Task', 'Feature'],
@@ -454,10 +950,19 @@ class ADOClient {
             areas = null,
             iterations = null,
             tags = null,
-            customFilters = null
+            customFilters = null,
+            useAnalytics = false
         } = options;
 
-        const wiqlQuery = this.buildWIQLQuery({
+        if (useAnalytics) {
+            const result = await this.withAnalyticsFallback('work items',
+                () => this.fetchWorkItemsFromAnalytics(options),
+                () => null
+            );
+            if (result) return result;
+        }
+
+        const wiqlQuery = this.createWorkItemQuery({
             project: this.config.project,
             types,
             states,
@@ -470,21 +975,20 @@ class ADOClient {
         });
 
         try {
-            const queryResult = await this.executeWIQLQuery(wiqlQuery);
+            const workItemIds = await this.queryWorkItemIds(wiqlQuery, options);
             
-            if (!queryResult.workItems || queryResult.workItems.length === 0) {
+            if (workItemIds.length === 0) {
                 return { workItems: [], count: 0 };
             }
 
-            const workItemIds = queryResult.workItems.map(wi => wi.id);
-            const workItems = await this.fetchWorkItemDetails(workItemIds);
+            const workItems = await this.fetchWorkItemDetails(workItemIds, options);
             
             const processedWorkItems = this.processWorkItems(workItems);
             
             return {
                 workItems: processedWorkItems,
                 count: processedWorkItems.length,
-                query: wiqlQuery
+                query: wiqlQuery.build()
             };
             
         } catch (error) {
@@ -562,14 +1066,13 @@ class ADOClient {
             if (planId && suiteId) {
                 testCases = await this.fetchTestCasesForSuite(planId, suiteId);
             } else {
-                const wiqlQuery = this.buildWIQLQuery({
+                const wiqlQuery = this.createWorkItemQuery({
                     project: this.config.project,
                     types: ['Test Case']
                 });
                 
-                const queryResult = await this.executeWIQLQuery(wiqlQuery);
-                const workItemIds = queryResult.workItems.map(wi => wi.id);
-                testCases = await this.fetchWorkItemDetails(workItemIds);
+                const workItemIds = await this.queryWorkItemIds(wiqlQuery, options);
+                testCases = await this.fetchWorkItemDetails(workItemIds, options);
             }
 
             if (includeResults && testCases.length > 0) {
@@ -601,6 +1104,32 @@ class ADOClient {
         return response.value || [];
     }
 
+    /**
+     * Test points are the planned test case x configuration pairs of a suite,
+     * each carrying its latest outcome and assigned tester
+     */
+    async fetchTestPointsForSuite(planId, suiteId) {
+        const endpoint = `/${this.config.project}/_apis/testplan/Plans/${planId}/Suites/${suiteId}/TestPoint`;
+        const points = [];
+        let continuationToken = null;
+
+        do {
+            const response = await this.makeRequest(endpoint, {
+                params: {
+                    includePointDetails: true,
+                    returnIdentityRef: true,
+                    continuationToken
+                },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.TEST_RESULTS
+            });
+
+            points.push(...(response.value || []));
+            continuationToken = response.continuationToken || null;
+        } while (continuationToken);
+
+        return this.processTestPoints(points);
+    }
+
     async fetchBugs(options = {}) {
         const {
             states = null,
@@ -613,7 +1142,7 @@ class ADOClient {
             environment = null
         } = options;
 
-        const wiqlQuery = this.buildWIQLQuery({
+        const wiqlQuery = this.createWorkItemQuery({
             project: this.config.project,
             types: ['Bug'],
             states,
@@ -622,28 +1151,28 @@ class ADOClient {
             areas,
             iterations,
             customFilters: {
-                severity,
-                priority,
-                environment
+                'Microsoft.VSTS.Common.Severity': severity,
+                'Microsoft.VSTS.Common.Priority': priority
             }
         });
 
         try {
-            const queryResult = await this.executeWIQLQuery(wiqlQuery);
+            const workItemIds = await this.queryWorkItemIds(wiqlQuery, options);
             
-            if (!queryResult.workItems || queryResult.workItems.length === 0) {
+            if (workItemIds.length === 0) {
                 return { bugs: [], count: 0 };
             }
 
-            const workItemIds = queryResult.workItems.map(wi => wi.id);
-            const bugs = await this.fetchWorkItemDetails(workItemIds);
+            const bugs = await this.fetchWorkItemDetails(workItemIds, options);
             
-            const processedBugs = this.processBugs(bugs);
+            // Environment is classified client-side, so it cannot be part of the WIQL
+            const processedBugs = this.processBugs(bugs)
+                .filter(bug => !environment || [].concat(environment).includes(bug.environment));
             
             return {
                 bugs: processedBugs,
                 count: processedBugs.length,
-                query: wiqlQuery
+                query: wiqlQuery.build()
             };
             
         } catch (error) {
@@ -752,147 +1281,1158 @@ class ADOClient {
         }
     }
 
-    // ===== WIQL QUERY BUILDING =====
-
-    buildWIQLQuery(options) {
-        const {
-            project,
-            types = [],
-            states = null,
-            assignedTo = null,
-            dateRange = null,
-            areas = null,
-            iterations = null,
-            tags = null,
-            customFilters = null
-        } = options;
-
-        let query = WIQL_TEMPLATES.WORK_ITEMS;
-        const conditions = [`[System.TeamProject] = '${project}'`];
-
-        if (types.length > 0) {
-            const typeCondition = types.map(type => `'${type}'`).join(', ');
-            conditions.push(`[System.WorkItemType] IN (${typeCondition})`);
-        }
-
-        if (states && states.length > 0) {
-            const stateCondition = states.map(state => `'${state}'`).join(', ');
-            conditions.push(`[System.State] IN (${stateCondition})`);
-        }
-
-        if (assignedTo) {
-            if (Array.isArray(assignedTo)) {
-                const assigneeCondition = assignedTo.map(user => `'${user}'`).join(', ');
-                conditions.push(`[System.AssignedTo] IN (${assigneeCondition})`);
-            } else {
-                conditions.push(`[System.AssignedTo] = '${assignedTo}'`);
-            }
+    async fetchTestRuns(options = {}) {
+        const { top = 100, buildUri = null, automated = null, includeRunDetails = false } = options;
+        const params = { '$top': top };
+        if (buildUri) {
+            params.buildUri = buildUri;
         }
-
-        if (dateRange) {
-            if (dateRange.start) {
-                conditions.push(`[System.CreatedDate] >= '${dateRange.start}'`);
-            }
-            if (dateRange.end) {
-                conditions.push(`[System.CreatedDate] <= '${dateRange.end}'`);
-            }
+        if (automated !== null) {
+            params.automated = automated;
         }
-
-        if (areas && areas.length > 0) {
-            const areaCondition = areas.map(area => `[System.AreaPath] UNDER '${area}'`).join(' OR ');
-            conditions.push(`(${areaCondition})`);
+        // Build and commit references are only returned with run details
+        if (includeRunDetails) {
+            params.includeRunDetails = true;
         }
 
-        if (iterations && iterations.length > 0) {
-            const iterationCondition = iterations.map(iter => `[System.IterationPath] UNDER '${iter}'`).join(' OR ');
-            conditions.push(`(${iterationCondition})`);
-        }
+        const response = await this.makeRequest(`/${this.config.project}/_apis/test/runs`, {
+            params,
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEST_RESULTS
+        });
 
-        if (tags && tags.length > 0) {
-            const tagCondition = tags.map(tag => `[System.Tags] CONTAINS '${tag}'`).join(' OR ');
-            conditions.push(`(${tagCondition})`);
-        }
+        return response.value || [];
+    }
 
-        if (customFilters) {
-            Object.entries(customFilters).forEach(([field, value]) => {
-                if (value !== null && value !== undefined) {
-                    if (Array.isArray(value)) {
-                        const valueCondition = value.map(v => `'${v}'`).join(', ');
-                        conditions.push(`[${field}] IN (${valueCondition})`);
-                    } else {
-                        conditions.push(`[${field}] = '${value}'`);
-                    }
-                }
+    async fetchTestRunResults(runId, options = {}) {
+        const { outcomes = null } = options;
+        const pageSize = API_CONFIG.BATCH_SIZE.TEST_RESULTS;
+        const results = [];
+
+        // Results are paged; large nightly runs span several pages
+        for (let skip = 0; ; skip += pageSize) {
+            const response = await this.makeRequest(`/${this.config.project}/_apis/test/runs/${runId}/results`, {
+                params: {
+                    '$top': pageSize,
+                    '$skip': skip,
+                    outcomes: outcomes ? [].concat(outcomes).join(',') : null
+                },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.TEST_RESULTS
             });
-        }
 
-        if (conditions.length > 1) {
-            query = query.replace('WHERE [System.TeamProject] = @project', 
-                                  `WHERE ${conditions.join(' AND ')}`);
+            const page = response.value || [];
+            results.push(...page);
+            if (page.length < pageSize) break;
         }
 
-        query += ' ORDER BY [System.Id] DESC';
-
-        return query;
+        return results;
     }
 
-    async executeWIQLQuery(query) {
-        const endpoint = `/${this.config.project}/_apis/wit/wiql`;
-        
-        return this.makeRequest(endpoint, {
-            method: 'POST',
-            body: { query },
-            cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS
+    // ===== PROJECT, SPRINT & BUILD ENDPOINTS =====
+    // These return the raw ADO response shape ({ value: [...] }) used by the selectors and dashboards
+
+    async getProjects() {
+        return this.makeRequest('/_apis/projects', {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEAM_MEMBERS
         });
     }
 
-    async fetchWorkItemDetails(workItemIds) {
-        if (!workItemIds || workItemIds.length === 0) {
-            return [];
-        }
-
-        const batches = [];
-        for (let i = 0; i < workItemIds.length; i += API_CONFIG.BATCH_SIZE.WORK_ITEMS) {
-            batches.push(workItemIds.slice(i, i + API_CONFIG.BATCH_SIZE.WORK_ITEMS));
-        }
+    async getTeams() {
+        return this.makeRequest(`/_apis/projects/${encodeURIComponent(this.config.project)}/teams`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEAM_MEMBERS
+        });
+    }
 
-        const batchResults = await Promise.all(
-            batches.map(batch => this.fetchWorkItemBatch(batch))
-        );
+    /**
+     * Area classification tree. Node paths are converted from the
+     * classification form (\Project\Area\Web) to work item form (Project\Web).
+     */
+    async getAreaTree(depth = 10) {
+        const root = await this.makeRequest(`/${this.config.project}/_apis/wit/classificationnodes/areas`, {
+            params: { '$depth': depth },
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
+        });
 
-        return batchResults.flat();
+        return this.processClassificationNode(root, null);
     }
 
-    async fetchWorkItemBatch(ids) {
-        const endpoint = '/_apis/wit/workitems';
-        const params = {
-            ids: ids.join(','),
-            '$expand': 'all'
-        };
+    async getAreaPaths(depth = 10) {
+        const flatten = node => [node, ...node.children.flatMap(flatten)];
+        return flatten(await this.getAreaTree(depth)).map(({ children, ...node }) => node);
+    }
 
-        const response = await this.makeRequest(endpoint, {
-            params,
-            cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS
+    async getIterationTree(depth = 10) {
+        const root = await this.makeRequest(`/${this.config.project}/_apis/wit/classificationnodes/iterations`, {
+            params: { '$depth': depth },
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
         });
 
-        return response.value || [];
+        return this.processClassificationNode(root, null);
     }
 
-    // ===== DATA PROCESSING =====
+    /**
+     * Start and finish dates of every iteration in the project, keyed by
+     * lower-cased iteration path. Unlike getIterations this is not limited
+     * to one team's sprints, so linked items of other teams can be dated.
+     */
+    async getIterationSchedule(depth = 10) {
+        const flatten = node => [node, ...node.children.flatMap(flatten)];
+        const nodes = flatten(await this.getIterationTree(depth));
+
+        return new Map(nodes.map(node => [node.path.toLowerCase(), {
+            path: node.path,
+            startDate: node.attributes.startDate || null,
+            finishDate: node.attributes.finishDate || null
+        }]));
+    }
 
-    processWorkItems(workItems) {
-        return workItems.map(item => this.normalizeWorkItem(item));
+    async getTeamMembers(teamId) {
+        return this.makeRequest(`/_apis/projects/${encodeURIComponent(this.config.project)}/teams/${teamId}/members`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.TEAM_MEMBERS
+        });
     }
 
-    processBugs(bugs) {
-        return bugs.map(bug => ({
-            ...this.normalizeWorkItem(bug),
-            severity: bug.fields['Microsoft.VSTS.Common.Severity'],
-            priority: bug.fields['Microsoft.VSTS.Common.Priority'],
-            reproSteps: bug.fields['Microsoft.VSTS.TCM.ReproSteps'],
-            foundInBuild: bug.fields['Microsoft.VSTS.Build.FoundIn'],
-            environment: this.classifyEnvironment(bug)
-        }));
+    async getBoards(teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        return this.makeRequest(`/${this.config.project}${teamSegment}/_apis/work/boards`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
+        });
+    }
+
+    async getIterations(teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        return this.makeRequest(`/${this.config.project}${teamSegment}/_apis/work/teamsettings/iterations`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
+        });
+    }
+
+    async getWorkItemsByQuery(wiql) {
+        return this.executeWIQLQuery(wiql);
+    }
+
+    async getWorkItems(ids) {
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return { value: [] };
+        }
+
+        return { value: await this.fetchWorkItemDetails(ids) };
+    }
+
+    async getSprintWorkItems(iterationId, teamName = 'default') {
+        try {
+            const iterationWorkItems = await this.makeRequest(
+                `/${this.config.project}/${teamName}/_apis/work/teamsettings/iterations/${iterationId}/workitems`,
+                { cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS }
+            );
+            
+            if (iterationWorkItems.workItemRelations && iterationWorkItems.workItemRelations.length > 0) {
+                const workItemIds = iterationWorkItems.workItemRelations.map(wi => wi.target.id);
+                const workItems = await this.getWorkItems(workItemIds);
+
+                // Teams sharing an iteration are told apart by area path
+                return {
+                    ...workItems,
+                    value: (workItems.value || []).filter(wi =>
+                        this.areaScope.matches(wi.fields?.['System.AreaPath'], this.config.project))
+                };
+            }
+            
+            return { value: [] };
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get sprint work items:', error);
+            return { value: [] };
+        }
+    }
+
+    async getSprintCapacity(iterationId, teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        try {
+            return await this.makeRequest(
+                `/${this.config.project}${teamSegment}/_apis/work/teamsettings/iterations/${iterationId}/capacities`,
+                { cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS }
+            );
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get sprint capacity:', error);
+            return { value: [] };
+        }
+    }
+
+    async getTeamDaysOff(iterationId, teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        try {
+            return await this.makeRequest(
+                `/${this.config.project}${teamSegment}/_apis/work/teamsettings/iterations/${iterationId}/teamdaysoff`,
+                { cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS }
+            );
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get team days off:', error);
+            return { daysOff: [] };
+        }
+    }
+
+    async getTeamSettings(teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        try {
+            return await this.makeRequest(`/${this.config.project}${teamSegment}/_apis/work/teamsettings`, {
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get team settings:', error);
+            return { workingDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] };
+        }
+    }
+
+    async getIteration(iterationId, teamName = null) {
+        const teamSegment = teamName ? `/${encodeURIComponent(teamName)}` : '';
+        return this.makeRequest(`/${this.config.project}${teamSegment}/_apis/work/teamsettings/iterations/${iterationId}`, {
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.ITERATIONS
+        });
+    }
+
+    /**
+     * Capacity for a sprint: per-member capacity by activity, individual and team
+     * days off, and the team's available hours for each day of the iteration.
+     * @param {Object|string} iteration - Iteration with attributes, or its id
+     */
+    async fetchSprintCapacity(iteration, teamName = null) {
+        const iterationId = typeof iteration === 'object' ? iteration.id : iteration;
+        const iterationDetails = typeof iteration === 'object' && iteration.attributes?.startDate
+            ? iteration
+            : await this.getIteration(iterationId, teamName);
+
+        const [capacities, teamDaysOff, teamSettings] = await Promise.all([
+            this.getSprintCapacity(iterationId, teamName),
+            this.getTeamDaysOff(iterationId, teamName),
+            this.getTeamSettings(teamName)
+        ]);
+
+        return this.processSprintCapacity(iterationDetails, capacities, teamDaysOff, teamSettings);
+    }
+
+    async getWorkItemRevisions(workItemId) {
+        try {
+            // The revisions endpoint returns at most 200 revisions per call
+            const pageSize = 200;
+            const revisions = [];
+            let page;
+
+            do {
+                page = await this.makeRequest(`/_apis/wit/workitems/${workItemId}/revisions`, {
+                    params: { '$top': pageSize, '$skip': revisions.length },
+                    cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS
+                });
+                revisions.push(...(page.value || []));
+            } while ((page.value || []).length === pageSize);
+
+            return { count: revisions.length, value: revisions };
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get revisions for work item ${workItemId}:`, error);
+            return { value: [] };
+        }
+    }
+
+    async getTestCases(planId) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/test/plans/${planId}/testcases`, {
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.TEST_CASES
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get test cases:', error);
+            return { value: [] };
+        }
+    }
+
+    async getTestRuns(buildId) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/test/runs`, {
+                params: { buildUri: buildId },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.TEST_RESULTS
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get test runs:', error);
+            return { value: [] };
+        }
+    }
+
+    async getWorkItemsByIteration(iterationPath, workItemTypes = ['User Story', 'Bug', 'Task']) {
+        const wiqlQuery = this.createWIQLBuilder()
+            .select(WIQL_FIELDS.ITERATION_ITEMS)
+            .where('System.TeamProject', '=', this.config.project)
+            .where('System.IterationPath', '=', iterationPath)
+            .whereIn('System.WorkItemType', workItemTypes)
+            .orderBy('System.ChangedDate', 'DESC');
+        
+        return this.getWorkItemsForQuery(wiqlQuery, 'Failed to get work items by iteration');
+    }
+
+    async getWorkItemsByAssignee(assignedTo, workItemTypes = ['User Story', 'Bug', 'Task']) {
+        const wiqlQuery = this.createWIQLBuilder()
+            .select(WIQL_FIELDS.ASSIGNEE_ITEMS)
+            .where('System.TeamProject', '=', this.config.project)
+            .where('System.AssignedTo', '=', assignedTo)
+            .whereIn('System.WorkItemType', workItemTypes)
+            .where('System.State', '<>', 'Removed')
+            .orderBy('System.ChangedDate', 'DESC');
+        
+        return this.getWorkItemsForQuery(wiqlQuery, 'Failed to get work items by assignee');
+    }
+
+    async getBugsByEnvironment() {
+        const wiqlQuery = this.createWIQLBuilder()
+            .select(WIQL_FIELDS.BUGS)
+            .where('System.TeamProject', '=', this.config.project)
+            .where('System.WorkItemType', '=', 'Bug')
+            .where('System.State', '<>', 'Removed')
+            .orderBy('Microsoft.VSTS.Common.Severity', 'ASC')
+            .orderBy('System.CreatedDate', 'DESC');
+        
+        return this.getWorkItemsForQuery(wiqlQuery, 'Failed to get bugs by environment');
+    }
+
+    async getTeamMemberActivity(memberEmail, days = 30) {
+        const wiqlQuery = this.createWIQLBuilder()
+            .select(WIQL_FIELDS.MEMBER_ACTIVITY)
+            .where('System.TeamProject', '=', this.config.project)
+            .anyOf(group => group
+                .where('System.AssignedTo', '=', memberEmail)
+                .where('System.CreatedBy', '=', memberEmail))
+            .where('System.ChangedDate', '>=', WIQLBuilder.macro('@Today', -days))
+            .orderBy('System.ChangedDate', 'DESC');
+        
+        return this.getWorkItemsForQuery(wiqlQuery, 'Failed to get team member activity');
+    }
+
+    async getWorkItemsForQuery(wiqlQuery, failureMessage) {
+        try {
+            const ids = await this.queryWorkItemIds(wiqlQuery);
+            return await this.getWorkItems(ids);
+        } catch (error) {
+            console.error(`[ADO_API] ${failureMessage}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Epics and Features of the project with their child trees. Children are
+     * followed through hierarchy links level by level, so stories, bugs and
+     * tasks outside the selected areas still count toward their parent.
+     */
+    async getWorkItemHierarchy(rootTypes = ['Epic', 'Feature'], maxDepth = 5) {
+        const wiqlQuery = this.createWIQLBuilder()
+            .select('System.Id')
+            .where('System.TeamProject', '=', this.config.project)
+            .whereIn('System.WorkItemType', rootTypes)
+            .where('System.State', '<>', 'Removed')
+            .orderBy('System.Id', 'ASC');
+
+        const roots = await this.getWorkItemsForQuery(wiqlQuery, 'Failed to get hierarchy roots');
+        return this.buildWorkItemTree(roots.value || [], maxDepth);
+    }
+
+    async getWorkItemTree(rootIds, maxDepth = 5) {
+        return this.buildWorkItemTree(await this.fetchWorkItemDetails(rootIds), maxDepth);
+    }
+
+    async buildWorkItemTree(rootItems, maxDepth) {
+        const itemsById = new Map(rootItems.map(item => [item.id, item]));
+        let level = rootItems;
+
+        for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+            const childIds = [...new Set(level.flatMap(item => this.getLinkedIds(item, WORK_ITEM_LINK_TYPES.CHILD)))]
+                .filter(id => !itemsById.has(id));
+            level = await this.fetchWorkItemDetails(childIds);
+            level.forEach(item => itemsById.set(item.id, item));
+        }
+
+        // Ancestors are tracked so a corrupted link cycle cannot recurse forever
+        const toNode = (item, ancestors) => ({
+            ...this.normalizeWorkItem(item),
+            parentId: this.getLinkedIds(item, WORK_ITEM_LINK_TYPES.PARENT)[0] || null,
+            testCaseIds: this.getLinkedIds(item, WORK_ITEM_LINK_TYPES.TESTED_BY),
+            children: this.getLinkedIds(item, WORK_ITEM_LINK_TYPES.CHILD)
+                .filter(id => itemsById.has(id) && !ancestors.has(id))
+                .map(id => toNode(itemsById.get(id), new Set([...ancestors, id])))
+        });
+
+        // Features under an Epic in the result appear only inside that Epic
+        const roots = rootItems
+            .filter(item => !itemsById.has(this.getLinkedIds(item, WORK_ITEM_LINK_TYPES.PARENT)[0]))
+            .map(item => toNode(item, new Set([item.id])));
+
+        return { roots, count: itemsById.size };
+    }
+
+    getLinkedIds(item, linkType) {
+        return (item.relations || [])
+            .filter(relation => relation.rel === linkType)
+            .map(relation => Number(relation.url.split('/').pop()))
+            .filter(id => !Number.isNaN(id));
+    }
+
+    async getRepositories() {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/git/repositories`, {
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get repositories:', error);
+            return { value: [] };
+        }
+    }
+
+    async getPullRequests(repositoryId, options = {}) {
+        const { status = 'all', top = 500, skip = 0 } = options;
+
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/git/repositories/${repositoryId}/pullrequests`, {
+                params: {
+                    'searchCriteria.status': status,
+                    '$top': top,
+                    '$skip': skip
+                },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get pull requests for repository ${repositoryId}:`, error);
+            return { value: [] };
+        }
+    }
+
+    async getPullRequestThreads(repositoryId, pullRequestId) {
+        return this.getPullRequestResource(repositoryId, pullRequestId, 'threads');
+    }
+
+    async getPullRequestIterations(repositoryId, pullRequestId) {
+        return this.getPullRequestResource(repositoryId, pullRequestId, 'iterations');
+    }
+
+    async getPullRequestIterationChanges(repositoryId, pullRequestId, iterationId) {
+        try {
+            return await this.makeRequest(
+                `/${this.config.project}/_apis/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/iterations/${iterationId}/changes`,
+                { params: { '$top': 2000 }, cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS }
+            );
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get changes for pull request ${pullRequestId}:`, error);
+            return { changeEntries: [] };
+        }
+    }
+
+    async getPullRequestWorkItems(repositoryId, pullRequestId) {
+        return this.getPullRequestResource(repositoryId, pullRequestId, 'workitems');
+    }
+
+    async getPullRequestCommits(repositoryId, pullRequestId) {
+        return this.getPullRequestResource(repositoryId, pullRequestId, 'commits');
+    }
+
+    async getPullRequestResource(repositoryId, pullRequestId, resource) {
+        try {
+            return await this.makeRequest(
+                `/${this.config.project}/_apis/git/repositories/${repositoryId}/pullrequests/${pullRequestId}/${resource}`,
+                { cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS }
+            );
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get ${resource} for pull request ${pullRequestId}:`, error);
+            return { value: [] };
+        }
+    }
+
+    async getBuildDefinitions() {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/build/definitions`, {
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get build definitions:', error);
+            return { value: [] };
+        }
+    }
+
+    async getRecentBuilds(definitionId, count = 10) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/build/builds`, {
+                params: {
+                    definitions: definitionId,
+                    '$top': count,
+                    statusFilter: 'completed'
+                },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get recent builds:', error);
+            return { value: [] };
+        }
+    }
+
+    async getBuilds(options = {}) {
+        const { minTime = null, definitions = null, top = 200 } = options;
+        const builds = [];
+        let continuationToken = null;
+
+        // top is the page size; every completed build since minTime is returned
+        try {
+            do {
+                const response = await this.makeRequest(`/${this.config.project}/_apis/build/builds`, {
+                    params: {
+                        minTime,
+                        definitions: definitions ? [].concat(definitions).join(',') : null,
+                        '$top': top,
+                        statusFilter: 'completed',
+                        queryOrder: 'finishTimeDescending',
+                        continuationToken
+                    },
+                    cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+                });
+
+                builds.push(...(response.value || []));
+                continuationToken = response.continuationToken || null;
+            } while (continuationToken);
+
+            return { count: builds.length, value: builds };
+        } catch (error) {
+            console.warn('[ADO_API] Failed to get builds:', error);
+            return { value: builds };
+        }
+    }
+
+    async getBuildTimeline(buildId) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/build/builds/${buildId}/timeline`, {
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get timeline for build ${buildId}:`, error);
+            return { records: [] };
+        }
+    }
+
+    async getBuildChanges(buildId, count = 100) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/build/builds/${buildId}/changes`, {
+                params: { '$top': count },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get changes for build ${buildId}:`, error);
+            return { value: [] };
+        }
+    }
+
+    /**
+     * Line, branch and block totals for a build, as shown on its Code Coverage tab
+     */
+    async getCodeCoverageSummary(buildId) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/test/codecoverage`, {
+                params: { buildId, 'api-version': API_CONFIG.CODE_COVERAGE_VERSION },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get code coverage summary for build ${buildId}:`, error);
+            return { coverageData: [] };
+        }
+    }
+
+    /**
+     * Per-module coverage statistics for a build. Flags: 1 = modules, 2 = functions, 4 = blocks
+     */
+    async getBuildCodeCoverage(buildId, flags = 1) {
+        try {
+            return await this.makeRequest(`/${this.config.project}/_apis/test/codecoverage`, {
+                params: { buildId, flags, 'api-version': API_CONFIG.CODE_COVERAGE_VERSION },
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.BUILDS
+            });
+        } catch (error) {
+            console.warn(`[ADO_API] Failed to get module coverage for build ${buildId}:`, error);
+            return { value: [] };
+        }
+    }
+
+    // ===== ANALYTICS (ODATA) ENDPOINTS =====
+
+    buildAnalyticsUrl(entitySet) {
+        // Analytics lives on its own host for Azure DevOps Services; servers and proxies use the same base
+        const analyticsBase = this.baseUrl.replace('://dev.azure.com/', '://analytics.dev.azure.com/');
+        return `${analyticsBase}/${this.config.project}/_odata/${API_CONFIG.ANALYTICS_VERSION}/${entitySet}`;
+    }
+
+    async isAnalyticsAvailable() {
+        if (this.analyticsAvailable !== null) {
+            return this.analyticsAvailable;
+        }
+
+        try {
+            await this.makeRequest(this.buildAnalyticsUrl('WorkItems'), {
+                params: { '$top': 1, '$select': 'WorkItemId', 'api-version': null },
+                useCache: false,
+                silent: true
+            });
+            this.analyticsAvailable = true;
+        } catch (error) {
+            console.warn('[ADO_API] Analytics not available, using REST endpoints:', this.getErrorMessage(error));
+            this.analyticsAvailable = false;
+        }
+
+        return this.analyticsAvailable;
+    }
+
+    async withAnalyticsFallback(label, analyticsQuery, restQuery) {
+        if (await this.isAnalyticsAvailable()) {
+            try {
+                return await analyticsQuery();
+            } catch (error) {
+                console.warn(`[ADO_API] Analytics ${label} query failed, falling back to REST:`, this.getErrorMessage(error));
+            }
+        }
+
+        return restQuery();
+    }
+
+    /**
+     * Run an OData query against an Analytics entity set, following
+     * @odata.nextLink until every page has been read.
+     * @param {string} entitySet - e.g. 'WorkItems', 'WorkItemSnapshot', 'TestResultsDaily'
+     * @param {Object} query - OData options without the '$' prefix ({ select, filter, apply, expand, orderby, top })
+     */
+    async queryAnalytics(entitySet, query = {}) {
+        let params = { 'api-version': null };
+        Object.entries(query).forEach(([option, value]) => {
+            if (value) params[`$${option}`] = value;
+        });
+
+        const rows = [];
+        let endpoint = this.buildAnalyticsUrl(entitySet);
+
+        while (endpoint) {
+            const page = await this.makeRequest(endpoint, {
+                params,
+                cacheTTL: API_CONFIG.CACHE_DURATIONS.ANALYTICS,
+                silent: true
+            });
+            rows.push(...(page.value || []));
+
+            // The next link already carries the query options
+            endpoint = page['@odata.nextLink'] || null;
+            params = { 'api-version': null };
+        }
+
+        return rows;
+    }
+
+    async fetchWorkItemsFromAnalytics(options = {}) {
+        const {
+            types = ['User Story', 'Bug', 'Task', 'Feature'],
+            states = null,
+            assignedTo = null,
+            dateRange = null,
+            areas = null,
+            iterations = null,
+            tags = null,
+            customFilters = null
+        } = options;
+
+        const filters = [];
+        const inList = (property, values) => `${property} in (${values.map(v => this.formatODataString(v)).join(', ')})`;
+        const anyOf = conditions => {
+            if (conditions.length > 0) filters.push(`(${conditions.join(' or ')})`);
+        };
+
+        const odataFields = this.getODataFields();
+
+        if (types.length > 0) filters.push(inList('WorkItemType', types.map(type => this.fieldMapping.resolveType(type))));
+        if (states && states.length > 0) filters.push(inList('State', states));
+        if (assignedTo && assignedTo.length > 0) {
+            anyOf([inList('AssignedTo/UserName', assignedTo), inList('AssignedTo/UserEmail', assignedTo)]);
+        }
+        if (dateRange?.start) filters.push(`CreatedDate ge ${this.formatODataDate(dateRange.start)}`);
+        if (dateRange?.end) filters.push(`CreatedDate le ${this.formatODataDate(dateRange.end)}`);
+
+        anyOf((areas || []).map(area => `startswith(Area/AreaPath, ${this.formatODataString(area)})`));
+        const areaFilter = this.getAreaODataFilter();
+        if (areaFilter) filters.push(areaFilter);
+        anyOf((iterations || []).map(iter => `startswith(Iteration/IterationPath, ${this.formatODataString(iter)})`));
+        anyOf((tags || []).map(tag => `Tags/any(t:t/TagName eq ${this.formatODataString(tag)})`));
+
+        if (customFilters) {
+            Object.entries(customFilters).forEach(([field, value]) => {
+                if (value === null || value === undefined) return;
+                const property = odataFields[this.fieldMapping.resolveField(field)];
+                if (!property) {
+                    throw new Error(`Field ${field} has no Analytics mapping`);
+                }
+                filters.push(inList(property, Array.isArray(value) ? value : [value]));
+            });
+        }
+
+        const rows = await this.queryAnalytics('WorkItems', {
+            select: Object.values(odataFields).join(','),
+            filter: filters.join(' and '),
+            expand: 'AssignedTo($select=UserName,UserEmail),Area($select=AreaPath),Iteration($select=IterationPath)',
+            orderby: 'WorkItemId desc'
+        });
+
+        const workItems = this.processWorkItems(rows.map(row => this.convertAnalyticsWorkItem(row)));
+
+        return {
+            workItems,
+            count: workItems.length,
+            source: 'analytics'
+        };
+    }
+
+    /**
+     * Work item counts and story points by type and state, for the source rollup.
+     * Analytics aggregates the whole (area-scoped) project server-side; without it
+     * the REST fallback only reads the current iteration, as reported in scope.
+     */
+    async getWorkItemRollup(types = ['User Story', 'Bug', 'Task', 'Feature']) {
+        const rollup = { count: 0, storyPoints: 0, byType: {}, byState: {}, scope: 'project' };
+        const add = (type, state, count, points) => {
+            rollup.count += count;
+            rollup.storyPoints += points;
+            rollup.byType[type] = (rollup.byType[type] || 0) + count;
+            rollup.byState[state] = (rollup.byState[state] || 0) + count;
+        };
+
+        return this.withAnalyticsFallback('rollup', async () => {
+            const typeList = types.map(type => this.formatODataString(this.fieldMapping.resolveType(type))).join(', ');
+            const rows = await this.queryAnalytics('WorkItems', {
+                apply: `filter(WorkItemType in (${typeList})${this.getAreaODataFilter(' and ')})` +
+                    `/groupby((WorkItemType, State), aggregate($count as Count, ${this.getStoryPointsProperty()} with sum as StoryPoints))`
+            });
+
+            rows.forEach(row => add(this.fieldMapping.toStandardType(row.WorkItemType), row.State, row.Count || 0, row.StoryPoints || 0));
+            return rollup;
+        }, async () => {
+            const iterations = (await this.getIterations()).value || [];
+            const current = iterations.find(iteration => iteration.attributes?.timeFrame === 'current');
+            rollup.scope = 'currentIteration';
+            if (!current) return rollup;
+
+            const result = await this.getWorkItemsByIteration(current.path, types);
+            (result.value || []).forEach(wi => add(
+                this.fieldMapping.toStandardType(wi.fields?.['System.WorkItemType']),
+                wi.fields?.['System.State'],
+                1,
+                parseFloat(this.fieldMapping.getValue(wi.fields, 'storyPoints') || 0)
+            ));
+            return rollup;
+        });
+    }
+
+    async getVelocitySeries(iterations) {
+        const iterationPaths = iterations.map(iteration => iteration.path).filter(Boolean);
+        if (iterationPaths.length === 0) return [];
+
+        return this.withAnalyticsFallback('velocity', async () => {
+            const pathList = iterationPaths.map(path => this.formatODataString(path)).join(', ');
+            const storyType = this.formatODataString(this.fieldMapping.getType('story'));
+            const rows = await this.queryAnalytics('WorkItemSnapshot', {
+                apply: `filter(WorkItemType eq ${storyType} and StateCategory eq 'Completed'` +
+                    ` and DateValue eq Iteration/EndDate and Iteration/IterationPath in (${pathList})${this.getAreaODataFilter(' and ')})` +
+                    `/groupby((Iteration/IterationPath), aggregate(${this.getStoryPointsProperty()} with sum as CompletedPoints, $count as CompletedCount))`
+            });
+
+            return iterations.map(iteration => {
+                const row = rows.find(r => r.Iteration?.IterationPath === iteration.path);
+                return {
+                    iteration: iteration.name,
+                    velocity: row?.CompletedPoints || 0,
+                    completedCount: row?.CompletedCount || 0,
+                    finishDate: iteration.attributes?.finishDate
+                };
+            });
+        }, async () => {
+            const series = [];
+            for (const iteration of iterations) {
+                // One unreadable iteration leaves a gap instead of losing the whole series
+                try {
+                    const result = await this.getWorkItemsByIteration(iteration.path, ['User Story']);
+                    const completed = (result.value || []).filter(wi =>
+                        ['Done', 'Closed', 'Resolved', 'Completed'].includes(wi.fields?.['System.State'])
+                    );
+                    series.push({
+                        iteration: iteration.name,
+                        velocity: completed.reduce((total, wi) =>
+                            total + parseFloat(this.fieldMapping.getValue(wi.fields, 'storyPoints') || 0), 0),
+                        completedCount: completed.length,
+                        finishDate: iteration.attributes?.finishDate
+                    });
+                } catch (error) {
+                    console.warn(`[ADO_API] Failed to load velocity for ${iteration.path}:`, this.getErrorMessage(error));
+                }
+            }
+            return series;
+        });
+    }
+
+    async getBurndownSeries(iteration) {
+        const startDate = iteration.attributes?.startDate;
+        const finishDate = iteration.attributes?.finishDate;
+
+        return this.withAnalyticsFallback('burndown', async () => {
+            if (!startDate || !finishDate) {
+                throw new Error('Iteration has no start or finish date');
+            }
+
+            const typeList = ['story', 'feature']
+                .map(type => this.formatODataString(this.fieldMapping.getType(type)))
+                .join(', ');
+            const rows = await this.queryAnalytics('WorkItemSnapshot', {
+                apply: `filter(WorkItemType in (${typeList}) and StateCategory ne 'Removed'` +
+                    ` and Iteration/IterationPath eq ${this.formatODataString(iteration.path)}` +
+                    ` and DateValue ge ${this.formatODataDate(startDate)} and DateValue le ${this.formatODataDate(finishDate)}` +
+                    `${this.getAreaODataFilter(' and ')})` +
+                    `/groupby((DateValue, StateCategory), aggregate(${this.getStoryPointsProperty()} with sum as TotalStoryPoints, $count as Count))`
+            });
+
+            const days = new Map();
+            rows.forEach(row => {
+                const date = row.DateValue.slice(0, 10);
+                if (!days.has(date)) {
+                    days.set(date, { date, remainingPoints: 0, completedPoints: 0, itemCount: 0 });
+                }
+                const day = days.get(date);
+                const points = row.TotalStoryPoints || 0;
+                if (row.StateCategory === 'Completed') {
+                    day.completedPoints += points;
+                } else {
+                    day.remainingPoints += points;
+                }
+                day.itemCount += row.Count || 0;
+            });
+
+            return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+        }, async () => {
+            // REST has no history, so the series is just today's snapshot
+            const result = await this.getWorkItemsByIteration(iteration.path, ['User Story', 'Feature']);
+            const today = { date: new Date().toISOString().slice(0, 10), remainingPoints: 0, completedPoints: 0, itemCount: 0 };
+            (result.value || []).forEach(wi => {
+                const points = parseFloat(this.fieldMapping.getValue(wi.fields, 'storyPoints') || 0);
+                if (['Done', 'Closed', 'Resolved', 'Completed'].includes(wi.fields?.['System.State'])) {
+                    today.completedPoints += points;
+                } else {
+                    today.remainingPoints += points;
+                }
+                today.itemCount++;
+            });
+            return [today];
+        });
+    }
+
+    async getTestTrendSeries(days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        return this.withAnalyticsFallback('test trend', async () => {
+            const rows = await this.queryAnalytics('TestResultsDaily', {
+                apply: `filter(DateSK ge ${this.formatDateSK(since)})` +
+                    `/groupby((DateSK), aggregate(ResultCount with sum as ResultCount,` +
+                    ` ResultPassCount with sum as ResultPassCount, ResultFailCount with sum as ResultFailCount,` +
+                    ` ResultNotExecutedCount with sum as ResultNotExecutedCount))`,
+                orderby: 'DateSK'
+            });
+
+            return rows.map(row => this.createTestTrendPoint(
+                `${String(row.DateSK).slice(0, 4)}-${String(row.DateSK).slice(4, 6)}-${String(row.DateSK).slice(6, 8)}`,
+                row.ResultCount, row.ResultPassCount, row.ResultFailCount, row.ResultNotExecutedCount
+            ));
+        }, async () => {
+            const runs = await this.fetchTestRuns({ top: 200 });
+            const byDay = {};
+            runs.filter(run => run.completedDate && new Date(run.completedDate) >= since).forEach(run => {
+                const date = run.completedDate.slice(0, 10);
+                const day = byDay[date] || (byDay[date] = { total: 0, passed: 0, failed: 0, notExecuted: 0 });
+                day.total += run.totalTests || 0;
+                day.passed += run.passedTests || 0;
+                day.failed += (run.totalTests || 0) - (run.passedTests || 0) - (run.notApplicableTests || 0) - (run.incompleteTests || 0);
+                day.notExecuted += (run.notApplicableTests || 0) + (run.incompleteTests || 0);
+            });
+
+            return Object.keys(byDay).sort().map(date => this.createTestTrendPoint(
+                date, byDay[date].total, byDay[date].passed, byDay[date].failed, byDay[date].notExecuted
+            ));
+        });
+    }
+
+    createTestTrendPoint(date, total = 0, passed = 0, failed = 0, notExecuted = 0) {
+        const executed = total - notExecuted;
+        return {
+            date,
+            total,
+            passed,
+            failed: Math.max(0, failed),
+            notExecuted,
+            passRate: executed > 0 ? Math.round((passed / executed) * 1000) / 10 : 0
+        };
+    }
+
+    convertAnalyticsWorkItem(row) {
+        // Rebuild the REST field bag so Analytics rows normalize exactly like REST work items
+        const fields = {};
+        Object.entries(this.getODataFields()).forEach(([field, property]) => {
+            if (row[property] !== undefined && row[property] !== null) {
+                fields[field] = row[property];
+            }
+        });
+
+        if (row.AssignedTo) {
+            fields['System.AssignedTo'] = {
+                displayName: row.AssignedTo.UserName,
+                uniqueName: row.AssignedTo.UserEmail
+            };
+        }
+        fields['System.AreaPath'] = row.Area?.AreaPath;
+        fields['System.IterationPath'] = row.Iteration?.IterationPath;
+
+        return {
+            id: row.WorkItemId,
+            fields,
+            url: `${this.baseUrl}/_apis/wit/workItems/${row.WorkItemId}`
+        };
+    }
+
+    /**
+     * ODATA_FIELDS keyed by the mapped reference names. Analytics exposes
+     * custom fields with dots replaced by underscores (Custom.Effort -> Custom_Effort).
+     */
+    getODataFields() {
+        const fields = {};
+        Object.entries(ODATA_FIELDS).forEach(([field, property]) => {
+            const referenceName = this.fieldMapping.resolveField(field);
+            if (referenceName) {
+                fields[referenceName] = referenceName === field ? property : referenceName.replace(/\./g, '_');
+            }
+        });
+        return fields;
+    }
+
+    // Selected areas as an OData condition; with a prefix, '' when no area is selected
+    getAreaODataFilter(prefix = null) {
+        const filter = this.areaScope.toODataFilter(this.config.project, value => this.formatODataString(value));
+        if (prefix === null) return filter;
+        return filter ? `${prefix}${filter}` : '';
+    }
+
+    getStoryPointsProperty() {
+        const referenceName = this.fieldMapping.getField('storyPoints');
+        return (referenceName && this.getODataFields()[referenceName]) || 'StoryPoints';
+    }
+
+    formatODataString(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    formatODataDate(value) {
+        return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    formatDateSK(value) {
+        return new Date(value).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // ===== WIQL QUERY BUILDING =====
+
+    // Every builder starts scoped to the selected area paths
+    createWIQLBuilder() {
+        return this.areaScope.applyTo(new WIQLBuilder(this.fieldMapping), this.config?.project);
+    }
+
+    buildWIQLQuery(options) {
+        return this.createWorkItemQuery(options).build();
+    }
+
+    createWorkItemQuery(options) {
+        const {
+            project,
+            types = [],
+            states = null,
+            assignedTo = null,
+            dateRange = null,
+            areas = null,
+            iterations = null,
+            tags = null,
+            customFilters = null
+        } = options;
+
+        const query = this.createWIQLBuilder()
+            .select(WIQL_FIELDS.WORK_ITEMS)
+            .where('System.TeamProject', '=', project)
+            .whereIn('System.WorkItemType', types)
+            .whereIn('System.State', states || []);
+
+        if (assignedTo) {
+            query.whereIn('System.AssignedTo', assignedTo);
+        }
+
+        if (dateRange) {
+            if (dateRange.start) {
+                query.where('System.CreatedDate', '>=', dateRange.start);
+            }
+            if (dateRange.end) {
+                query.where('System.CreatedDate', '<=', dateRange.end);
+            }
+        }
+
+        query.anyOf(group => (areas || []).forEach(area => group.under('System.AreaPath', area)));
+        query.anyOf(group => (iterations || []).forEach(iter => group.under('System.IterationPath', iter)));
+        query.anyOf(group => (tags || []).forEach(tag => group.contains('System.Tags', tag)));
+
+        if (customFilters) {
+            Object.entries(customFilters).forEach(([field, value]) => {
+                if (value !== null && value !== undefined) {
+                    query.whereIn(field, value);
+                }
+            });
+        }
+
+        return query.orderBy('System.Id', 'DESC');
+    }
+
+    async executeWIQLQuery(query, options = {}) {
+        const endpoint = `/${this.config.project}/_apis/wit/wiql`;
+        // Allows full ISO timestamps (not just dates) in date comparisons
+        const params = { timePrecision: true };
+        if (options.top) {
+            params['$top'] = options.top;
+        }
+        
+        return this.makeRequest(endpoint, {
+            method: 'POST',
+            body: { query: query instanceof WIQLBuilder ? query.build() : query },
+            params,
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS
+        });
+    }
+
+    /**
+     * Return every work item ID matching a query. ADO caps a WIQL result at
+     * 20,000 items, so a builder query that hits the cap is re-run in
+     * ascending System.Id ranges until the last range comes back short.
+     */
+    async queryWorkItemIds(query, options = {}) {
+        const limit = API_CONFIG.WIQL_MAX_RESULTS;
+        const firstResult = await this.executeWIQLQuery(query, { top: limit });
+        const firstIds = (firstResult.workItems || []).map(wi => wi.id);
+
+        if (firstIds.length < limit) {
+            this.emitQueryProgress({ phase: 'query', loaded: firstIds.length, complete: true }, options);
+            return firstIds;
+        }
+
+        if (!(query instanceof WIQLBuilder)) {
+            console.warn(`[ADO_API] WIQL result reached the ${limit} item limit and may be truncated`);
+            this.emitQueryProgress({ phase: 'query', loaded: firstIds.length, complete: true, truncated: true }, options);
+            return firstIds;
+        }
+
+        console.log(`[ADO_API] WIQL result reached the ${limit} item limit, splitting by ID range`);
+        const ids = [];
+        let lastId = 0;
+        let page = [];
+
+        do {
+            const rangeQuery = query.clone()
+                .clearOrderBy()
+                .where('System.Id', '>', lastId)
+                .orderBy('System.Id', 'ASC');
+
+            const result = await this.executeWIQLQuery(rangeQuery, { top: limit });
+            page = (result.workItems || []).map(wi => wi.id);
+            ids.push(...page);
+
+            if (page.length > 0) {
+                lastId = page[page.length - 1];
+            }
+
+            this.emitQueryProgress({ phase: 'query', loaded: ids.length, complete: page.length < limit }, options);
+        } while (page.length >= limit);
+
+        return ids;
+    }
+
+    /**
+     * Fetch full work items in batches. options.onBatch receives each batch as
+     * soon as it arrives, and progress is reported through emitQueryProgress.
+     */
+    async fetchWorkItemDetails(workItemIds, options = {}) {
+        if (!workItemIds || workItemIds.length === 0) {
+            return [];
+        }
+
+        const batches = [];
+        for (let i = 0; i < workItemIds.length; i += API_CONFIG.BATCH_SIZE.WORK_ITEMS) {
+            batches.push(workItemIds.slice(i, i + API_CONFIG.BATCH_SIZE.WORK_ITEMS));
+        }
+
+        let loaded = 0;
+        const batchResults = await Promise.all(
+            batches.map(async (batch) => {
+                const items = await this.fetchWorkItemBatch(batch);
+                loaded += batch.length;
+
+                if (options.onBatch) {
+                    options.onBatch(items);
+                }
+                this.emitQueryProgress({
+                    phase: 'details',
+                    loaded,
+                    total: workItemIds.length,
+                    complete: loaded >= workItemIds.length
+                }, options);
+
+                return items;
+            })
+        );
+
+        return batchResults.flat();
+    }
+
+    emitQueryProgress(detail, options = {}) {
+        if (options.onProgress) {
+            options.onProgress(detail);
+        }
+
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('adoQueryProgress', { detail }));
+        }
+    }
+
+    async fetchWorkItemBatch(ids) {
+        const endpoint = '/_apis/wit/workitems';
+        const params = {
+            ids: ids.join(','),
+            '$expand': 'all'
+        };
+
+        const response = await this.makeRequest(endpoint, {
+            params,
+            cacheTTL: API_CONFIG.CACHE_DURATIONS.WORK_ITEMS
+        });
+
+        return response.value || [];
+    }
+
+    // ===== DATA PROCESSING =====
+
+    processWorkItems(workItems) {
+        return workItems.map(item => this.normalizeWorkItem(item));
+    }
+
+    processBugs(bugs) {
+        const mapping = this.fieldMapping;
+        return bugs.map(bug => {
+            const classification = this.environmentClassifier.classify(bug.fields, mapping);
+            return {
+                ...this.normalizeWorkItem(bug),
+                severity: mapping.getValue(bug.fields, 'severity'),
+                priority: mapping.getValue(bug.fields, 'priority'),
+                reproSteps: mapping.getValue(bug.fields, 'reproSteps'),
+                foundInBuild: mapping.getValue(bug.fields, 'foundInBuild'),
+                foundInEnvironment: mapping.getValue(bug.fields, 'foundInEnvironment'),
+                environment: classification.environment,
+                environmentClassification: classification
+            };
+        });
     }
 
     processTestPlans(testPlans) {
@@ -911,13 +2451,54 @@ class ADOClient {
     processTestCases(testCases) {
         return testCases.map(testCase => ({
             ...this.normalizeWorkItem(testCase),
-            automatedTestName: testCase.fields['Microsoft.VSTS.TCM.AutomatedTestName'],
-            automatedTestType: testCase.fields['Microsoft.VSTS.TCM.AutomatedTestType'],
-            priority: testCase.fields['Microsoft.VSTS.Common.Priority'],
+            automatedTestName: this.fieldMapping.getValue(testCase.fields, 'automatedTestName'),
+            automatedTestType: this.fieldMapping.getValue(testCase.fields, 'automatedTestType'),
+            priority: this.fieldMapping.getValue(testCase.fields, 'priority'),
             testResults: testCase.testResults || []
         }));
     }
 
+    processTestPoints(points) {
+        return points.map(point => {
+            const results = point.results || {};
+            const lastRun = results.lastResultDetails || {};
+
+            return {
+                id: point.id,
+                planId: point.testPlan?.id,
+                planName: point.testPlan?.name,
+                suiteId: point.testSuite?.id,
+                suiteName: point.testSuite?.name,
+                testCaseId: point.testCaseReference?.id,
+                testCaseTitle: point.testCaseReference?.name,
+                configurationId: point.configuration?.id,
+                configurationName: point.configuration?.name || 'Default',
+                tester: point.tester?.displayName || 'Unassigned',
+                outcome: results.outcome || 'unspecified',
+                state: results.state || 'ready',
+                lastRunId: results.lastTestRunId || null,
+                lastRunDate: lastRun.dateCompleted || null,
+                lastRunBy: lastRun.runBy?.displayName || null,
+                isAutomated: !!point.isAutomated,
+                isActive: point.isActive !== false
+            };
+        });
+    }
+
+    processClassificationNode(node, parentPath) {
+        const path = parentPath ? `${parentPath}\\${node.name}` : node.name;
+        return {
+            id: node.id,
+            identifier: node.identifier,
+            name: node.name,
+            path,
+            depth: path.split('\\').length - 1,
+            hasChildren: !!node.hasChildren,
+            attributes: node.attributes || {},
+            children: (node.children || []).map(child => this.processClassificationNode(child, path))
+        };
+    }
+
     processIterations(iterations) {
         return iterations.map(iteration => ({
             id: iteration.id,
@@ -929,6 +2510,83 @@ class ADOClient {
         }));
     }
 
+    processSprintCapacity(iteration, capacities, teamDaysOff, teamSettings) {
+        const startDate = iteration.attributes?.startDate;
+        const finishDate = iteration.attributes?.finishDate;
+        const workingDays = (teamSettings.workingDays || []).map(day => String(day).toLowerCase());
+        const teamDaysOffRanges = (teamDaysOff.daysOff || []).map(range => ({ start: range.start, end: range.end }));
+        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        const isWithin = (date, ranges) => ranges.some(range =>
+            date >= range.start.slice(0, 10) && date <= range.end.slice(0, 10)
+        );
+
+        // Newer API versions wrap members in teamMembers, older ones return value
+        const memberEntries = capacities.teamMembers || capacities.value || [];
+        const members = memberEntries.map(entry => {
+            const activities = (entry.activities || [])
+                .filter(activity => activity.capacityPerDay > 0)
+                .map(activity => ({ name: activity.name || 'Unassigned', capacityPerDay: activity.capacityPerDay }));
+
+            return {
+                id: entry.teamMember?.id,
+                displayName: entry.teamMember?.displayName,
+                uniqueName: entry.teamMember?.uniqueName,
+                activities,
+                capacityPerDay: activities.reduce((sum, activity) => sum + activity.capacityPerDay, 0),
+                daysOff: (entry.daysOff || []).map(range => ({ start: range.start, end: range.end })),
+                availableDays: 0,
+                totalCapacity: 0
+            };
+        });
+
+        const days = [];
+        const capacityByActivity = {};
+        let fullCapacity = 0;
+
+        if (startDate && finishDate) {
+            const end = new Date(finishDate.slice(0, 10) + 'T00:00:00Z');
+            for (let day = new Date(startDate.slice(0, 10) + 'T00:00:00Z'); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+                const date = day.toISOString().slice(0, 10);
+                const isWorkingDay = workingDays.includes(dayNames[day.getUTCDay()]);
+                const isTeamDayOff = isWithin(date, teamDaysOffRanges);
+                let capacity = 0;
+
+                if (isWorkingDay) {
+                    members.forEach(member => {
+                        fullCapacity += member.capacityPerDay;
+                        if (isTeamDayOff || isWithin(date, member.daysOff)) return;
+
+                        member.availableDays++;
+                        member.totalCapacity += member.capacityPerDay;
+                        capacity += member.capacityPerDay;
+                        member.activities.forEach(activity => {
+                            capacityByActivity[activity.name] = (capacityByActivity[activity.name] || 0) + activity.capacityPerDay;
+                        });
+                    });
+                }
+
+                days.push({ date, isWorkingDay, isTeamDayOff, capacity });
+            }
+        }
+
+        const totalCapacity = members.reduce((sum, member) => sum + member.totalCapacity, 0);
+
+        return {
+            iterationId: iteration.id,
+            startDate,
+            finishDate,
+            workingDays,
+            teamDaysOff: teamDaysOffRanges,
+            days,
+            members,
+            capacityByActivity,
+            totalCapacityPerDay: members.reduce((sum, member) => sum + member.capacityPerDay, 0),
+            totalCapacity,
+            fullCapacity,
+            availabilityRatio: fullCapacity > 0 ? totalCapacity / fullCapacity : 1
+        };
+    }
+
     processTeamMembers(members) {
         return members.map(member => ({
             id: member.identity?.id,
@@ -954,13 +2612,19 @@ class ADOClient {
         }));
     }
 
+    /**
+     * workItemType is the standard type name (a mapped "Defect" becomes "Bug");
+     * processType keeps the name used by the project's process
+     */
     normalizeWorkItem(item) {
         const fields = item.fields || {};
+        const mapping = this.fieldMapping;
         
         return {
             id: item.id,
             title: fields['System.Title'],
-            workItemType: fields['System.WorkItemType'],
+            workItemType: mapping.toStandardType(fields['System.WorkItemType']),
+            processType: fields['System.WorkItemType'],
             state: fields['System.State'],
             assignedTo: fields['System.AssignedTo']?.displayName,
             createdDate: fields['System.CreatedDate'],
@@ -969,34 +2633,19 @@ class ADOClient {
             iterationPath: fields['System.IterationPath'],
             tags: fields['System.Tags'],
             description: fields['System.Description'],
-            priority: fields['Microsoft.VSTS.Common.Priority'],
-            storyPoints: fields['Microsoft.VSTS.Common.StoryPoints'],
-            originalEstimate: fields['Microsoft.VSTS.Scheduling.OriginalEstimate'],
-            remainingWork: fields['Microsoft.VSTS.Scheduling.RemainingWork'],
-            completedWork: fields['Microsoft.VSTS.Scheduling.CompletedWork'],
+            priority: mapping.getValue(fields, 'priority'),
+            storyPoints: mapping.getValue(fields, 'storyPoints') ?? fields['Microsoft.VSTS.Common.StoryPoints'],
+            originalEstimate: mapping.getValue(fields, 'originalEstimate'),
+            remainingWork: mapping.getValue(fields, 'remainingWork'),
+            completedWork: mapping.getValue(fields, 'completedWork'),
+            source: this.getSource(),
             url: item.url,
             raw: item
         };
     }
 
     classifyEnvironment(bug) {
-        const title = bug.fields['System.Title']?.toLowerCase() || '';
-        const description = bug.fields['System.Description']?.toLowerCase() || '';
-        const tags = bug.fields['System.Tags']?.toLowerCase() || '';
-        
-        const content = `${title} ${description} ${tags}`;
-        
-        if (content.includes('prod') || content.includes('production')) {
-            return 'Production';
-        } else if (content.includes('stage') || content.includes('staging')) {
-            return 'Staging';
-        } else if (content.includes('test') || content.includes('qa')) {
-            return 'Testing';
-        } else if (content.includes('dev') || content.includes('development')) {
-            return 'Development';
-        } else {
-            return 'Unknown';
-        }
+        return this.environmentClassifier.classify(bug.fields, this.fieldMapping).environment;
     }
 
     // ===== UTILITY METHODS =====
@@ -1021,6 +2670,31 @@ class ADOClient {
         return this.cache.getStats();
     }
 
+    getSource() {
+        // Identifies the org/project a normalized work item came from
+        const organization = this.config?.organization || '';
+        const project = this.config?.project || '';
+        const id = this.config?.id || `${organization}/${project}`;
+
+        return {
+            id,
+            label: this.config?.label || project || id,
+            organization,
+            project
+        };
+    }
+
+    getConnectionInfo() {
+        return {
+            source: this.getSource(),
+            organization: this.config?.organization,
+            project: this.config?.project,
+            authType: this.authProvider?.type || null,
+            baseUrl: this.baseUrl,
+            connected: this.isConfigured()
+        };
+    }
+
     getStatus() {
         return {
             configured: this.isConfigured(),
@@ -1028,7 +2702,9 @@ class ADOClient {
             hasProxy: !!this.proxyConfig?.enabled,
             cacheStats: this.getCacheStats(),
             queueLength: this.requestQueue.queue.length,
-            activeRequests: this.requestQueue.activeRequests
+            activeRequests: this.requestQueue.activeRequests,
+            throttling: this.requestQueue.governor.getStatus(),
+            fixtures: this.fixtures.getStatus()
         };
     }
 }
@@ -1038,8 +2714,19 @@ const adoApiClient = new ADOClient();
 
 // Export for global access
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ADOClient, adoApiClient };
+    module.exports = {
+        ADOClient, WIQLBuilder, adoApiClient,
+        PatAuthProvider, BearerTokenAuthProvider, OAuthPkceAuthProvider, createAuthProvider,
+        ThrottlingGovernor, throttlingGovernor, ResponseFixtures, responseFixtures,
+        FieldMapping, fieldMapping, EnvironmentClassifier, environmentClassifier, AreaScope, areaScope
+    };
+    // The pool builds on ADOClient, so it is required once the exports above are in place
+    Object.assign(module.exports, require('./ado-client-pool.js'));
 } else {
     window.ADOClient = ADOClient;
+    window.ThrottlingGovernor = ThrottlingGovernor;
+    window.throttlingGovernor = throttlingGovernor;
+    window.WIQLBuilder = WIQLBuilder;
+    window.adoClient = adoApiClient;
     window.adoApiClient = adoApiClient;
 } 
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Browsers load ado-api.js ahead of this file; under Node it is required here
+if (typeof module !== 'undefined' && module.exports) {
+    const { ADOClient, adoApiClient } = require('./ado-api.js');
+    Object.assign(globalThis, { ADOClient, adoApiClient });
+}
+
+/**
+ * ADO Client Pool
+ * One ADOClient per configured org/project connection (window.adoClientPool).
+ * Fans requests out to every source in parallel and merges the source-tagged results.
+ */
+class ADOClientPool {
+    /**
+     * @param {ADOClient} [primaryClient] - Shared client, reused for the connection it is configured for
+     */
+    constructor(primaryClient = null) {
+        this.primaryClient = primaryClient;
+        this.clients = new Map();
+    }
+
+    /**
+     * @param {Array<Object>} connections - [{ id, label, organization, project, personalAccessToken, proxyUrl, fieldMapping }]
+     */
+    setConnections(connections = []) {
+        const previous = this.clients;
+        this.clients = new Map();
+
+        connections.forEach(connection => {
+            const id = connection.id || `${connection.organization}/${connection.project}`;
+            if (this.clients.has(id)) return;
+
+            const primary = this.primaryClient?.config;
+            if (primary && primary.organization === connection.organization && primary.project === connection.project) {
+                this.clients.set(id, this.primaryClient);
+                return;
+            }
+
+            // Keep existing clients (and their caches) when the connection is unchanged
+            const existing = previous.get(id);
+            const unchanged = existing && existing !== this.primaryClient &&
+                existing.config?.authType === connection.authType &&
+                existing.config?.personalAccessToken === connection.personalAccessToken &&
+                existing.config?.proxyUrl === connection.proxyUrl &&
+                JSON.stringify(existing.config?.fieldMapping || null) === JSON.stringify(connection.fieldMapping || null);
+
+            this.clients.set(id, unchanged ? existing : new ADOClient({ ...connection, id }));
+        });
+
+        console.log(`[ADO_API] Client pool holds ${this.clients.size} connection(s)`);
+    }
+
+    getClients(sourceIds = null) {
+        const ids = sourceIds && sourceIds.length > 0 ? [].concat(sourceIds) : null;
+
+        return [...this.clients.entries()]
+            .filter(([id, client]) => client.isConfigured() && (!ids || ids.includes(id)))
+            .map(([, client]) => client);
+    }
+
+    getClient(sourceId) {
+        return this.clients.get(sourceId) || null;
+    }
+
+    getSources() {
+        return this.getClients().map(client => client.getSource());
+    }
+
+    isMultiSource() {
+        return this.getClients().length > 1;
+    }
+
+    /**
+     * Runs a request against every (or the selected) source in parallel.
+     * Sources that fail are reported in errors; it only throws when all of them fail.
+     */
+    async forEachSource(label, request, options = {}) {
+        const clients = this.getClients(options.sources);
+        if (clients.length === 0) {
+            throw errorHandler.createValidationError('No configured ADO connections');
+        }
+
+        const settled = await Promise.allSettled(clients.map(client => request(client)));
+        const results = [];
+        const errors = [];
+
+        settled.forEach((outcome, index) => {
+            const source = clients[index].getSource();
+            if (outcome.status === 'fulfilled') {
+                results.push({ source, value: outcome.value });
+            } else {
+                console.warn(`[ADO_API] Failed to fetch ${label} from ${source.id}:`, outcome.reason);
+                errors.push({ source, error: outcome.reason });
+            }
+        });
+
+        if (results.length === 0) {
+            throw errors[0].error;
+        }
+
+        return { results, errors };
+    }
+
+    async fetchWorkItems(options = {}) {
+        return this.fetchMerged('work items', 'workItems', client => client.fetchWorkItems(options), options);
+    }
+
+    async fetchBugs(options = {}) {
+        return this.fetchMerged('bugs', 'bugs', client => client.fetchBugs(options), options);
+    }
+
+    async fetchTestCases(options = {}) {
+        return this.fetchMerged('test cases', 'testCases', client => client.fetchTestCases(options), options);
+    }
+
+    /**
+     * Per-source counts aggregated by each source (see ADOClient.getWorkItemRollup),
+     * in the shape of rollupBySource
+     */
+    async fetchRollup(options = {}) {
+        const { results, errors } = await this.forEachSource('work item rollup',
+            client => client.getWorkItemRollup(options.types), options);
+        const rollup = results
+            .map(({ source, value }) => ({ source, ...value }))
+            .sort((a, b) => b.count - a.count);
+
+        return {
+            rollup,
+            count: rollup.reduce((total, entry) => total + entry.count, 0),
+            errors: errors.map(({ source, error }) => ({ source, message: error.userMessage || error.message }))
+        };
+    }
+
+    async fetchMerged(label, key, request, options = {}) {
+        const { results, errors } = await this.forEachSource(label, request, options);
+        const items = results.flatMap(({ value }) => (Array.isArray(value) ? value : value[key]) || []);
+
+        return {
+            [key]: items,
+            count: items.length,
+            bySource: this.rollupBySource(items),
+            errors: errors.map(({ source, error }) => ({ source, message: error.userMessage || error.message }))
+        };
+    }
+
+    // ===== ROLLUP & FILTERING =====
+
+    rollupBySource(items) {
+        const rollup = new Map();
+
+        items.forEach(item => {
+            const source = item.source || { id: 'unknown', label: 'Unknown', organization: '', project: '' };
+            if (!rollup.has(source.id)) {
+                rollup.set(source.id, {
+                    source,
+                    count: 0,
+                    storyPoints: 0,
+                    byType: {},
+                    byState: {}
+                });
+            }
+
+            const entry = rollup.get(source.id);
+            entry.count++;
+            entry.storyPoints += Number(item.storyPoints) || 0;
+            entry.byType[item.workItemType] = (entry.byType[item.workItemType] || 0) + 1;
+            entry.byState[item.state] = (entry.byState[item.state] || 0) + 1;
+        });
+
+        return [...rollup.values()].sort((a, b) => b.count - a.count);
+    }
+
+    filterBySource(items, sourceIds = null) {
+        if (!sourceIds || sourceIds.length === 0) return items;
+
+        const ids = [].concat(sourceIds);
+        return items.filter(item => ids.includes(item.source?.id));
+    }
+
+    clearCache() {
+        this.clients.forEach(client => client.clearCache());
+    }
+
+    getStatus() {
+        return [...this.clients.entries()].map(([id, client]) => ({ id, ...client.getStatus() }));
+    }
+}
+
+const adoClientPool = new ADOClientPool(adoApiClient);
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADOClientPool, adoClientPool };
+} else {
+    window.ADOClientPool = ADOClientPool;
+    window.adoClientPool = adoClientPool;
+}
@@ -0,0 +1,78 @@
+/**
+ * Selected area paths (window.areaScope), applied to every WIQL query built
+ * through ADOClient.createWIQLBuilder. An area either includes its children
+ * (UNDER) or matches exactly. Area paths start with the project name, so each
+ * client only applies the areas of its own project.
+ */
+class AreaScope {
+    constructor() {
+        this.areas = [];
+    }
+
+    setAreas(areas = []) {
+        this.areas = areas
+            .filter(area => area?.path)
+            .map(area => ({ path: area.path, includeChildren: area.includeChildren !== false }));
+        return this;
+    }
+
+    getAreas(project = null) {
+        if (!project) return [...this.areas];
+
+        const root = project.toLowerCase();
+        return this.areas.filter(area => area.path.split('\\')[0].toLowerCase() === root);
+    }
+
+    isActive(project = null) {
+        return this.getAreas(project).length > 0;
+    }
+
+    applyTo(builder, project) {
+        return builder.anyOf(group => this.getAreas(project).forEach(area => {
+            if (area.includeChildren) {
+                group.under('System.AreaPath', area.path);
+            } else {
+                group.where('System.AreaPath', '=', area.path);
+            }
+        }));
+    }
+
+    /**
+     * Equivalent Analytics (OData) condition, or null when no area applies
+     */
+    toODataFilter(project, formatString) {
+        const conditions = this.getAreas(project).map(area => {
+            const exact = `Area/AreaPath eq ${formatString(area.path)}`;
+            return area.includeChildren
+                ? `${exact} or startswith(Area/AreaPath, ${formatString(`${area.path}\\`)})`
+                : exact;
+        });
+        return conditions.length > 0 ? `(${conditions.join(' or ')})` : null;
+    }
+
+    // For endpoints that cannot take a WIQL filter (e.g. iteration work items)
+    matches(areaPath, project) {
+        const areas = this.getAreas(project);
+        if (areas.length === 0) return true;
+
+        const path = String(areaPath || '').toLowerCase();
+        return areas.some(area => {
+            const selected = area.path.toLowerCase();
+            return path === selected || (area.includeChildren && path.startsWith(`${selected}\\`));
+        });
+    }
+
+    toJSON() {
+        return this.getAreas();
+    }
+}
+
+const areaScope = new AreaScope();
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AreaScope, areaScope };
+} else {
+    window.AreaScope = AreaScope;
+    window.areaScope = areaScope;
+}
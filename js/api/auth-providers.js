@@ -0,0 +1,338 @@
+/**
+ * ADO Authentication Providers
+ * Personal Access Token, Microsoft Entra ID OAuth (authorization code with PKCE)
+ * and host-injected bearer tokens behind one interface, used by ADOClient and
+ * the connection test in ConfigManager
+ */
+
+const AUTH_CONFIG = {
+    AUTHORITY: 'https://login.microsoftonline.com',
+    ADO_SCOPE: '499b84ac-1321-427f-aa17-267ca6975798/.default', // Azure DevOps resource
+    EXPIRY_MARGIN: 60 * 1000,                                  // refresh a minute early
+    SESSION_KEY: 'adoOAuthSession',
+    PKCE_KEY: 'adoOAuthPkce'
+};
+
+/**
+ * Personal Access Token authentication (Basic auth with an empty user name)
+ */
+class PatAuthProvider {
+    constructor(token) {
+        if (!token) throw new Error('Personal Access Token is required');
+        this.type = 'pat';
+        this.token = token;
+    }
+
+    isConfigured() {
+        return !!this.token;
+    }
+
+    async getAuthorizationHeader() {
+        return `Basic ${btoa(`:${this.token}`)}`;
+    }
+
+    canRefresh() {
+        return false;
+    }
+
+    async refresh() {
+        return false;
+    }
+}
+
+// Last token pushed with an 'adoAccessToken' event. One document listener serves
+// every BearerTokenAuthProvider, which picks the token up when it is newer than its own.
+const pushedAccessToken = { token: null, expiresOn: null, issuedAt: 0 };
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('adoAccessToken', (e) => {
+        pushedAccessToken.token = e.detail?.token || null;
+        pushedAccessToken.expiresOn = e.detail?.expiresOn ? new Date(e.detail.expiresOn).getTime() : null;
+        pushedAccessToken.issuedAt = Date.now();
+    });
+}
+
+/**
+ * Bearer tokens supplied by a hosting page, either through a getToken callback
+ * or by dispatching an 'adoAccessToken' event ({ token, expiresOn }) on document
+ */
+class BearerTokenAuthProvider {
+    constructor(options = {}) {
+        this.type = 'bearer';
+        this.getToken = options.getToken || null;
+        this.token = null;
+        this.expiresOn = null;
+        this.issuedAt = 0;
+        this.refreshPromise = null;
+
+        if (options.token) {
+            this.setToken(options.token, options.expiresOn);
+        }
+    }
+
+    setToken(token, expiresOn = null) {
+        this.token = token || null;
+        this.expiresOn = expiresOn ? new Date(expiresOn).getTime() : null;
+        this.issuedAt = Date.now();
+    }
+
+    syncPushedToken() {
+        if (pushedAccessToken.issuedAt > this.issuedAt) {
+            this.token = pushedAccessToken.token;
+            this.expiresOn = pushedAccessToken.expiresOn;
+            this.issuedAt = pushedAccessToken.issuedAt;
+        }
+    }
+
+    isConfigured() {
+        this.syncPushedToken();
+        return !!(this.token || this.getToken);
+    }
+
+    isExpired() {
+        this.syncPushedToken();
+        return !this.token || (this.expiresOn !== null && Date.now() > this.expiresOn - AUTH_CONFIG.EXPIRY_MARGIN);
+    }
+
+    async getAuthorizationHeader() {
+        if (this.isExpired() && this.canRefresh()) {
+            await this.refresh();
+        }
+        if (!this.token) {
+            throw errorHandler.createValidationError('No access token supplied by the hosting page');
+        }
+        return `Bearer ${this.token}`;
+    }
+
+    canRefresh() {
+        return !!this.getToken;
+    }
+
+    async refresh(options = {}) {
+        if (!this.canRefresh()) return false;
+        if (options.issuedBefore && this.issuedAt > options.issuedBefore) return true;
+
+        // Concurrent 401s share one refresh
+        if (!this.refreshPromise) {
+            this.refreshPromise = Promise.resolve(this.getToken())
+                .then(result => {
+                    const token = typeof result === 'string' ? result : result?.token;
+                    this.setToken(token, result?.expiresOn);
+                    return !!token;
+                })
+                .finally(() => { this.refreshPromise = null; });
+        }
+        return this.refreshPromise;
+    }
+}
+
+/**
+ * Entra ID (Azure AD) OAuth 2.0 authorization-code flow with PKCE.
+ * The app registration needs a single-page application redirect URI so the
+ * browser may redeem codes and refresh tokens without a client secret.
+ */
+class OAuthPkceAuthProvider {
+    /**
+     * @param {Object} options - { clientId, tenantId, redirectUri, scopes }
+     */
+    constructor(options = {}) {
+        if (!options.clientId) throw new Error('OAuth client ID is required');
+
+        this.type = 'oauth';
+        this.clientId = options.clientId;
+        this.tenantId = options.tenantId || 'organizations';
+        this.redirectUri = options.redirectUri ||
+            (typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : null);
+        this.scopes = options.scopes || [AUTH_CONFIG.ADO_SCOPE, 'offline_access'];
+        this.session = this.loadSession();
+        this.refreshPromise = null;
+    }
+
+    getEndpoint(name) {
+        return `${AUTH_CONFIG.AUTHORITY}/${encodeURIComponent(this.tenantId)}/oauth2/v2.0/${name}`;
+    }
+
+    isConfigured() {
+        return !!this.session?.accessToken;
+    }
+
+    isExpired() {
+        return !this.session || Date.now() > this.session.expiresAt - AUTH_CONFIG.EXPIRY_MARGIN;
+    }
+
+    async getAuthorizationHeader() {
+        if (this.isExpired() && !(await this.refresh())) {
+            throw errorHandler.createValidationError('Sign in with Microsoft Entra ID to continue');
+        }
+        return `Bearer ${this.session.accessToken}`;
+    }
+
+    canRefresh() {
+        return !!this.session?.refreshToken;
+    }
+
+    async refresh(options = {}) {
+        if (!this.canRefresh()) return false;
+        if (options.issuedBefore && this.session.issuedAt > options.issuedBefore) return true;
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestToken({
+                grant_type: 'refresh_token',
+                refresh_token: this.session.refreshToken
+            })
+                .then(() => true)
+                .catch(error => {
+                    console.warn('[ADO_API] OAuth token refresh failed:', error.message);
+                    this.signOut();
+                    return false;
+                })
+                .finally(() => { this.refreshPromise = null; });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Redirects to the Entra ID sign-in page. The page comes back to
+     * redirectUri with ?code=...&state=..., handled by handleRedirect().
+     */
+    async beginLogin() {
+        const verifier = this.base64Url(crypto.getRandomValues(new Uint8Array(32)));
+        const state = this.base64Url(crypto.getRandomValues(new Uint8Array(16)));
+        const challenge = this.base64Url(new Uint8Array(
+            await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+        ));
+
+        sessionStorage.setItem(AUTH_CONFIG.PKCE_KEY, JSON.stringify({ verifier, state }));
+
+        const url = new URL(this.getEndpoint('authorize'));
+        url.search = new URLSearchParams({
+            client_id: this.clientId,
+            response_type: 'code',
+            redirect_uri: this.redirectUri,
+            response_mode: 'query',
+            scope: this.scopes.join(' '),
+            state,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        }).toString();
+
+        window.location.assign(url.toString());
+    }
+
+    /**
+     * Completes sign-in when the current URL carries an authorization code.
+     * @returns {Promise<boolean>} true when a token was obtained
+     */
+    async handleRedirect(href = window.location.href) {
+        const url = new URL(href);
+        const code = url.searchParams.get('code');
+        if (!code) return false;
+
+        const pending = JSON.parse(sessionStorage.getItem(AUTH_CONFIG.PKCE_KEY) || 'null');
+        sessionStorage.removeItem(AUTH_CONFIG.PKCE_KEY);
+
+        if (!pending || pending.state !== url.searchParams.get('state')) {
+            throw errorHandler.createValidationError('OAuth state mismatch - please sign in again');
+        }
+
+        await this.requestToken({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            code_verifier: pending.verifier
+        });
+
+        // Drop the one-time code from the address bar
+        ['code', 'state', 'session_state'].forEach(param => url.searchParams.delete(param));
+        window.history.replaceState(null, '', url.toString());
+        return true;
+    }
+
+    async requestToken(params) {
+        const response = await fetch(this.getEndpoint('token'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: this.clientId,
+                scope: this.scopes.join(' '),
+                ...params
+            }).toString()
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            throw new Error(data.error_description || data.error || `Token request failed (${response.status})`);
+        }
+
+        this.session = {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || this.session?.refreshToken || null,
+            expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000,
+            issuedAt: Date.now()
+        };
+        this.saveSession();
+        return this.session;
+    }
+
+    signOut() {
+        this.session = null;
+        sessionStorage.removeItem(this.getSessionKey());
+    }
+
+    getSessionKey() {
+        return `${AUTH_CONFIG.SESSION_KEY}_${this.clientId}`;
+    }
+
+    loadSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.getSessionKey()) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSession() {
+        // Session storage only: tokens should not outlive the browser tab
+        sessionStorage.setItem(this.getSessionKey(), JSON.stringify(this.session));
+    }
+
+    base64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+}
+
+/**
+ * Picks the auth provider for a connection: an explicit provider instance,
+ * authType 'oauth' or 'bearer', or a Personal Access Token by default
+ */
+function createAuthProvider(config) {
+    if (config.authProvider) {
+        return config.authProvider;
+    }
+
+    switch (config.authType) {
+        case 'oauth':
+            return new OAuthPkceAuthProvider(config.oauth || {});
+        case 'bearer':
+            return new BearerTokenAuthProvider({
+                token: config.accessToken,
+                expiresOn: config.accessTokenExpiresOn,
+                getToken: config.getAccessToken
+            });
+        default:
+            return new PatAuthProvider(config.personalAccessToken);
+    }
+}
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PatAuthProvider, BearerTokenAuthProvider, OAuthPkceAuthProvider, createAuthProvider };
+} else {
+    window.PatAuthProvider = PatAuthProvider;
+    window.BearerTokenAuthProvider = BearerTokenAuthProvider;
+    window.OAuthPkceAuthProvider = OAuthPkceAuthProvider;
+    window.createAuthProvider = createAuthProvider;
+}
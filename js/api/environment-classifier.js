@@ -0,0 +1,207 @@
+/**
+ * Bug Environment Classifier
+ * Works out which environment (Dev, QA, UAT, Production) a bug was found in
+ * and how sure that answer is
+ */
+
+// Bug environment buckets and the rules EnvironmentClassifier applies, strongest first:
+// mapped environment field, area path rules, tag rules, then keyword matching
+const DEFAULT_ENVIRONMENT_RULES = {
+    environments: ['Dev', 'QA', 'UAT', 'Production'],
+    // Whole values (field value, tag, area path segment) that name an environment
+    aliases: {
+        Dev: ['dev', 'development', 'local'],
+        QA: ['qa', 'test', 'testing', 'sit'],
+        UAT: ['uat', 'staging', 'stage', 'preprod', 'pre-prod', 'acceptance'],
+        Production: ['prod', 'production', 'prd', 'live']
+    },
+    areaPathRules: [],   // { path: 'Project\\Live Site', environment: 'Production' }
+    tagRules: [],        // { tag: 'found-in-prod', environment: 'Production' }
+    // Phrases searched for in title and description; a bare "test" is deliberately absent
+    keywords: {
+        Dev: ['dev environment', 'development environment', 'localhost', 'dev server'],
+        QA: ['qa environment', 'test environment', 'qa server', 'sit environment'],
+        UAT: ['uat', 'staging', 'pre-production', 'acceptance testing'],
+        Production: ['production', 'prod', 'live site', 'customer reported', 'outage']
+    }
+};
+
+const ENVIRONMENT_CONFIDENCE = {
+    field: 1,
+    areaPathRule: 0.9,
+    tagRule: 0.9,
+    tagAlias: 0.8,
+    areaPathAlias: 0.7,
+    keyword: 0.5        // upper bound, scaled down when several environments match
+};
+
+/**
+ * Bug environment classifier (window.environmentClassifier).
+ * Runs a pipeline of increasingly weak evidence and reports where the answer
+ * came from and how confident it is, so bugs classified only by keywords (or
+ * not at all) can be listed for data clean-up.
+ */
+class EnvironmentClassifier {
+    constructor(rules = null, mapping = fieldMapping) {
+        this.fieldMapping = mapping;
+        this.setRules(rules);
+    }
+
+    setRules(rules = null) {
+        const defaults = DEFAULT_ENVIRONMENT_RULES;
+        this.rules = {
+            aliases: { ...defaults.aliases, ...(rules?.aliases || {}) },
+            areaPathRules: rules?.areaPathRules || defaults.areaPathRules,
+            tagRules: rules?.tagRules || defaults.tagRules,
+            keywords: { ...defaults.keywords, ...(rules?.keywords || {}) }
+        };
+
+        // Rules may introduce environments beyond the defaults
+        this.environments = [...new Set([
+            ...defaults.environments,
+            ...Object.keys(this.rules.aliases),
+            ...Object.keys(this.rules.keywords),
+            ...this.rules.areaPathRules.map(rule => rule.environment),
+            ...this.rules.tagRules.map(rule => rule.environment)
+        ])];
+
+        this.keywordPatterns = Object.entries(this.rules.keywords).map(([environment, keywords]) => ({
+            environment,
+            patterns: keywords.map(keyword => ({
+                keyword,
+                pattern: new RegExp(`(^|[^a-z0-9])${keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z0-9])`, 'i')
+            }))
+        }));
+
+        return this;
+    }
+
+    getEnvironments() {
+        return [...this.environments];
+    }
+
+    /**
+     * @returns {{environment: string, source: string, confidence: number, matched: string|null}}
+     *   source is 'field', 'areaPath', 'tag', 'keyword' or 'none'
+     */
+    classify(fields = {}, mapping = this.fieldMapping) {
+        const fieldValue = mapping?.getValue(fields, 'foundInEnvironment');
+        const fieldEnvironment = fieldValue ? this.matchAlias(fieldValue) : null;
+        if (fieldEnvironment) {
+            return this.createResult(fieldEnvironment, 'field', ENVIRONMENT_CONFIDENCE.field, String(fieldValue));
+        }
+
+        const areaPath = String(fields['System.AreaPath'] || '');
+        const areaRule = this.rules.areaPathRules.find(rule => this.isUnderPath(areaPath, rule.path));
+        if (areaRule) {
+            return this.createResult(areaRule.environment, 'areaPath', ENVIRONMENT_CONFIDENCE.areaPathRule, areaRule.path);
+        }
+
+        const tags = String(fields['System.Tags'] || '').split(';').map(tag => tag.trim()).filter(Boolean);
+        const tagRule = this.rules.tagRules.find(rule => tags.some(tag => tag.toLowerCase() === rule.tag.toLowerCase()));
+        if (tagRule) {
+            return this.createResult(tagRule.environment, 'tag', ENVIRONMENT_CONFIDENCE.tagRule, tagRule.tag);
+        }
+
+        const aliasTag = tags.find(tag => this.matchAlias(tag));
+        if (aliasTag) {
+            return this.createResult(this.matchAlias(aliasTag), 'tag', ENVIRONMENT_CONFIDENCE.tagAlias, aliasTag);
+        }
+
+        // Deepest area path segment first; the root segment is the project name
+        const aliasSegment = areaPath.split('\\').slice(1).reverse().find(segment => this.matchAlias(segment));
+        if (aliasSegment) {
+            return this.createResult(this.matchAlias(aliasSegment), 'areaPath', ENVIRONMENT_CONFIDENCE.areaPathAlias, aliasSegment);
+        }
+
+        return this.classifyByKeywords(fields);
+    }
+
+    classifyByKeywords(fields) {
+        const text = `${fields['System.Title'] || ''} ${String(fields['System.Description'] || '').replace(/<[^>]*>/g, ' ')}`;
+        const hits = this.keywordPatterns
+            .map(({ environment, patterns }) => ({
+                environment,
+                matched: patterns.filter(({ pattern }) => pattern.test(text)).map(({ keyword }) => keyword)
+            }))
+            .filter(hit => hit.matched.length > 0)
+            .sort((a, b) => b.matched.length - a.matched.length);
+
+        if (hits.length === 0) {
+            return this.createResult('Unknown', 'none', 0, null);
+        }
+
+        // Confidence drops when other environments are mentioned too
+        const total = hits.reduce((sum, hit) => sum + hit.matched.length, 0);
+        const confidence = Math.round(ENVIRONMENT_CONFIDENCE.keyword * (hits[0].matched.length / total) * 100) / 100;
+        return this.createResult(hits[0].environment, 'keyword', confidence, hits[0].matched.join(', '));
+    }
+
+    /**
+     * Classifies raw work items ({ id, fields }) and lists the ones that only
+     * keyword matching (or nothing) could place. mappingFor picks each item's
+     * field mapping when the items come from connections with different processes.
+     */
+    classifyAll(workItems, mappingFor = () => this.fieldMapping) {
+        const bySource = { field: 0, areaPath: 0, tag: 0, keyword: 0, none: 0 };
+        const needsReview = [];
+
+        const results = workItems.map(item => {
+            const classification = this.classify(item.fields || {}, mappingFor(item));
+            bySource[classification.source]++;
+
+            if (this.needsReview(classification)) {
+                needsReview.push({
+                    id: item.id,
+                    title: item.fields?.['System.Title'] || '',
+                    ...classification
+                });
+            }
+            return { item, classification };
+        });
+
+        return { results, bySource, needsReview: needsReview.sort((a, b) => a.confidence - b.confidence) };
+    }
+
+    needsReview(classification) {
+        return classification.source === 'keyword' || classification.source === 'none';
+    }
+
+    matchAlias(value) {
+        const normalized = String(value).trim().toLowerCase();
+        const direct = this.environments.find(environment => environment.toLowerCase() === normalized);
+        if (direct) return direct;
+
+        const entry = Object.entries(this.rules.aliases)
+            .find(([, aliases]) => aliases.some(alias => alias.toLowerCase() === normalized));
+        return entry ? entry[0] : null;
+    }
+
+    isUnderPath(areaPath, rulePath) {
+        const path = areaPath.toLowerCase();
+        const root = String(rulePath).toLowerCase();
+        return path === root || path.startsWith(`${root}\\`);
+    }
+
+    createResult(environment, source, confidence, matched) {
+        return { environment, source, confidence, matched };
+    }
+
+    toJSON() {
+        return {
+            areaPathRules: this.rules.areaPathRules,
+            tagRules: this.rules.tagRules,
+            keywords: this.rules.keywords
+        };
+    }
+}
+
+const environmentClassifier = new EnvironmentClassifier();
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnvironmentClassifier, environmentClassifier };
+} else {
+    window.EnvironmentClassifier = EnvironmentClassifier;
+    window.environmentClassifier = environmentClassifier;
+}
@@ -0,0 +1,213 @@
+/**
+ * Field Mapping
+ * Default field, work item type and workflow state names, and the per-project
+ * mapping that translates them for custom and inherited processes
+ */
+
+// Logical fields and work item types mapped to the reference names of the default processes.
+// Inherited processes can remap them (e.g. storyPoints -> Custom.Effort, bug -> Defect).
+const DEFAULT_FIELD_MAPPING = {
+    fields: {
+        storyPoints: 'Microsoft.VSTS.Scheduling.StoryPoints',
+        priority: 'Microsoft.VSTS.Common.Priority',
+        severity: 'Microsoft.VSTS.Common.Severity',
+        originalEstimate: 'Microsoft.VSTS.Scheduling.OriginalEstimate',
+        remainingWork: 'Microsoft.VSTS.Scheduling.RemainingWork',
+        completedWork: 'Microsoft.VSTS.Scheduling.CompletedWork',
+        reproSteps: 'Microsoft.VSTS.TCM.ReproSteps',
+        foundInBuild: 'Microsoft.VSTS.Build.FoundIn',
+        foundInEnvironment: null,   // no standard field; environment is inferred from text when unmapped
+        automatedTestName: 'Microsoft.VSTS.TCM.AutomatedTestName',
+        automatedTestType: 'Microsoft.VSTS.TCM.AutomatedTestType',
+        automationStatus: 'Microsoft.VSTS.TCM.AutomationStatus',
+        blocked: 'Microsoft.VSTS.CMMI.Blocked'   // CMMI only; a "Blocked" tag is honored in every process
+    },
+    types: {
+        story: 'User Story',
+        epic: 'Epic',
+        feature: 'Feature',
+        task: 'Task',
+        bug: 'Bug',
+        testCase: 'Test Case'
+    },
+    // Workflow states grouped by meaning; states in no category count as active
+    states: {
+        proposed: ['New', 'To Do', 'Proposed', 'Approved', 'Design'],
+        active: ['Active', 'In Progress', 'Committed', 'Doing', 'Open', 'Ready'],
+        review: ['Ready for Test', 'In Review', 'Testing'],
+        completed: ['Done', 'Closed', 'Resolved', 'Completed'],
+        removed: ['Removed', 'Cut']
+    }
+};
+
+// Logical fields that must map to numeric ADO fields
+const NUMERIC_FIELD_TYPES = ['integer', 'double'];
+const NUMERIC_LOGICAL_FIELDS = ['storyPoints', 'priority', 'originalEstimate', 'remainingWork', 'completedWork'];
+
+// Logical fields whose default only exists in some processes
+const PROCESS_SPECIFIC_FIELDS = ['blocked'];
+
+/**
+ * Field mapping for custom process templates (window.fieldMapping).
+ * Code is written against the default reference names and type names; the
+ * mapping translates them to the names the project's process actually uses,
+ * and translates work item types back so inherited types ("Defect") are
+ * treated as their standard counterpart ("Bug"). It also groups the
+ * process's workflow states into categories (proposed, active, completed...).
+ */
+class FieldMapping {
+    constructor(mapping = null) {
+        this.setMapping(mapping);
+    }
+
+    setMapping(mapping = null) {
+        this.fields = { ...DEFAULT_FIELD_MAPPING.fields, ...(mapping?.fields || {}) };
+        this.types = { ...DEFAULT_FIELD_MAPPING.types, ...(mapping?.types || {}) };
+
+        // Empty strings from the config form mean "not available in this process"
+        Object.keys(this.fields).forEach(name => {
+            this.fields[name] = this.fields[name]?.trim() || null;
+        });
+        Object.keys(this.types).forEach(name => {
+            this.types[name] = this.types[name]?.trim() || DEFAULT_FIELD_MAPPING.types[name];
+        });
+
+        // State lists come from the config form as comma-separated text
+        this.states = Object.fromEntries(Object.entries(DEFAULT_FIELD_MAPPING.states).map(([category, defaults]) => {
+            const value = mapping?.states?.[category];
+            const states = (Array.isArray(value) ? value : String(value || '').split(','))
+                .map(state => String(state).trim())
+                .filter(Boolean);
+            return [category, states.length > 0 ? states : [...defaults]];
+        }));
+        this.categoriesByState = new Map(Object.entries(this.states)
+            .flatMap(([category, states]) => states.map(state => [state.toLowerCase(), category])));
+
+        this.fieldsByDefault = new Map(Object.entries(DEFAULT_FIELD_MAPPING.fields)
+            .filter(([, referenceName]) => referenceName)
+            .map(([name, referenceName]) => [referenceName.toLowerCase(), name]));
+        this.typesByDefault = new Map(Object.entries(DEFAULT_FIELD_MAPPING.types)
+            .map(([name, typeName]) => [typeName.toLowerCase(), name]));
+        this.typesByMapped = new Map(Object.entries(this.types)
+            .map(([name, typeName]) => [typeName.toLowerCase(), name]));
+
+        return this;
+    }
+
+    reset() {
+        return this.setMapping(null);
+    }
+
+    getField(name) {
+        return this.fields[name] || null;
+    }
+
+    getType(name) {
+        return this.types[name] || null;
+    }
+
+    getValue(fields, name) {
+        const referenceName = this.getField(name);
+        return referenceName ? fields?.[referenceName] : undefined;
+    }
+
+    getStates(category) {
+        return this.states[category] || [];
+    }
+
+    /**
+     * @returns {string|null} proposed, active, review, completed or removed; null without a state
+     */
+    getStateCategory(state) {
+        if (!state) return null;
+        return this.categoriesByState.get(String(state).toLowerCase()) || 'active';
+    }
+
+    isCompletedState(state) {
+        return this.getStateCategory(state) === 'completed';
+    }
+
+    isType(fields, name) {
+        return this.toStandardType(fields?.['System.WorkItemType']) === DEFAULT_FIELD_MAPPING.types[name];
+    }
+
+    /**
+     * Translates a default reference name to the mapped one.
+     * Returns null when the logical field is not available in this process.
+     */
+    resolveField(referenceName) {
+        const name = this.fieldsByDefault.get(String(referenceName).toLowerCase());
+        return name ? this.fields[name] : referenceName;
+    }
+
+    resolveType(typeName) {
+        const name = this.typesByDefault.get(String(typeName).toLowerCase());
+        return name ? this.types[name] : typeName;
+    }
+
+    toStandardType(typeName) {
+        if (!typeName) return typeName;
+        const name = this.typesByMapped.get(String(typeName).toLowerCase());
+        return name ? DEFAULT_FIELD_MAPPING.types[name] : typeName;
+    }
+
+    /**
+     * Checks the mapping against the project's fields (GET _apis/wit/fields)
+     * and, when given, its work item types (GET _apis/wit/workitemtypes)
+     */
+    validate(availableFields, availableTypes = null) {
+        const fieldsByName = new Map(availableFields.map(field => [field.referenceName.toLowerCase(), field]));
+        const errors = [];
+        const warnings = [];
+
+        const fields = Object.entries(this.fields).map(([name, referenceName]) => {
+            if (!referenceName) {
+                return { name, referenceName, status: 'unmapped' };
+            }
+
+            const field = fieldsByName.get(referenceName.toLowerCase());
+            if (!field && PROCESS_SPECIFIC_FIELDS.includes(name)) {
+                warnings.push({ name, referenceName, message: `Field ${referenceName} (${name}) does not exist in this project and will be ignored` });
+                return { name, referenceName, status: 'unavailable' };
+            }
+            if (!field) {
+                errors.push({ name, referenceName, message: `Field ${referenceName} (${name}) does not exist in this project` });
+                return { name, referenceName, status: 'missing' };
+            }
+            if (NUMERIC_LOGICAL_FIELDS.includes(name) && field.type && !NUMERIC_FIELD_TYPES.includes(field.type)) {
+                warnings.push({ name, referenceName, message: `Field ${referenceName} (${name}) is ${field.type}, expected a number` });
+                return { name, referenceName, fieldName: field.name, status: 'wrongType' };
+            }
+            return { name, referenceName, fieldName: field.name, status: 'ok' };
+        });
+
+        const typeNames = availableTypes ? new Set(availableTypes.map(type => type.name.toLowerCase())) : null;
+        const types = Object.entries(this.types).map(([name, typeName]) => {
+            if (typeNames && !typeNames.has(typeName.toLowerCase())) {
+                errors.push({ name, referenceName: typeName, message: `Work item type ${typeName} (${name}) does not exist in this project` });
+                return { name, typeName, status: 'missing' };
+            }
+            return { name, typeName, status: typeNames ? 'ok' : 'unchecked' };
+        });
+
+        return { valid: errors.length === 0, fields, types, errors, warnings };
+    }
+
+    toJSON() {
+        return {
+            fields: { ...this.fields },
+            types: { ...this.types },
+            states: Object.fromEntries(Object.entries(this.states).map(([category, states]) => [category, [...states]]))
+        };
+    }
+}
+
+const fieldMapping = new FieldMapping();
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FieldMapping, fieldMapping };
+} else {
+    window.FieldMapping = FieldMapping;
+    window.fieldMapping = fieldMapping;
+}
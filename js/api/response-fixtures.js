@@ -0,0 +1,237 @@
+/**
+ * Record/replay layer for offline development and demos (window.responseFixtures).
+ * 'record' saves every successful response, with secrets redacted; 'replay'
+ * serves saved responses instead of calling ADO. Fixture keys use the path
+ * relative to the organization, so a recording replays against any org name
+ * and can also be served by mock/ado-mock-server.js. Fixtures are kept in
+ * localStorage alongside the mode so a replay survives a page reload.
+ */
+class ResponseFixtures {
+    constructor() {
+        this.entries = new Map();
+        this.misses = 0;
+        this.secretKeyPattern = /token|password|secret|authorization|credential|apikey|api_key|cookie/i;
+        // Paging tokens match the pattern above but carry no secret, and a
+        // replay needs them to fetch the following page
+        this.pagingKeyPattern = /^(continuationToken|x-ms-continuationtoken)$/i;
+        this.secretValuePatterns = [
+            /\bBasic\s+[A-Za-z0-9+/=]{8,}/g,
+            /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/g,
+            /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g   // JWTs
+        ];
+        // localStorage holds a few MB per origin; larger recordings are kept
+        // in memory and should be downloaded
+        this.maxStoredEntries = 500;
+        this.saveDelay = 1000;
+        this.saveTimer = null;
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('pagehide', () => this.saveTimer && this.saveEntries());
+        }
+        this.loadEntries();
+        this.mode = this.loadMode();
+    }
+
+    loadMode() {
+        let mode = 'live';
+        try {
+            mode = (typeof localStorage !== 'undefined' && localStorage.getItem('adoFixtureMode')) || 'live';
+        } catch (error) {
+            return 'live';
+        }
+
+        // A replay with nothing to serve would fail every request
+        if (mode === 'replay' && this.entries.size === 0) {
+            console.warn('[ADO_API] No stored fixtures to replay, using live mode');
+            return 'live';
+        }
+        return mode;
+    }
+
+    loadEntries() {
+        try {
+            const stored = typeof localStorage !== 'undefined' && localStorage.getItem('adoFixtures');
+            (stored ? JSON.parse(stored) : []).forEach(entry => this.entries.set(entry.key, entry));
+        } catch (error) {
+            console.warn('[ADO_API] Failed to load stored fixtures:', error);
+        }
+    }
+
+    /**
+     * Stores the most recent entries, dropping the oldest half each time the
+     * browser reports the quota exceeded
+     */
+    saveEntries() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        let entries = Array.from(this.entries.values()).slice(-this.maxStoredEntries);
+        while (entries.length > 0) {
+            try {
+                localStorage.setItem('adoFixtures', JSON.stringify(entries));
+                break;
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError') {
+                    console.warn('[ADO_API] Failed to store fixtures, download them to keep this recording:', error);
+                    return;
+                }
+                entries = entries.slice(Math.ceil(entries.length / 2));
+            }
+        }
+
+        if (entries.length < this.entries.size) {
+            console.warn(`[ADO_API] Stored ${entries.length} of ${this.entries.size} fixtures, download them to keep this recording`);
+        }
+    }
+
+    // Recording saves once a burst of responses settles rather than per response
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveEntries();
+        }, this.saveDelay);
+    }
+
+    setMode(mode) {
+        if (!['live', 'record', 'replay'].includes(mode)) {
+            throw errorHandler.createValidationError(`Unknown fixture mode: ${mode}`, 'fixtureMode');
+        }
+        this.mode = mode;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('adoFixtureMode', mode);
+        }
+        console.log('[ADO_API] Fixture mode:', mode);
+    }
+
+    isRecording() {
+        return this.mode === 'record';
+    }
+
+    isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    createKey(method, path, body = null) {
+        const [pathname, query = ''] = path.split('?');
+        const params = [...new URLSearchParams(query).entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+        const bodyText = body ? (typeof body === 'string' ? body : JSON.stringify(body)) : '';
+
+        // ADO routes are case-insensitive (testplan/Plans vs testplan/plans)
+        return `${method.toUpperCase()} ${pathname.toLowerCase()}?${params} ${bodyText}`;
+    }
+
+    /**
+     * Request bodies are redacted before they are keyed or stored, so a
+     * recorded entry and a later replay of the same request share one key
+     */
+    redactBody(body) {
+        return body ? this.redact(typeof body === 'string' ? body : JSON.stringify(body)) : null;
+    }
+
+    record(method, path, body, response) {
+        const redactedBody = this.redactBody(body);
+        const key = this.createKey(method, path, redactedBody);
+        this.entries.set(key, {
+            key,
+            method: method.toUpperCase(),
+            path,
+            body: redactedBody,
+            response: this.redact(response),
+            recordedAt: new Date().toISOString()
+        });
+        this.scheduleSave();
+    }
+
+    replay(method, path, body) {
+        const entry = this.entries.get(this.createKey(method, path, this.redactBody(body)));
+        if (!entry) {
+            this.misses++;
+            const error = errorHandler.createValidationError(`No recorded fixture for ${method} ${path}`);
+            error.status = 404;
+            throw error;
+        }
+        console.log('[ADO_API] Replayed fixture:', method, path);
+        return JSON.parse(JSON.stringify(entry.response));
+    }
+
+    redact(value, key = '') {
+        if (key && this.secretKeyPattern.test(key) && !this.pagingKeyPattern.test(key)) {
+            return '[REDACTED]';
+        }
+        if (typeof value === 'string') {
+            return this.secretValuePatterns.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.redact(v, k)]));
+        }
+        return value;
+    }
+
+    /**
+     * @param {Object|string} source - Fixture document or a URL to fetch it from
+     */
+    async load(source) {
+        const fixtures = typeof source === 'string'
+            ? await fetch(source).then(response => response.json())
+            : source;
+
+        (fixtures.entries || []).forEach(entry => {
+            const key = this.createKey(entry.method, entry.path, this.redactBody(entry.body));
+            this.entries.set(key, { ...entry, key });
+        });
+        this.saveEntries();
+
+        console.log(`[ADO_API] Loaded ${fixtures.entries?.length || 0} fixtures`);
+        return this.entries.size;
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            entries: Array.from(this.entries.values())
+        };
+    }
+
+    download(filename = `ado-fixtures-${new Date().toISOString().split('T')[0]}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return filename;
+    }
+
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.entries.clear();
+        this.misses = 0;
+        this.saveEntries();
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            entries: this.entries.size,
+            misses: this.misses
+        };
+    }
+}
+
+const responseFixtures = new ResponseFixtures();
+
+// Export for global access
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResponseFixtures, responseFixtures };
+} else {
+    window.ResponseFixtures = ResponseFixtures;
+    window.responseFixtures = responseFixtures;
+}
@@ -479,6 +479,126 @@ class ChartManager {
         return chart;
     }
 
+    /**
+     * Pass rate and automation percentage against executed and blocked counts,
+     * from TestTrendHistory entries (per sprint or per day). Drawn from recorded
+     * history only, so it is not part of the real-time sample updates.
+     */
+    createTestTrendChart(containerId, history = []) {
+        const ctx = document.getElementById(containerId);
+        if (!ctx || typeof Chart === 'undefined') return null;
+
+        // Redrawn whenever the history or view changes
+        this.destroyChart(containerId);
+
+        const bySprint = history.some(entry => entry.sprint?.name) && history.every(entry => entry.sprint?.name);
+        const labels = history.map(entry => bySprint ? entry.sprint.name : entry.date);
+
+        // Days backfilled from test runs measure run results, not test points, so they get their own series
+        const fromRuns = entry => entry.source === 'runs';
+        const fromSnapshots = entry => !fromRuns(entry);
+        const line = (label, key, color, axis, options = {}, include = fromSnapshots) => ({
+            label,
+            data: history.map(entry => include(entry) ? entry[key] : null),
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            fill: false,
+            tension: 0.3,
+            pointRadius: 4,
+            pointHoverRadius: 6,
+            spanGaps: true,
+            yAxisID: axis,
+            ...options
+        });
+
+        const config = {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    line('Pass Rate %', 'passRate', this.colorScheme.success, 'percentage'),
+                    line('Automation %', 'automationPercentage', this.colorScheme.primary, 'percentage'),
+                    line('Executed', 'executed', this.colorScheme.info, 'count', { borderDash: [5, 5] }),
+                    line('Blocked', 'blocked', this.colorScheme.error, 'count', { borderDash: [5, 5] }),
+                    ...(history.some(fromRuns) ? [
+                        line('Run Pass Rate %', 'passRate', this.colorScheme.warning, 'percentage',
+                            { borderDash: [2, 4], pointStyle: 'triangle' }, fromRuns),
+                        line('Run Results', 'executed', this.colorScheme.secondary, 'count',
+                            { borderDash: [2, 4], pointStyle: 'triangle', unit: 'results' }, fromRuns)
+                    ] : [])
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: bySprint ? 'Test Execution Trend by Sprint' : 'Test Execution Trend by Day',
+                        font: { size: 16, weight: 'bold' }
+                    },
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        onClick: this.legendClickHandler.bind(this)
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const value = context.parsed.y;
+                                if (value === null || value === undefined) return `${context.dataset.label}: not recorded`;
+                                return context.dataset.yAxisID === 'percentage'
+                                    ? `${context.dataset.label.replace(' %', '')}: ${value}%`
+                                    : `${context.dataset.label}: ${value} ${context.dataset.unit || 'tests'}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: bySprint ? 'Sprint' : 'Date'
+                        }
+                    },
+                    percentage: {
+                        type: 'linear',
+                        position: 'left',
+                        min: 0,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Percent'
+                        }
+                    },
+                    count: {
+                        type: 'linear',
+                        position: 'right',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Tests'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                },
+                animation: this.animations
+            }
+        };
+
+        const chart = new Chart(ctx, config);
+        this.charts.set(containerId, chart);
+
+        return chart;
+    }
+
     createTestTypesChart(containerId, data = null) {
         const ctx = document.getElementById(containerId);
         if (!ctx || typeof Chart === 'undefined') return null;
@@ -911,6 +1031,7 @@ class ChartManager {
             'velocity': this.createVelocityChart,
             'burndown': this.createBurndownChart,
             'testResults': this.createTestResultsChart,
+            'testTrend': this.createTestTrendChart,
             'testTypes': this.createTestTypesChart,
             'coverage': this.createCoverageHeatmap,
             'bugSeverity': this.createBugSeverityChart,
@@ -0,0 +1,225 @@
+/**
+ * Area Path Selector Component - Production Implementation
+ * Handles area path selection with include-children semantics; the selection
+ * scopes every WIQL query through window.areaScope
+ */
+class AreaPathSelector {
+    constructor(adoClient) {
+        this.adoClient = adoClient;
+        this.selectedAreas = [];
+        this.areaTree = null;
+        this.areas = [];
+        this.searchTerm = '';
+    }
+
+    async initialize() {
+        try {
+            await this.loadAreas();
+            this.renderAreasList();
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('Failed to initialize AreaPathSelector:', error);
+            this.showError('Failed to load area paths. Please check your connection.');
+        }
+    }
+
+    async loadAreas() {
+        if (!this.adoClient) {
+            throw new Error('ADO Client not initialized');
+        }
+
+        try {
+            this.areaTree = await this.adoClient.getAreaTree();
+            const flatten = node => [node, ...node.children.flatMap(flatten)];
+            this.areas = flatten(this.areaTree);
+            console.log(`Loaded ${this.areas.length} area paths`);
+            return this.areas;
+        } catch (error) {
+            console.error('Failed to load area paths:', error);
+            throw error;
+        }
+    }
+
+    renderAreasList() {
+        const container = document.getElementById('areaPathsList');
+        if (!container) return;
+
+        const term = this.searchTerm.toLowerCase();
+        const visibleAreas = this.areas.filter(area => !term || area.path.toLowerCase().includes(term));
+
+        if (visibleAreas.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>${this.areas.length === 0 ? 'No area paths found in this project.' : 'No area paths match your search.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = visibleAreas.map(area => {
+            const isSelected = this.isAreaSelected(area.path);
+            const coveredBy = !isSelected && this.getCoveringArea(area.path);
+
+            return `
+                <div class="board-item area-item ${isSelected ? 'selected' : ''}"
+                     data-area-path="${area.path}"
+                     style="padding-left: ${12 + (term ? 0 : area.depth * 18)}px;">
+                    <div class="board-info">
+                        <div class="board-name">${term ? area.path : area.name}</div>
+                        <div class="board-details">
+                            ${area.hasChildren ? `<span class="board-type">${area.children.length} sub-areas</span>` : ''}
+                            ${coveredBy ? `<span class="board-type">included by ${coveredBy.path}</span>` : ''}
+                        </div>
+                    </div>
+                    <div class="board-actions">
+                        <input type="checkbox"
+                               class="area-checkbox"
+                               data-area-path="${area.path}"
+                               ${isSelected ? 'checked' : ''}>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.updateSelectedDisplay();
+    }
+
+    setupEventListeners() {
+        const container = document.getElementById('areaPathsList');
+        container?.addEventListener('change', (event) => {
+            if (event.target.classList.contains('area-checkbox')) {
+                this.handleAreaSelection(event.target.dataset.areaPath, event.target.checked);
+            }
+        });
+
+        document.getElementById('selectedAreaPaths')?.addEventListener('change', (event) => {
+            if (event.target.classList.contains('area-children-toggle')) {
+                this.setIncludeChildren(event.target.dataset.areaPath, event.target.checked);
+            }
+        });
+
+        document.getElementById('areaSearch')?.addEventListener('input', (event) => {
+            this.searchTerm = event.target.value;
+            this.renderAreasList();
+        });
+    }
+
+    handleAreaSelection(path, isSelected) {
+        if (isSelected) {
+            if (!this.isAreaSelected(path)) {
+                this.selectedAreas.push({ path, includeChildren: true });
+            }
+        } else {
+            this.selectedAreas = this.selectedAreas.filter(area => area.path !== path);
+        }
+
+        this.updateUI();
+        this.notifySelectionChange();
+    }
+
+    setIncludeChildren(path, includeChildren) {
+        const area = this.selectedAreas.find(a => a.path === path);
+        if (!area) return;
+
+        area.includeChildren = includeChildren;
+        this.updateUI();
+        this.notifySelectionChange();
+    }
+
+    updateUI() {
+        this.renderAreasList();
+        this.updateSelectedDisplay();
+    }
+
+    updateSelectedDisplay() {
+        const container = document.getElementById('selectedAreaPaths');
+        if (!container) return;
+
+        if (this.selectedAreas.length === 0) {
+            container.innerHTML = '<div class="empty-state">All areas (no filter)</div>';
+            return;
+        }
+
+        container.innerHTML = this.selectedAreas.map(area => `
+            <div class="selected-item" data-area-path="${area.path}">
+                <div class="item-info">
+                    <div class="item-name">${area.path}</div>
+                    <label class="item-type">
+                        <input type="checkbox" class="area-children-toggle" data-area-path="${area.path}"
+                               ${area.includeChildren ? 'checked' : ''}>
+                        Include sub-areas
+                    </label>
+                </div>
+                <button class="remove-btn" onclick="areaPathSelector.removeArea('${area.path.replace(/\\/g, '\\\\')}')">
+                    ×
+                </button>
+            </div>
+        `).join('');
+    }
+
+    removeArea(path) {
+        this.selectedAreas = this.selectedAreas.filter(area => area.path !== path);
+        this.updateUI();
+        this.notifySelectionChange();
+    }
+
+    isAreaSelected(path) {
+        return this.selectedAreas.some(area => area.path === path);
+    }
+
+    // A selected ancestor with include-children already covers this path
+    getCoveringArea(path) {
+        return this.selectedAreas.find(area =>
+            area.includeChildren && path.toLowerCase().startsWith(`${area.path.toLowerCase()}\\`)
+        ) || null;
+    }
+
+    getSelectedAreas() {
+        return this.selectedAreas.map(area => ({ ...area }));
+    }
+
+    notifySelectionChange() {
+        if (window.areaScope) {
+            window.areaScope.setAreas(this.selectedAreas);
+        }
+
+        const event = new CustomEvent('areaSelectionChanged', {
+            detail: {
+                selectedAreas: this.getSelectedAreas(),
+                areaPaths: this.selectedAreas.map(area => area.path)
+            }
+        });
+
+        document.dispatchEvent(event);
+    }
+
+    showError(message) {
+        const container = document.getElementById('areaPathsList');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="error-state">
+                <div class="error-icon">⚠️</div>
+                <div class="error-message">${message}</div>
+                <button class="btn btn-secondary" onclick="areaPathSelector.initialize()">
+                    Retry
+                </button>
+            </div>
+        `;
+    }
+
+    saveToConfig(config) {
+        config.selectedAreas = this.getSelectedAreas();
+    }
+
+    loadFromConfig(config) {
+        if (config.selectedAreas && Array.isArray(config.selectedAreas)) {
+            this.selectedAreas = config.selectedAreas
+                .filter(area => area?.path)
+                .map(area => ({ path: area.path, includeChildren: area.includeChildren !== false }));
+            this.updateUI();
+        }
+    }
+}
+
+window.AreaPathSelector = AreaPathSelector;
@@ -13,9 +13,39 @@ class ConfigurationManager {
             connection: {
                 organization: '',
                 project: '',
+                authType: 'pat', // 'pat' | 'oauth' | 'bearer'
                 patToken: '',
+                oauth: {
+                    clientId: '',
+                    tenantId: ''
+                },
                 proxyUrl: ''
             },
+            // Additional org/project connections aggregated alongside the primary one
+            connections: [],
+            // Overrides of the default field/type reference names and state categories (see FieldMapping)
+            fieldMapping: {
+                fields: {},
+                types: {},
+                states: {}
+            },
+            // Bug environment rules (see EnvironmentClassifier); keywords override per environment
+            environmentRules: {
+                areaPathRules: [],
+                tagRules: [],
+                keywords: {}
+            },
+            // Test categories and matching rules (see TestTaxonomy); empty means the defaults
+            testTaxonomy: {
+                categories: {},
+                precedence: [],
+                suiteRules: [],
+                areaPathRules: []
+            },
+            // Area paths scoping every query (see AreaScope); empty means the whole project
+            areas: {
+                selected: []
+            },
             boards: {
                 available: [],
                 selected: [],
@@ -61,6 +91,41 @@ class ConfigurationManager {
         this.currentTab = 'connection';
         this.isConnected = false;
         this.connectionStatus = 'offline';
+        // Additional connection whose field mapping the Field Mapping tab edits; null for the primary one
+        this.fieldMappingConnectionId = null;
+
+        this.fieldMappingLabels = {
+            fields: {
+                storyPoints: 'Story Points / Effort',
+                priority: 'Priority',
+                severity: 'Severity',
+                originalEstimate: 'Original Estimate',
+                remainingWork: 'Remaining Work',
+                completedWork: 'Completed Work',
+                reproSteps: 'Repro Steps',
+                foundInBuild: 'Found In Build',
+                foundInEnvironment: 'Found In Environment',
+                automatedTestName: 'Automated Test Name',
+                automatedTestType: 'Automated Test Type',
+                automationStatus: 'Automation Status',
+                blocked: 'Blocked'
+            },
+            types: {
+                story: 'Story',
+                epic: 'Epic',
+                feature: 'Feature',
+                task: 'Task',
+                bug: 'Bug',
+                testCase: 'Test Case'
+            },
+            states: {
+                proposed: 'Proposed',
+                active: 'Active',
+                review: 'In Review',
+                completed: 'Completed',
+                removed: 'Removed'
+            }
+        };
         
         this.initialize();
     }
@@ -68,8 +133,14 @@ class ConfigurationManager {
     initialize() {
         console.log('🔧 Initializing Configuration Manager...');
         this.loadSavedConfiguration();
+        this.applyFieldMapping();
+        this.applyEnvironmentRules();
+        this.applyTestTaxonomy();
+        this.applyAreaSelection();
+        this.syncClientPool();
         this.setupEventListeners();
         this.updateUI();
+        this.resumeOAuthSignIn();
         console.log('✅ Configuration Manager initialized');
     }
 
@@ -112,6 +183,11 @@ class ConfigurationManager {
                     this.loadAvailableIterations();
                 }
                 break;
+            case 'areas':
+                if (this.isConnected) {
+                    this.loadAvailableAreas();
+                }
+                break;
         }
     }
 
@@ -119,35 +195,44 @@ class ConfigurationManager {
     async testConnection() {
         const org = document.getElementById('organization').value;
         const project = document.getElementById('project').value;
-        const pat = document.getElementById('patToken').value;
+        const authType = document.getElementById('authType')?.value || 'pat';
+        const pat = authType === 'pat' ? document.getElementById('patToken').value : '';
         const proxy = document.getElementById('proxyUrl').value;
+        const oauth = {
+            clientId: document.getElementById('oauthClientId')?.value.trim() || '',
+            tenantId: document.getElementById('oauthTenantId')?.value.trim() || ''
+        };
 
-        if (!org || !project || !pat) {
+        if (!org || !project || (authType === 'pat' && !pat) || (authType === 'oauth' && !oauth.clientId)) {
             this.showNotification('Please fill in all required connection details', 'error');
             return;
         }
 
+        const connection = { organization: org, project, authType, patToken: pat, oauth, proxyUrl: proxy };
         this.updateConnectionStatus('testing', 'Testing connection...');
         
         try {
-            // Test basic connection with correct Azure DevOps API URL
-            const testUrl = `https://dev.azure.com/${org}/_apis/projects/${project}?api-version=6.0`;
-            const response = await fetch(testUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + pat)}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
-            });
+            const client = this.getADOClient(false);
+            client.setConfiguration(this.toClientConfig(connection));
+
+            // Entra ID sign-in leaves the page; resumeOAuthSignIn() finishes the test on return
+            if (authType === 'oauth' && !client.authProvider.isConfigured()) {
+                this.config.connection = connection;
+                localStorage.setItem('adoMetricsConfig', JSON.stringify(this.config));
+                this.updateConnectionStatus('testing', 'Redirecting to Microsoft sign-in...');
+                await client.authProvider.beginLogin();
+                return;
+            }
 
-            if (response.ok) {
-                const projectData = await response.json();
+            const result = await client.testConnection();
+
+            if (result.success) {
                 this.isConnected = true;
-                this.updateConnectionStatus('online', `Connected to ${projectData.name || project}`);
+                this.updateConnectionStatus('online', `Connected to ${result.project?.name || project}`);
                 
                 // Save connection details
-                this.config.connection = { org, project, patToken: pat, proxyUrl: proxy };
+                this.config.connection = connection;
+                this.syncClientPool();
                 this.saveConfiguration();
                 
                 // Load initial data
@@ -155,8 +240,7 @@ class ConfigurationManager {
                 
                 this.showNotification('Connection successful! Loading boards and teams...', 'success');
             } else {
-                const errorText = await response.text();
-                throw new Error(`Connection failed: ${response.status} - ${errorText}`);
+                throw new Error(result.message);
             }
         } catch (error) {
             console.error('Connection test failed:', error);
@@ -166,13 +250,140 @@ class ConfigurationManager {
         }
     }
 
+    async resumeOAuthSignIn() {
+        const connection = this.config.connection;
+        if (connection.authType !== 'oauth' || !new URLSearchParams(window.location.search).has('code')) {
+            return;
+        }
+
+        try {
+            const provider = createAuthProvider(this.toClientConfig(connection));
+            if (await provider.handleRedirect()) {
+                await this.testConnection();
+            }
+        } catch (error) {
+            console.error('OAuth sign-in failed:', error);
+            this.updateConnectionStatus('offline', 'Sign-in failed');
+            this.showNotification(`Sign-in failed: ${error.message}`, 'error');
+        }
+    }
+
+    updateAuthFields(authType) {
+        const groups = { pat: 'patTokenGroup', oauth: 'oauthGroup', bearer: 'bearerGroup' };
+        Object.entries(groups).forEach(([type, id]) => {
+            const group = document.getElementById(id);
+            if (group) group.style.display = type === authType ? '' : 'none';
+        });
+    }
+
+    async addConnection() {
+        const connection = {
+            label: document.getElementById('connLabel').value.trim(),
+            organization: document.getElementById('connOrganization').value.trim(),
+            project: document.getElementById('connProject').value.trim(),
+            patToken: document.getElementById('connPatToken').value,
+            proxyUrl: document.getElementById('connProxyUrl')?.value.trim() || ''
+        };
+
+        // Without a PAT the connection signs in the same way as the primary one
+        const sharesPrimaryAuth = (this.config.connection.authType || 'pat') !== 'pat';
+        if (!connection.organization || !connection.project || (!connection.patToken && !sharesPrimaryAuth)) {
+            this.showNotification('Please fill in organization, project and PAT for the additional connection', 'error');
+            return;
+        }
+
+        connection.id = `${connection.organization}/${connection.project}`;
+        if (this.getConnections().some(existing => existing.id === connection.id)) {
+            this.showNotification(`${connection.id} is already connected`, 'warning');
+            return;
+        }
+
+        try {
+            const client = new ADOClient(this.toClientConfig(connection));
+            const result = await client.testConnection();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            this.config.connections.push(connection);
+            this.syncClientPool();
+            this.renderConnections();
+            this.saveConfiguration();
+
+            ['connLabel', 'connOrganization', 'connProject', 'connPatToken', 'connProxyUrl'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.value = '';
+            });
+            this.showNotification(`Added connection ${connection.label || connection.id}`, 'success');
+        } catch (error) {
+            console.error('Additional connection failed:', error);
+            this.showNotification(`Connection to ${connection.id} failed: ${error.message}`, 'error');
+        }
+    }
+
+    removeConnection(connectionId) {
+        this.config.connections = this.config.connections.filter(c => c.id !== connectionId);
+        if (this.fieldMappingConnectionId === connectionId) {
+            this.fieldMappingConnectionId = null;
+            this.renderFieldMapping();
+        }
+        this.syncClientPool();
+        this.renderConnections();
+        this.saveConfiguration();
+    }
+
+    renderConnections() {
+        this.renderFieldMappingConnections();
+        const container = document.getElementById('additionalConnectionsList');
+        if (!container) return;
+
+        if (this.config.connections.length === 0) {
+            container.innerHTML = '<div class="empty-state">No additional connections</div>';
+            return;
+        }
+
+        container.innerHTML = this.config.connections.map(connection => `
+            <div class="board-item connection-item">
+                <div class="board-info">
+                    <h5>${connection.label || connection.project}</h5>
+                    <p>${connection.organization} / ${connection.project}</p>
+                </div>
+                <div class="board-actions" onclick="configManager.removeConnection('${connection.id}')" title="Remove connection">✕</div>
+            </div>
+        `).join('');
+    }
+
+    renderFieldMappingConnections() {
+        const select = document.getElementById('fieldMappingConnection');
+        if (!select) return;
+
+        const primary = this.config.connection;
+        const options = [
+            { id: '', label: `${primary.project || 'Primary connection'} (primary)` },
+            ...this.config.connections.map(connection => ({
+                id: connection.id,
+                label: `${connection.label || connection.project}${connection.fieldMapping ? '' : ' (uses primary mapping)'}`
+            }))
+        ];
+        select.innerHTML = options.map(option => `
+            <option value="${option.id}" ${option.id === (this.fieldMappingConnectionId || '') ? 'selected' : ''}>${option.label}</option>
+        `).join('');
+    }
+
+    syncClientPool() {
+        if (window.adoClientPool) {
+            window.adoClientPool.setConnections(this.getConnections());
+        }
+    }
+
     async loadInitialData() {
         try {
-            // Load boards, teams, and iterations in parallel
+            // Load boards, teams, iterations and areas in parallel
             await Promise.all([
                 this.loadAvailableBoards(),
                 this.loadAvailableResources(),
-                this.loadAvailableIterations()
+                this.loadAvailableIterations(),
+                this.loadAvailableAreas()
             ]);
         } catch (error) {
             console.error('Failed to load initial data:', error);
@@ -185,21 +396,10 @@ class ConfigurationManager {
         if (!this.isConnected) return;
 
         try {
-            const { org, project, patToken } = this.config.connection;
+            const client = this.getADOClient();
             
             // First get the team to access boards
-            const teamResponse = await fetch(`https://dev.azure.com/${org}/_apis/projects/${project}/teams?api-version=6.0`, {
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + patToken)}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!teamResponse.ok) {
-                throw new Error(`Failed to fetch teams: ${teamResponse.status}`);
-            }
-
-            const teamData = await teamResponse.json();
+            const teamData = await client.getTeams();
             const teams = teamData.value || [];
 
             if (teams.length === 0) {
@@ -209,29 +409,19 @@ class ConfigurationManager {
 
             // Get boards for the first team (or default team)
             const team = teams[0];
-            const boardResponse = await fetch(`https://dev.azure.com/${org}/${project}/${team.id}/_apis/work/boards?api-version=6.0`, {
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + patToken)}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            const boardData = await client.getBoards(team.id);
 
-            if (boardResponse.ok) {
-                const boardData = await boardResponse.json();
-                this.config.boards.available = boardData.value.map(board => ({
-                    id: board.id,
-                    name: board.name,
-                    url: board.url,
-                    teamId: team.id,
-                    teamName: team.name,
-                    columns: board.columns || []
-                }));
-
-                this.renderAvailableBoards();
-                this.showNotification(`Found ${this.config.boards.available.length} boards`, 'success');
-            } else {
-                throw new Error(`Failed to fetch boards: ${boardResponse.status}`);
-            }
+            this.config.boards.available = (boardData.value || []).map(board => ({
+                id: board.id,
+                name: board.name,
+                url: board.url,
+                teamId: team.id,
+                teamName: team.name,
+                columns: board.columns || []
+            }));
+
+            this.renderAvailableBoards();
+            this.showNotification(`Found ${this.config.boards.available.length} boards`, 'success');
 
         } catch (error) {
             console.error('Failed to load boards:', error);
@@ -308,21 +498,10 @@ class ConfigurationManager {
         if (!this.isConnected) return;
 
         try {
-            const { org, project, patToken } = this.config.connection;
+            const client = this.getADOClient();
             
             // Get project teams and members
-            const teamResponse = await fetch(`https://dev.azure.com/${org}/_apis/projects/${project}/teams?api-version=6.0`, {
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + patToken)}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!teamResponse.ok) {
-                throw new Error(`Failed to fetch teams: ${teamResponse.status}`);
-            }
-
-            const teamData = await teamResponse.json();
+            const teamData = await client.getTeams();
             const teams = teamData.value || [];
 
             let allMembers = [];
@@ -330,25 +509,16 @@ class ConfigurationManager {
             // Get members for each team
             for (const team of teams) {
                 try {
-                    const memberResponse = await fetch(`https://dev.azure.com/${org}/_apis/projects/${project}/teams/${team.id}/members?api-version=6.0`, {
-                        headers: {
-                            'Authorization': `Basic ${btoa(':' + patToken)}`,
-                            'Content-Type': 'application/json'
-                        }
-                    });
-
-                    if (memberResponse.ok) {
-                        const memberData = await memberResponse.json();
-                        const members = memberData.value.map(member => ({
-                            id: member.identity.id,
-                            name: member.identity.displayName,
-                            email: member.identity.uniqueName || '',
-                            teamId: team.id,
-                            teamName: team.name,
-                            isActive: member.identity.isActive !== false
-                        }));
-                        allMembers.push(...members);
-                    }
+                    const memberData = await client.getTeamMembers(team.id);
+                    const members = (memberData.value || []).map(member => ({
+                        id: member.identity.id,
+                        name: member.identity.displayName,
+                        email: member.identity.uniqueName || '',
+                        teamId: team.id,
+                        teamName: team.name,
+                        isActive: member.identity.isActive !== false
+                    }));
+                    allMembers.push(...members);
                 } catch (memberError) {
                     console.warn(`Failed to load members for team ${team.name}:`, memberError);
                 }
@@ -461,21 +631,10 @@ class ConfigurationManager {
         if (!this.isConnected) return;
 
         try {
-            const { org, project, patToken } = this.config.connection;
+            const client = this.getADOClient();
             
             // Get the default team first
-            const teamResponse = await fetch(`https://dev.azure.com/${org}/_apis/projects/${project}/teams?api-version=6.0`, {
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + patToken)}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!teamResponse.ok) {
-                throw new Error(`Failed to fetch teams: ${teamResponse.status}`);
-            }
-
-            const teamData = await teamResponse.json();
+            const teamData = await client.getTeams();
             const teams = teamData.value || [];
 
             if (teams.length === 0) {
@@ -486,30 +645,19 @@ class ConfigurationManager {
             const team = teams[0]; // Use the first team
 
             // Get iterations for the team
-            const iterationResponse = await fetch(`https://dev.azure.com/${org}/${project}/${team.id}/_apis/work/teamsettings/iterations?api-version=6.0`, {
-                headers: {
-                    'Authorization': `Basic ${btoa(':' + patToken)}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (iterationResponse.ok) {
-                const iterationData = await iterationResponse.json();
-                this.config.iterations.available = iterationData.value.map(iteration => ({
-                    id: iteration.id,
-                    name: iteration.name,
-                    path: iteration.path,
-                    startDate: iteration.attributes?.startDate,
-                    finishDate: iteration.attributes?.finishDate,
-                    timeFrame: iteration.attributes?.timeFrame || 'current'
-                }));
-
-                this.renderAvailableIterations();
-                this.autoSelectCurrentSprint();
-                this.showNotification(`Found ${this.config.iterations.available.length} iterations`, 'success');
-            } else {
-                throw new Error(`Failed to fetch iterations: ${iterationResponse.status}`);
-            }
+            const iterationData = await client.getIterations(team.id);
+            this.config.iterations.available = (iterationData.value || []).map(iteration => ({
+                id: iteration.id,
+                name: iteration.name,
+                path: iteration.path,
+                startDate: iteration.attributes?.startDate,
+                finishDate: iteration.attributes?.finishDate,
+                timeFrame: iteration.attributes?.timeFrame || 'current'
+            }));
+
+            this.renderAvailableIterations();
+            this.autoSelectCurrentSprint();
+            this.showNotification(`Found ${this.config.iterations.available.length} iterations`, 'success');
 
         } catch (error) {
             console.error('Failed to load iterations:', error);
@@ -552,6 +700,33 @@ class ConfigurationManager {
         }
     }
 
+    // Area Path Management
+    async loadAvailableAreas() {
+        if (!this.isConnected) return;
+
+        const client = this.getADOClient();
+        if (!window.areaPathSelector) {
+            window.areaPathSelector = new AreaPathSelector(client);
+            window.areaPathSelector.loadFromConfig({ selectedAreas: this.config.areas.selected });
+            await window.areaPathSelector.initialize();
+            return;
+        }
+
+        try {
+            window.areaPathSelector.adoClient = client;
+            await window.areaPathSelector.loadAreas();
+            window.areaPathSelector.renderAreasList();
+        } catch (error) {
+            window.areaPathSelector.showError(`Failed to load area paths: ${error.message}`);
+        }
+    }
+
+    applyAreaSelection() {
+        if (window.areaScope) {
+            window.areaScope.setAreas(this.config.areas.selected);
+        }
+    }
+
     // UI Update Methods
     updateConnectionStatus(status, message) {
         this.connectionStatus = status;
@@ -573,6 +748,22 @@ class ConfigurationManager {
         }
     }
 
+    updateCurrentAreasDisplay() {
+        const element = document.getElementById('currentAreas');
+        if (!element) return;
+
+        const selected = this.config.areas.selected;
+        if (selected.length === 0) {
+            element.textContent = 'All Areas';
+            element.className = 'value not-configured';
+        } else {
+            element.textContent = selected
+                .map(area => area.path.split('\\').pop() + (area.includeChildren ? '' : ' (only)'))
+                .join(', ');
+            element.className = 'value configured';
+        }
+    }
+
     updateCurrentResourcesDisplay() {
         const element = document.getElementById('currentResources');
         const count = this.config.resources.selected.length;
@@ -629,6 +820,13 @@ class ConfigurationManager {
                 if (this.config.connection.project) {
                     document.getElementById('project').value = this.config.connection.project;
                 }
+                const authType = this.config.connection.authType || 'pat';
+                if (document.getElementById('authType')) {
+                    document.getElementById('authType').value = authType;
+                    document.getElementById('oauthClientId').value = this.config.connection.oauth?.clientId || '';
+                    document.getElementById('oauthTenantId').value = this.config.connection.oauth?.tenantId || '';
+                    this.updateAuthFields(authType);
+                }
                 // Note: Don't restore PAT for security
             }
         } catch (error) {
@@ -644,16 +842,15 @@ class ConfigurationManager {
     }
 
     // Utility Methods
-    async makeADORequest(url, options = {}) {
-        const { proxyUrl } = this.config.connection;
-        const finalUrl = proxyUrl ? `${proxyUrl}${url}` : `https://dev.azure.com${url}`;
-        
-        const response = await fetch(finalUrl, {
-            ...options,
-            mode: 'cors'
-        });
-        
-        return response;
+    getADOClient(requireConfigured = true) {
+        const client = window.adoClient;
+        if (!client) {
+            throw new Error('ADO API client not loaded');
+        }
+        if (requireConfigured && !client.isConfigured()) {
+            return null;
+        }
+        return client;
     }
 
     showNotification(message, type = 'info') {
@@ -698,6 +895,18 @@ class ConfigurationManager {
         document.getElementById('resourceSearch')?.addEventListener('input', (e) => {
             this.filterResources(e.target.value);
         });
+
+        // Show the credential fields for the selected authentication type
+        document.getElementById('authType')?.addEventListener('change', (e) => {
+            this.updateAuthFields(e.target.value);
+        });
+
+        // Area selection scopes every query, so cached results are stale
+        document.addEventListener('areaSelectionChanged', (e) => {
+            this.config.areas.selected = e.detail.selectedAreas;
+            window.adoClientPool?.clearCache();
+            this.updateCurrentAreasDisplay();
+        });
     }
 
     filterResources(searchTerm) {
@@ -708,8 +917,326 @@ class ConfigurationManager {
         });
     }
 
+    // Field mapping for custom process templates; additional connections can override it
+    applyFieldMapping() {
+        if (window.fieldMapping) {
+            window.fieldMapping.setMapping(this.config.fieldMapping);
+        }
+    }
+
+    getEditedConnection() {
+        return this.config.connections.find(connection => connection.id === this.fieldMappingConnectionId) || null;
+    }
+
+    getEditedFieldMapping() {
+        const connection = this.getEditedConnection();
+        return connection?.fieldMapping ? new FieldMapping(connection.fieldMapping) : window.fieldMapping;
+    }
+
+    selectFieldMappingConnection(connectionId) {
+        this.fieldMappingConnectionId = connectionId || null;
+        this.renderFieldMapping();
+    }
+
+    renderFieldMapping(validation = null, mapping = this.getEditedFieldMapping()?.toJSON()) {
+        this.renderFieldMappingConnections();
+        const fieldsContainer = document.getElementById('fieldMappingFields');
+        const typesContainer = document.getElementById('fieldMappingTypes');
+        const statesContainer = document.getElementById('fieldMappingStates');
+        if (!fieldsContainer || !typesContainer || !mapping) return;
+
+        const statusOf = (list, name) => {
+            const status = list?.find(entry => entry.name === name)?.status;
+            if (status === 'missing') return 'mapping-error';
+            if (status === 'wrongType' || status === 'unavailable') return 'mapping-warning';
+            return '';
+        };
+        const renderInput = (kind, name, value, status) => `
+            <div class="form-group">
+                <label for="mapping-${kind}-${name}">${this.fieldMappingLabels[kind][name]}</label>
+                <input type="text" id="mapping-${kind}-${name}" class="${status}" data-mapping-${kind.slice(0, -1)}="${name}" value="${value || ''}">
+            </div>
+        `;
+
+        typesContainer.innerHTML = Object.keys(this.fieldMappingLabels.types)
+            .map(name => renderInput('types', name, mapping.types[name], statusOf(validation?.types, name)))
+            .join('');
+        fieldsContainer.innerHTML = Object.keys(this.fieldMappingLabels.fields)
+            .map(name => renderInput('fields', name, mapping.fields[name], statusOf(validation?.fields, name)))
+            .join('');
+        if (statesContainer) {
+            statesContainer.innerHTML = Object.keys(this.fieldMappingLabels.states)
+                .map(name => renderInput('states', name, (mapping.states?.[name] || []).join(', '), ''))
+                .join('');
+        }
+
+        const results = document.getElementById('fieldMappingResults');
+        if (results) {
+            const messages = [
+                ...(validation?.errors || []).map(error => `<div class="mapping-error">✕ ${error.message}</div>`),
+                ...(validation?.warnings || []).map(warning => `<div class="mapping-warning">⚠ ${warning.message}</div>`)
+            ];
+            results.innerHTML = validation?.valid && messages.length === 0
+                ? '<div>✓ All mapped fields and work item types exist in this project</div>'
+                : messages.join('');
+        }
+    }
+
+    readFieldMappingForm() {
+        const mapping = { fields: {}, types: {}, states: {} };
+        document.querySelectorAll('[data-mapping-field]').forEach(input => {
+            mapping.fields[input.dataset.mappingField] = input.value.trim();
+        });
+        document.querySelectorAll('[data-mapping-type]').forEach(input => {
+            mapping.types[input.dataset.mappingType] = input.value.trim();
+        });
+        document.querySelectorAll('[data-mapping-state]').forEach(input => {
+            mapping.states[input.dataset.mappingState] = input.value.trim();
+        });
+        return mapping;
+    }
+
+    async validateFieldMapping() {
+        const connection = this.getEditedConnection();
+        const client = connection ? window.adoClientPool?.getClient(connection.id) : this.getADOClient();
+        if (!client) {
+            this.showNotification('Connect to Azure DevOps before validating the field mapping', 'warning');
+            return;
+        }
+
+        const candidate = new FieldMapping(this.readFieldMappingForm());
+
+        try {
+            const validation = await client.validateFieldMapping(candidate);
+            if (!validation.valid) {
+                // Keep the rejected values on screen next to their errors
+                this.renderFieldMapping(validation, candidate.toJSON());
+                this.showNotification(`Field mapping has ${validation.errors.length} error(s) - not applied`, 'error');
+                return;
+            }
+
+            if (connection) {
+                connection.fieldMapping = candidate.toJSON();
+                this.syncClientPool();
+            } else {
+                this.config.fieldMapping = candidate.toJSON();
+                this.applyFieldMapping();
+            }
+            window.adoClientPool?.clearCache();
+            this.saveConfiguration();
+            this.renderFieldMapping(validation);
+        } catch (error) {
+            console.error('Field mapping validation failed:', error);
+            this.showNotification(`Failed to validate field mapping: ${error.message}`, 'error');
+        }
+    }
+
+    resetFieldMapping() {
+        const connection = this.getEditedConnection();
+        if (connection) {
+            // Falls back to the primary connection's mapping
+            delete connection.fieldMapping;
+            this.syncClientPool();
+        } else {
+            this.config.fieldMapping = { fields: {}, types: {}, states: {} };
+            this.applyFieldMapping();
+        }
+        window.adoClientPool?.clearCache();
+        this.saveConfiguration();
+        this.renderFieldMapping();
+    }
+
+    // Bug environment classification rules
+    applyEnvironmentRules() {
+        if (window.environmentClassifier) {
+            window.environmentClassifier.setRules(this.config.environmentRules);
+        }
+    }
+
+    renderEnvironmentRules() {
+        const classifier = window.environmentClassifier;
+        const areaPathInput = document.getElementById('envAreaPathRules');
+        if (!classifier || !areaPathInput) return;
+
+        const rules = classifier.toJSON();
+        areaPathInput.value = rules.areaPathRules.map(rule => `${rule.path} => ${rule.environment}`).join('\n');
+        document.getElementById('envTagRules').value = rules.tagRules.map(rule => `${rule.tag} => ${rule.environment}`).join('\n');
+        document.getElementById('envKeywords').value = Object.entries(rules.keywords)
+            .map(([environment, keywords]) => `${environment}: ${keywords.join(', ')}`)
+            .join('\n');
+    }
+
+    saveEnvironmentRules() {
+        const lines = id => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+        const parseMapping = (id, key) => lines(id).map(line => {
+            const [value, environment] = line.split('=>').map(part => part?.trim());
+            if (!value || !environment) {
+                throw new Error(`Expected "value => Environment" but got "${line}"`);
+            }
+            return { [key]: value, environment };
+        });
+
+        try {
+            const keywords = {};
+            lines('envKeywords').forEach(line => {
+                const separator = line.indexOf(':');
+                if (separator <= 0) {
+                    throw new Error(`Expected "Environment: keyword, keyword" but got "${line}"`);
+                }
+                keywords[line.slice(0, separator).trim()] = line.slice(separator + 1)
+                    .split(',')
+                    .map(keyword => keyword.trim())
+                    .filter(Boolean);
+            });
+
+            this.config.environmentRules = {
+                areaPathRules: parseMapping('envAreaPathRules', 'path'),
+                tagRules: parseMapping('envTagRules', 'tag'),
+                keywords
+            };
+        } catch (error) {
+            this.showNotification(`Invalid environment rule: ${error.message}`, 'error');
+            return;
+        }
+
+        this.applyEnvironmentRules();
+        this.saveConfiguration();
+    }
+
+    // Test category taxonomy
+    applyTestTaxonomy() {
+        if (window.testTaxonomy) {
+            window.testTaxonomy.setRules(this.config.testTaxonomy);
+        }
+    }
+
+    renderTestTaxonomy() {
+        const taxonomy = window.testTaxonomy;
+        const categoriesInput = document.getElementById('taxonomyCategories');
+        if (!taxonomy || !categoriesInput) return;
+
+        const rules = taxonomy.toJSON();
+        categoriesInput.value = Object.entries(rules.categories)
+            .map(([key, category]) => `${key} | ${category.name} | ${category.icon} | ${category.keywords.join(', ')}`)
+            .join('\n');
+        document.getElementById('taxonomySuiteRules').value = rules.suiteRules.map(rule => `${rule.pattern} => ${rule.category}`).join('\n');
+        document.getElementById('taxonomyAreaPathRules').value = rules.areaPathRules.map(rule => `${rule.path} => ${rule.category}`).join('\n');
+        document.getElementById('taxonomyPrecedence').value = rules.precedence.join(', ');
+    }
+
+    saveTestTaxonomy() {
+        const lines = id => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+        const defaults = typeof DEFAULT_TEST_TAXONOMY !== 'undefined' ? DEFAULT_TEST_TAXONOMY.categories : {};
+
+        try {
+            const categories = {};
+            lines('taxonomyCategories').forEach(line => {
+                const [key, name, icon, keywords] = line.split('|').map(part => part?.trim());
+                if (!key || !/^[a-z0-9-]+$/i.test(key)) {
+                    throw new Error(`Expected "key | Name | icon | keyword, keyword" but got "${line}"`);
+                }
+                categories[key] = {
+                    ...(defaults[key] || {}),
+                    name: name || defaults[key]?.name || key,
+                    icon: icon || defaults[key]?.icon || '🧪',
+                    keywords: (keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean)
+                };
+            });
+
+            const parseRules = (id, key) => lines(id).map(line => {
+                const [value, category] = line.split('=>').map(part => part?.trim());
+                if (!value || !category) {
+                    throw new Error(`Expected "value => category" but got "${line}"`);
+                }
+                if (!categories[category]) {
+                    throw new Error(`Unknown category "${category}" in "${line}"`);
+                }
+                return { [key]: value, category };
+            });
+
+            const sources = ['tag', 'suite', 'areaPath', 'keyword'];
+            const precedence = document.getElementById('taxonomyPrecedence').value
+                .split(',')
+                .map(source => source.trim())
+                .filter(Boolean);
+            const unknownSource = precedence.find(source => !sources.includes(source));
+            if (unknownSource) {
+                throw new Error(`Unknown rule source "${unknownSource}"; use ${sources.join(', ')}`);
+            }
+
+            this.config.testTaxonomy = {
+                categories,
+                precedence,
+                suiteRules: parseRules('taxonomySuiteRules', 'pattern'),
+                areaPathRules: parseRules('taxonomyAreaPathRules', 'path')
+            };
+        } catch (error) {
+            this.showNotification(`Invalid test category rule: ${error.message}`, 'error');
+            return;
+        }
+
+        this.applyTestTaxonomy();
+        this.saveConfiguration();
+        this.renderTestTaxonomy();
+        document.dispatchEvent(new CustomEvent('testTaxonomyChanged', {
+            detail: { categories: Object.keys(window.testTaxonomy?.getCategories() || {}) }
+        }));
+    }
+
+    // Offline fixtures (record/replay of ADO responses)
+    setFixtureMode(mode) {
+        try {
+            responseFixtures.setMode(mode);
+            this.updateFixtureStatus();
+            this.showNotification(`Fixture mode set to ${mode}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadFixtureFile(file) {
+        if (!file) return;
+
+        try {
+            const count = await responseFixtures.load(JSON.parse(await file.text()));
+            this.updateFixtureStatus();
+            this.showNotification(`Loaded ${count} fixtures from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Failed to load fixture file:', error);
+            this.showNotification(`Failed to load fixtures: ${error.message}`, 'error');
+        }
+    }
+
+    exportFixtures() {
+        if (responseFixtures.getStatus().entries === 0) {
+            this.showNotification('No responses recorded yet - switch to Record mode and load some data first', 'warning');
+            return;
+        }
+        responseFixtures.download();
+    }
+
+    updateFixtureStatus() {
+        if (typeof responseFixtures === 'undefined') return;
+
+        const status = responseFixtures.getStatus();
+        const modeSelect = document.getElementById('fixtureMode');
+        const statusText = document.getElementById('fixtureStatus');
+
+        if (modeSelect) modeSelect.value = status.mode;
+        if (statusText) {
+            statusText.textContent = `${status.entries} recorded responses` +
+                (status.misses > 0 ? `, ${status.misses} replay misses` : '');
+        }
+    }
+
     updateUI() {
+        this.renderConnections();
+        this.renderFieldMapping();
+        this.renderEnvironmentRules();
+        this.renderTestTaxonomy();
+        this.updateFixtureStatus();
         this.updateCurrentBoardsDisplay();
+        this.updateCurrentAreasDisplay();
         this.updateCurrentResourcesDisplay();
         this.updateCurrentSprintDisplay();
     }
@@ -738,9 +1265,52 @@ class ConfigurationManager {
         return this.config.iterations.selected;
     }
 
+    getSelectedAreas() {
+        return this.config.areas.selected;
+    }
+
     getConnectionDetails() {
         return this.config.connection;
     }
+
+    getConnections() {
+        // Primary connection first, in the shape ADOClient.setConfiguration expects
+        const primary = this.config.connection;
+        const organization = primary.organization || primary.org;
+        const hasCredentials = primary.patToken || (primary.authType || 'pat') !== 'pat';
+
+        return [
+            ...(organization && primary.project && hasCredentials
+                ? [{ ...primary, organization, id: `${organization}/${primary.project}` }]
+                : []),
+            ...(this.config.connections || [])
+        ].map(connection => this.toClientConfig(connection));
+    }
+
+    toClientConfig(connection) {
+        // Connections without their own PAT use the primary connection's OAuth/bearer sign-in
+        const primary = this.config.connection;
+        const authType = connection.authType || (connection.patToken ? 'pat' : primary.authType || 'pat');
+
+        return {
+            id: connection.id,
+            label: connection.label || connection.project,
+            organization: connection.organization,
+            project: connection.project,
+            proxyUrl: connection.proxyUrl,
+            authType,
+            personalAccessToken: connection.patToken,
+            oauth: connection.oauth || primary.oauth,
+            // Only additional connections carry their own mapping; the primary one uses window.fieldMapping
+            fieldMapping: connection.fieldMapping || null,
+            // Looked up per call so the hosting page can define it after this script loads
+            getAccessToken: authType === 'bearer' ? () => window.adoGetAccessToken?.() : undefined
+        };
+    }
+
+    getADOClientPool() {
+        return window.adoClientPool || null;
+    }
 }
 
 // Global instance
@@ -749,6 +1319,14 @@ window.configManager = new ConfigurationManager();
 // Global functions for HTML onclick handlers
 window.switchConfigTab = (tabName) => window.configManager.switchConfigTab(tabName);
 window.testConnection = () => window.configManager.testConnection();
+window.addConnection = () => window.configManager.addConnection();
+window.setFixtureMode = (mode) => window.configManager.setFixtureMode(mode);
+window.loadFixtureFile = (file) => window.configManager.loadFixtureFile(file);
+window.exportFixtures = () => window.configManager.exportFixtures();
+window.validateFieldMapping = () => window.configManager.validateFieldMapping();
+window.resetFieldMapping = () => window.configManager.resetFieldMapping();
+window.saveEnvironmentRules = () => window.configManager.saveEnvironmentRules();
+window.saveTestTaxonomy = () => window.configManager.saveTestTaxonomy();
 window.saveConfiguration = () => window.configManager.saveConfiguration();
 window.resetConfiguration = () => window.configManager.resetConfiguration();
 window.selectAllResources = () => window.configManager.selectAllResources();
@@ -7,8 +7,11 @@ class DashboardIntegrationController {
     constructor() {
         this.currentSection = 'executive';
         this.isDataLoaded = false;
+        this.isLoading = false;
         this.lastRefreshTime = null;
         this.refreshInterval = null;
+        this.sourceFilter = []; // source ids (org/project) every section loads from, empty for all
+        this.availableSources = [];
         
         // Data caches
         this.executiveData = {};
@@ -48,6 +51,16 @@ class DashboardIntegrationController {
                 this.handleTableFilter(e.target);
             }
         });
+
+        // Re-categorize loaded tests when the test taxonomy is edited in settings
+        document.addEventListener('testTaxonomyChanged', () => {
+            this.refreshTestCategories();
+        });
+
+        // Progress from large WIQL queries split by the ADO client
+        document.addEventListener('adoQueryProgress', (e) => {
+            this.updateLoadingProgress(e.detail);
+        });
     }
 
     setupPeriodicRefresh() {
@@ -73,6 +86,8 @@ class DashboardIntegrationController {
         try {
             console.log('🔄 Loading comprehensive dashboard data...');
             this.showGlobalLoading(true);
+            this.updateSourceFilterOptions();
+            this.bindEnginesToSource();
 
             // Load data from all modules in parallel
             await Promise.all([
@@ -117,6 +132,31 @@ class DashboardIntegrationController {
                 );
             }
 
+            // DORA delivery metrics from pipelines
+            const clients = this.getSourceClients();
+            if (window.pipelineMetrics && clients.length > 0) {
+                try {
+                    this.executiveData.doraMetrics = await window.pipelineMetrics.calculateDoraMetrics(30, clients);
+                } catch (error) {
+                    console.warn('Failed to load pipeline metrics:', error);
+                }
+            }
+
+            // Epic/Feature progress from the parent/child hierarchy
+            if (window.hierarchyRollup && clients.length > 0) {
+                try {
+                    this.executiveData.hierarchyRollup = await window.hierarchyRollup.calculateRollups(5, clients);
+                } catch (error) {
+                    console.warn('Failed to load hierarchy rollups:', error);
+                }
+            }
+
+            // Roll-up across every configured organization/project connection
+            const pool = this.getADOClientPool();
+            if (pool && pool.isMultiSource()) {
+                this.executiveData.sources = await this.loadSourceRollup(pool);
+            }
+
             // Calculate project health score
             this.executiveData.projectHealth = this.calculateProjectHealthScore();
             
@@ -136,23 +176,59 @@ class DashboardIntegrationController {
                 return;
             }
 
-            // Load sprint work items
-            if (window.adoClient) {
-                this.sprintData.workItems = await window.adoClient.getSprintWorkItems(iteration.id);
-                this.sprintData.burndown = await this.calculateSprintBurndown(this.sprintData.workItems, iteration);
+            // Load sprint work items from every source in scope
+            if (this.getSourceClients().length > 0) {
+                const sprints = (await this.forEachSource('sprint', async adoClient => {
+                    const sourceIteration = await this.resolveSourceIteration(adoClient, iteration);
+                    if (!sourceIteration) return null;
+
+                    const workItems = await adoClient.getSprintWorkItems(sourceIteration.id);
+                    return {
+                        client: adoClient,
+                        iteration: sourceIteration,
+                        workItems,
+                        capacity: await this.loadSprintCapacity(adoClient, sourceIteration, workItems)
+                    };
+                })).map(({ value }) => value).filter(Boolean);
+
+                this.sprintData.workItems = this.mergeWorkItems(sprints.map(sprint => ({
+                    source: sprint.client.getSource(),
+                    value: sprint.workItems
+                })));
+                this.sprintData.capacity = this.mergeSprintCapacity(sprints.map(sprint => sprint.capacity).filter(Boolean));
+                this.sprintData.burndown = await this.calculateSprintBurndown(
+                    this.sprintData.workItems, iteration, this.sprintData.capacity, sprints
+                );
                 this.sprintData.velocity = await this.calculateSprintVelocity();
-                this.sprintData.scopeChanges = await this.trackScopeChanges(iteration.id);
-                this.sprintData.capacity = await window.adoClient.getSprintCapacity(iteration.id);
+                this.sprintData.scopeChanges = this.mergeScopeChanges(await Promise.all(
+                    sprints.map(sprint => this.trackScopeChanges(sprint.iteration.id, sprint.client))
+                ));
+
+                // Revision history and links are read through the engines' single connection
+                const engineItems = this.getEngineWorkItems(this.sprintData.workItems.value);
+                this.sprintData.flowMetrics = await this.loadFlowMetrics(engineItems);
+                this.sprintData.dependencies = await this.loadDependencies(engineItems);
             }
 
             // Generate predictive sprint insights
             if (window.predictiveAnalytics) {
                 this.sprintData.completion = await window.predictiveAnalytics.predictSprintCompletion(
-                    iteration, 
+                    {
+                        ...iteration,
+                        velocity: (this.sprintData.velocity?.history || []).map(v => v.velocity),
+                        remainingWork: this.sprintData.burndown?.remainingPoints || 0,
+                        capacity: this.sprintData.capacity
+                    },
                     { includeSimulation: true }
                 );
                 this.sprintData.risks = await window.predictiveAnalytics.identifyRisks(
-                    { sprintData: this.sprintData },
+                    {
+                        sprintData: this.sprintData,
+                        flowMetrics: this.sprintData.flowMetrics,
+                        capacity: this.sprintData.capacity,
+                        teamMembers: this.sprintData.capacity?.members,
+                        dependencies: this.sprintData.dependencies?.dependencies
+                    },
                     { includeEarlyWarnings: true }
                 );
             }
@@ -176,12 +252,39 @@ class DashboardIntegrationController {
                     executionMetrics: window.testMetricsEngine.getExecutionMetricsByCategory(),
                     linkingAnalysis: window.testMetricsEngine.getLinkingAnalysis(),
                     coverageAnalysis: window.testMetricsEngine.getCoverageAnalysis(),
+                    testPoints: window.testMetricsEngine.getTestPointMetrics(),
+                    flakyTests: window.testMetricsEngine.getFlakyTestAnalysis(),
+                    failureClusters: window.testMetricsEngine.getFailureClusters(),
+                    automationExecution: window.testMetricsEngine.getAutomationExecution(),
+                    codeCoverage: window.testMetricsEngine.getCodeCoverage(),
                     summary: window.testMetricsEngine.generateTestMetricsSummary()
                 };
             }
 
+            // Requirement traceability is optional; the rest of the section renders without it
+            if (window.testMetricsEngine) {
+                try {
+                    this.qualityData.traceability = await window.testMetricsEngine.buildTraceabilityMatrix();
+                } catch (error) {
+                    console.warn('Failed to build traceability matrix:', error);
+                }
+            }
+
             // Load bug metrics with environment classification
             this.qualityData.bugs = await this.loadBugMetricsWithEnvironmentClassification();
+
+            // Daily pass/fail trend, summed across sources
+            if (this.getSourceClients().length > 0) {
+                this.qualityData.testTrend = this.mergeTestTrend(
+                    await this.forEachSource('test trend', adoClient => adoClient.getTestTrendSeries(30))
+                );
+            }
+
+            // Recorded per-day and per-sprint snapshots, with days before the first snapshot filled from runs
+            if (window.testMetricsEngine) {
+                window.testMetricsEngine.backfillTrendHistory(this.qualityData.testTrend);
+                this.qualityData.trendHistory = window.testMetricsEngine.getTrendHistory(30);
+            }
             
             // Calculate quality gates
             this.qualityData.qualityGates = this.calculateQualityGateStatus();
@@ -202,10 +305,23 @@ class DashboardIntegrationController {
                 return;
             }
 
+            // Pull request review activity across the repositories of every source
+            const clients = this.getSourceClients();
+            if (window.pullRequestMetrics && clients.length > 0) {
+                try {
+                    this.teamData.pullRequests = await window.pullRequestMetrics.calculateMetrics(30, clients);
+                } catch (error) {
+                    console.warn('Failed to load pull request metrics:', error);
+                }
+            }
+
             // Load individual performance metrics for each team member
             this.teamData.members = [];
             for (const resource of selectedResources) {
                 const memberMetrics = await this.loadIndividualPerformanceMetrics(resource);
+                memberMetrics.reviewStats = this.teamData.pullRequests
+                    ? window.pullRequestMetrics.getMemberReviewStats(resource)
+                    : null;
                 this.teamData.members.push(memberMetrics);
             }
 
@@ -274,6 +390,8 @@ class DashboardIntegrationController {
         
         // Update metric cards
         this.updateExecutiveMetricCards();
+        this.renderSourceRollup(this.executiveData.sources);
+        this.renderHierarchyTree(this.executiveData.hierarchyRollup);
         
         // Render executive charts
         if (window.chartManager && this.executiveData) {
@@ -297,10 +415,22 @@ class DashboardIntegrationController {
             document.querySelector('#sprintVelocity').nextElementSibling.textContent = `${trend} ${data.velocity.change}%`;
         }
 
-        // Test Coverage
+        // DORA metrics
+        if (data.doraMetrics) {
+            this.updateDoraMetricCards(data.doraMetrics);
+        }
+
+        // Requirement coverage (stories with test cases) and code coverage are separate cards
         if (this.qualityData.summary) {
             document.getElementById('testCoverage').textContent = `${this.qualityData.summary.coveragePercentage}%`;
         }
+        if (this.qualityData.codeCoverage?.hasData) {
+            const overall = this.qualityData.codeCoverage.overall;
+            document.getElementById('lineCoverage').textContent = overall.lineCoverage !== null ? `${overall.lineCoverage}%` : '--';
+            document.getElementById('lineCoverage').nextElementSibling.textContent = overall.branchCoverage !== null
+                ? `${overall.branchCoverage}% branches`
+                : 'No branch data';
+        }
 
         // Quality Gate
         if (this.qualityData.qualityGates) {
@@ -310,6 +440,313 @@ class DashboardIntegrationController {
         }
     }
 
+    updateDoraMetricCards(dora) {
+        const cards = [
+            { id: 'deploymentFrequency', metric: dora.deploymentFrequency, value: dora.deploymentFrequency.perWeek },
+            { id: 'changeLeadTime', metric: dora.leadTime, value: dora.leadTime.medianDays ?? '--' },
+            { id: 'changeFailureRate', metric: dora.changeFailureRate, value: dora.changeFailureRate.percentage !== null ? `${dora.changeFailureRate.percentage}%` : '--' },
+            { id: 'timeToRestore', metric: dora.timeToRestore, value: dora.timeToRestore.meanHours ?? '--' }
+        ];
+
+        cards.forEach(card => {
+            const element = document.getElementById(card.id);
+            if (!element) return;
+
+            element.textContent = card.value;
+            element.className = `metric-value dora-${card.metric.level.toLowerCase().replace('/', '')}`;
+
+            // The unit label under the value stays; the performance level gets its own badge
+            const level = document.getElementById(`${card.id}Level`);
+            if (level) {
+                level.textContent = card.metric.level === 'N/A' ? '' : `${card.metric.level} performer`;
+            }
+        });
+    }
+
+    async loadSourceRollup(pool) {
+        try {
+            // Counted by each source rather than by downloading every work item
+            const result = await pool.fetchRollup({ sources: this.sourceFilter });
+            return {
+                rollup: result.rollup,
+                total: result.count,
+                errors: result.errors
+            };
+        } catch (error) {
+            console.warn('Failed to load source rollup:', error);
+            return null;
+        }
+    }
+
+    // Every section reloads from the selected source, or from all of them
+    async setSourceFilter(sourceId) {
+        this.sourceFilter = sourceId ? [sourceId] : [];
+        await this.loadAllDashboardData();
+    }
+
+    updateSourceFilterOptions() {
+        const pool = this.getADOClientPool();
+        this.availableSources = pool ? pool.getSources() : [];
+        if (!this.availableSources.some(source => this.sourceFilter.includes(source.id))) {
+            this.sourceFilter = [];
+        }
+
+        const select = document.getElementById('sourceFilter');
+        if (!select) return;
+
+        const current = this.sourceFilter[0] || '';
+        select.innerHTML = '<option value="">All Projects</option>' + this.availableSources
+            .map(source => `<option value="${source.id}" ${source.id === current ? 'selected' : ''}>${source.label} (${source.organization})</option>`)
+            .join('');
+        select.style.display = this.availableSources.length > 1 ? '' : 'none';
+    }
+
+    renderSourceRollup(sources) {
+        const container = document.getElementById('sourceRollup');
+        if (!container) return;
+
+        if (!sources || sources.rollup.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const rows = sources.rollup.map(entry => {
+            const states = Object.entries(entry.byState)
+                .sort((a, b) => b[1] - a[1])
+                .map(([state, count]) => `${state}: ${count}`)
+                .join(', ');
+
+            return `
+                <tr>
+                    <td><strong>${entry.source.label}</strong></td>
+                    <td>${entry.source.organization} / ${entry.source.project}</td>
+                    <td>${entry.count}${entry.scope === 'currentIteration' ? ' <small title="Analytics unavailable; counted from the current sprint only">(current sprint)</small>' : ''}</td>
+                    <td>${entry.storyPoints}</td>
+                    <td>${states}</td>
+                </tr>
+            `;
+        });
+
+        // Sources that failed still get a row so missing data is visible
+        sources.errors.forEach(({ source, message }) => {
+            rows.push(`
+                <tr class="source-error">
+                    <td><strong>${source.label}</strong></td>
+                    <td>${source.organization} / ${source.project}</td>
+                    <td colspan="3">Unavailable: ${message}</td>
+                </tr>
+            `);
+        });
+
+        container.innerHTML = `
+            <h3>🌐 Work Items by Source Project</h3>
+            <table class="source-rollup-table">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        <th>Organization / Project</th>
+                        <th>Work Items</th>
+                        <th>Story Points</th>
+                        <th>States</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+        container.style.display = '';
+    }
+
+    renderHierarchyTree(rollup) {
+        const container = document.getElementById('hierarchyRollup');
+        if (!container) return;
+
+        if (!rollup || rollup.roots.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const totals = rollup.totals;
+        container.innerHTML = `
+            <h3>🌳 Epic & Feature Progress</h3>
+            <p class="metric-subtext">
+                ${rollup.epics.length} epics • ${rollup.features.length} features •
+                ${totals.completedPoints}/${totals.totalPoints} points done •
+                ${totals.bugs.open} open bugs • ${totals.testCoverage ?? '--'}% of stories tested
+            </p>
+            <div class="hierarchy-tree">
+                ${rollup.roots.map(node => this.renderHierarchyNode(node)).join('')}
+            </div>
+        `;
+        container.style.display = '';
+    }
+
+    renderHierarchyNode(node) {
+        // Drill down through Epics and Features; stories and below are summarized on their parent
+        const expandable = node.children.filter(child => ['Epic', 'Feature', 'User Story'].includes(child.workItemType));
+        const summary = `
+            <span class="hierarchy-type hierarchy-${node.workItemType.toLowerCase().replace(/\s+/g, '-')}">${node.workItemType}</span>
+            <span class="hierarchy-title">#${node.id} ${node.title}</span>
+            <span class="hierarchy-state">${node.state}</span>
+            <span class="hierarchy-progress" title="${node.completedPoints} of ${node.totalPoints} points completed">
+                <span class="hierarchy-progress-bar" style="width: ${node.percentComplete}%"></span>
+            </span>
+            <span class="hierarchy-stat">${node.completedPoints}/${node.totalPoints} pts</span>
+            <span class="hierarchy-stat ${node.bugs.open > 0 ? 'review-bottleneck' : ''}">${node.bugs.open}/${node.bugs.total} bugs</span>
+            <span class="hierarchy-stat">${node.testCoverage ?? '--'}% tested</span>
+        `;
+
+        if (expandable.length === 0 || node.workItemType === 'User Story') {
+            return `<div class="hierarchy-node hierarchy-leaf">${summary}</div>`;
+        }
+
+        return `
+            <details class="hierarchy-node" ${node.workItemType === 'Epic' ? 'open' : ''}>
+                <summary>${summary}</summary>
+                <div class="hierarchy-children">
+                    ${expandable.map(child => this.renderHierarchyNode(child)).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    renderSprintSection() {
+        console.log('🏃‍♂️ Rendering sprint analytics...');
+
+        this.renderDependencyGraph(this.sprintData.dependencies);
+    }
+
+    renderDependencyGraph(dependencies) {
+        const container = document.getElementById('sprintDependencies');
+        if (!container) return;
+
+        if (!dependencies || dependencies.dependencies.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const summary = dependencies.summary;
+        const atRisk = dependencies.dependencies.filter(dep => dep.criticality === 'high');
+        const rows = atRisk.slice(0, 50).map(dep => `
+            <tr class="${dep.status === 'blocked' ? 'source-error' : ''}">
+                <td>#${dep.predecessor.id} ${dep.predecessor.title}<br><span class="metric-subtext">${dep.predecessor.team} • ${dep.predecessor.iterationPath} • ${dep.predecessor.state}</span></td>
+                <td>#${dep.successor.id} ${dep.successor.title}<br><span class="metric-subtext">${dep.successor.team} • ${dep.successor.iterationPath} • ${dep.successor.state}</span></td>
+                <td>${dep.status}</td>
+                <td>${dep.reasons.join(', ')}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>🔗 Dependencies</h3>
+            <p class="metric-subtext">
+                ${summary.total} dependencies • ${summary.late} late • ${summary.blocked} blocking •
+                ${summary.crossSprint} cross-sprint • ${summary.crossTeam} cross-team • ${summary.related} related links
+            </p>
+            <div class="dependency-graph">${this.buildDependencyGraphSVG(dependencies.graph)}</div>
+            <div class="dependency-legend metric-subtext">
+                <span style="color: #dc2626;">━ late</span>
+                <span style="color: #d97706;">━ crosses sprint</span>
+                <span style="color: #6b7280;">━ same sprint</span>
+                <span style="color: #9ca3af;">┅ related</span>
+            </div>
+            ${atRisk.length > 0 ? `
+                <h4 style="margin-top: 20px;">⚠️ ${atRisk.length} late dependencies${atRisk.length > 50 ? ' (showing 50)' : ''}</h4>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>Predecessor</th>
+                            <th>Successor</th>
+                            <th>Status</th>
+                            <th>Why</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+        `;
+        container.style.display = '';
+    }
+
+    buildDependencyGraphSVG(graph) {
+        // One column per iteration in schedule order, items grouped by team inside a column
+        const nodeWidth = 180;
+        const nodeHeight = 40;
+        const columnGap = 70;
+        const rowGap = 14;
+        const top = 36;
+        const palette = [['#dbeafe', '#2563eb'], ['#ede9fe', '#7c3aed'], ['#dcfce7', '#16a34a'], ['#fef3c7', '#d97706'], ['#fce7f3', '#db2777']];
+
+        const columns = [...new Map(graph.nodes.map(node => [node.iterationPath, node.startDate])).entries()]
+            .sort((a, b) => (a[1] ? new Date(a[1]) : Infinity) - (b[1] ? new Date(b[1]) : Infinity))
+            .map(([path]) => path);
+        const teams = [...new Set(graph.nodes.map(node => node.team))];
+
+        const positions = new Map();
+        columns.forEach((path, column) => {
+            graph.nodes
+                .filter(node => node.iterationPath === path)
+                .sort((a, b) => a.team.localeCompare(b.team) || a.id - b.id)
+                .forEach((node, row) => positions.set(node.id, {
+                    x: 10 + column * (nodeWidth + columnGap),
+                    y: top + row * (nodeHeight + rowGap)
+                }));
+        });
+
+        const width = 20 + columns.length * (nodeWidth + columnGap) - columnGap;
+        const height = top + Math.max(...[...positions.values()].map(p => p.y)) + nodeHeight + 10;
+
+        const edgeColor = edge => edge.type === 'related' ? '#9ca3af' : edge.late ? '#dc2626' : edge.crossSprint ? '#d97706' : '#6b7280';
+        const markers = ['#dc2626', '#d97706', '#6b7280'].map((color, index) => `
+            <marker id="dependency-arrow-${index}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"></path>
+            </marker>
+        `).join('');
+
+        const edges = graph.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            const x1 = from.x + nodeWidth;
+            const y1 = from.y + nodeHeight / 2;
+            const x2 = to.x;
+            const y2 = to.y + nodeHeight / 2;
+            const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+            const color = edgeColor(edge);
+            const marker = edge.type === 'related' ? '' : `marker-end="url(#dependency-arrow-${['#dc2626', '#d97706', '#6b7280'].indexOf(color)})"`;
+
+            return `<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" fill="none" stroke="${color}"
+                stroke-width="${edge.late ? 2.5 : 1.5}" ${edge.type === 'related' ? 'stroke-dasharray="4 4"' : ''} ${marker}></path>`;
+        }).join('');
+
+        const nodes = graph.nodes.map(node => {
+            const { x, y } = positions.get(node.id);
+            const [fill, stroke] = palette[teams.indexOf(node.team) % palette.length];
+            const title = node.title.length > 24 ? `${node.title.slice(0, 23)}…` : node.title;
+
+            return `
+                <g opacity="${node.completed ? 0.55 : 1}">
+                    <title>#${node.id} ${node.title}
+${node.team} • ${node.iterationPath}
+${node.state} • ${node.assignedTo}</title>
+                    <rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="${fill}" stroke="${stroke}"></rect>
+                    <text x="${x + 8}" y="${y + 16}" font-size="11" font-weight="600" fill="#1f2937">#${node.id} ${node.state}</text>
+                    <text x="${x + 8}" y="${y + 31}" font-size="11" fill="#374151">${title}</text>
+                </g>
+            `;
+        }).join('');
+
+        const headers = columns.map((path, column) => `
+            <text x="${10 + column * (nodeWidth + columnGap)}" y="18" font-size="12" font-weight="600" fill="#6b7280">${path.split('\\').pop() || 'Unscheduled'}</text>
+        `).join('');
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <defs>${markers}</defs>
+                ${headers}
+                ${edges}
+                ${nodes}
+            </svg>
+        `;
+    }
+
     renderQualitySection() {
         console.log('🛡️ Rendering quality metrics section...');
         
@@ -324,6 +761,27 @@ class DashboardIntegrationController {
         // Render test execution summary table
         this.renderTestExecutionTable();
         
+        // Render planned test progress by configuration and suite
+        this.renderTestPointProgress();
+
+        // Render flaky tests found in automated run history
+        this.renderFlakyTests();
+
+        // Render failures grouped by root cause
+        this.renderFailureClusters();
+
+        // Render automated tests checked against actual pipeline executions
+        this.renderAutomationExecution();
+
+        // Render line and branch coverage next to requirement coverage
+        this.renderCodeCoverage();
+
+        // Render pass rate, executed, automation and blocked trends
+        this.renderTestTrendHistory();
+
+        // Render requirement traceability matrix
+        this.renderTraceabilityMatrix();
+
         // Render bug classification table
         this.renderBugClassificationTable();
         
@@ -336,6 +794,558 @@ class DashboardIntegrationController {
         }
     }
 
+    renderTestPointProgress() {
+        const container = document.getElementById('testPointProgress');
+        if (!container) return;
+
+        const metrics = this.qualityData.testPoints || {};
+        if (!metrics.overall || metrics.overall.total === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const header = (label) => `
+            <tr>
+                <th>${label}</th>
+                <th>Points</th>
+                <th>Run</th>
+                <th>Pass Rate</th>
+                <th>Passed</th>
+                <th>Failed</th>
+                <th>Blocked</th>
+                <th>Not Applicable</th>
+                <th>In Progress</th>
+                <th>Not Run</th>
+            </tr>
+        `;
+        const row = (label, stats) => `
+            <tr>
+                <td><strong>${label}</strong></td>
+                <td>${stats.total}</td>
+                <td>${stats.runRate}%</td>
+                <td>${stats.passRate}%</td>
+                <td>${stats.passed}</td>
+                <td>${stats.failed}</td>
+                <td>${stats.blocked}</td>
+                <td>${stats.notApplicable}</td>
+                <td>${stats.inProgress}</td>
+                <td>${stats.notRun}</td>
+            </tr>
+        `;
+
+        const configurationRows = Object.values(metrics.byConfiguration)
+            .sort((a, b) => b.total - a.total)
+            .map(stats => row(stats.configurationName, stats))
+            .join('');
+        const suiteRows = Object.values(metrics.bySuite)
+            .sort((a, b) => String(a.planName).localeCompare(String(b.planName)) || String(a.suiteName).localeCompare(String(b.suiteName)))
+            .map(stats => row(`${stats.planName} / ${stats.suiteName}`, stats))
+            .join('');
+
+        container.innerHTML = `
+            <h3>🧭 Test Plan Progress</h3>
+            <p class="metric-subtext">${metrics.overall.total} planned test points • ${metrics.overall.runRate}% run • ${metrics.overall.passRate}% passed</p>
+            <table class="source-rollup-table">
+                <thead>${header('Configuration')}</thead>
+                <tbody>${configurationRows}</tbody>
+            </table>
+            <table class="source-rollup-table" style="margin-top: 20px;">
+                <thead>${header('Suite')}</thead>
+                <tbody>${suiteRows}</tbody>
+            </table>
+        `;
+        container.style.display = '';
+    }
+
+    renderFlakyTests() {
+        const container = document.getElementById('flakyTests');
+        if (!container) return;
+
+        const analysis = this.qualityData.flakyTests || {};
+        const flakyTests = analysis.flakyTests || [];
+        if (flakyTests.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const rows = flakyTests.slice(0, 20).map(test => `
+            <tr>
+                <td title="${test.storage || ''}"><strong>${test.testName}</strong></td>
+                <td>${test.flakinessScore}%</td>
+                <td>${test.flakyBuilds} / ${test.builds}</td>
+                <td>${test.failures} / ${test.executions}</td>
+                <td>${new Date(test.firstSeen).toLocaleDateString()}</td>
+                <td>${test.lastBuild || '—'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>🎲 Flaky Tests</h3>
+            <p class="metric-subtext">${flakyTests.length} of ${analysis.testsAnalyzed} automated tests passed and failed on the same build across the last ${analysis.runsAnalyzed} runs${flakyTests.length > 20 ? ' (showing the 20 worst)' : ''}</p>
+            <table class="source-rollup-table">
+                <thead>
+                    <tr>
+                        <th>Test</th>
+                        <th>Flakiness</th>
+                        <th>Flipped Builds</th>
+                        <th>Failures</th>
+                        <th>First Seen</th>
+                        <th>Last Flaky Build</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        container.style.display = '';
+    }
+
+    renderFailureClusters() {
+        const container = document.getElementById('failureClusters');
+        if (!container) return;
+
+        const analysis = this.qualityData.failureClusters || {};
+        const clusters = analysis.clusters || [];
+        if (clusters.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const rows = clusters.slice(0, 25).map(cluster => `
+            <tr>
+                <td title="${(cluster.sampleMessage || '').replace(/"/g, '&quot;')}">
+                    <strong>${cluster.signature}</strong>
+                    ${cluster.topFrame ? `<div class="metric-subtext">${cluster.topFrame}</div>` : ''}
+                </td>
+                <td>${cluster.latestRunFailures}</td>
+                <td>${cluster.size}</td>
+                <td>${cluster.testCount}</td>
+                <td>${cluster.suites.join(', ')}</td>
+                <td>${cluster.firstFailure.buildNumber || `Run ${cluster.firstFailure.runId}`}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>🧩 Failure Clusters</h3>
+            <p class="metric-subtext">${analysis.latestRunFailures} failures in the latest run, ${analysis.totalFailures} across recent runs, grouped into ${clusters.length} error signatures${clusters.length > 25 ? ' (showing the 25 largest)' : ''}</p>
+            <table class="source-rollup-table">
+                <thead>
+                    <tr>
+                        <th>Error Signature</th>
+                        <th>Latest Run</th>
+                        <th>All Runs</th>
+                        <th>Tests</th>
+                        <th>Suites</th>
+                        <th>First Failed In</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        container.style.display = '';
+    }
+
+    renderAutomationExecution() {
+        const container = document.getElementById('automationExecution');
+        if (!container) return;
+
+        const execution = this.qualityData.automationExecution || {};
+        if (!execution.associatedTests && !(execution.executedNotAssociated || []).length) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const formatDate = date => date ? new Date(date).toLocaleDateString() : 'Never';
+        const renderList = (title, tests, describe) => {
+            if (tests.length === 0) return '';
+            const rows = tests.slice(0, 20).map(test => `
+                <tr>
+                    <td>${describe(test)}</td>
+                    <td>${test.automatedTestName || '—'}</td>
+                    <td>${formatDate(test.lastExecuted)}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <h4>${title} (${tests.length})</h4>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>Test Case</th>
+                            <th>Automated Test</th>
+                            <th>Last Executed</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${tests.length > 20 ? `<p class="metric-subtext">Showing 20 of ${tests.length}</p>` : ''}
+            `;
+        };
+        const describeTestCase = test => `<strong>${test.id}</strong> ${test.title}`;
+
+        container.innerHTML = `
+            <h3>🤖 Automation Execution</h3>
+            <p class="metric-subtext">${execution.recentlyExecuted} of ${execution.associatedTests} test cases marked automated ran in the last ${execution.recencyDays} days • executed automation coverage ${execution.executedCoverage}% vs ${this.qualityData.summary?.automationCoverage || 0}% marked automated</p>
+            ${renderList('Marked automated, never executed', execution.neverExecuted, describeTestCase)}
+            ${renderList(`Not executed in the last ${execution.recencyDays} days`, execution.notRecentlyExecuted, describeTestCase)}
+            ${renderList('Executed but not associated with a test case', execution.executedNotAssociated, () => '—')}
+        `;
+        container.style.display = '';
+    }
+
+    renderCodeCoverage() {
+        const container = document.getElementById('codeCoverage');
+        if (!container) return;
+
+        const coverage = this.qualityData.codeCoverage || {};
+        const formatRate = rate => rate !== null && rate !== undefined ? `${rate}%` : '—';
+        const importControl = `
+            <div class="form-group">
+                <label for="coverageReportFile">Import Cobertura or JaCoCo XML</label>
+                <input type="file" id="coverageReportFile" accept=".xml,application/xml,text/xml" multiple
+                       onchange="dashboardIntegration.importCoverageReports(this.files)">
+            </div>
+        `;
+
+        if (!coverage.hasData) {
+            container.innerHTML = `
+                <h3>🧬 Code Coverage</h3>
+                <p class="metric-subtext">No code coverage published by recent builds. Requirement coverage (stories with test cases) is ${this.qualityData.summary?.coveragePercentage || 0}%.</p>
+                ${importControl}
+            `;
+            container.style.display = '';
+            return;
+        }
+
+        const overall = coverage.overall;
+        const moduleRows = coverage.byModule.slice(0, 25).map(module => `
+            <tr>
+                <td><strong>${module.name}</strong></td>
+                <td>${module.origin}</td>
+                <td>${formatRate(module.lineCoverage)}</td>
+                <td>${formatRate(module.branchCoverage)}</td>
+                <td>${module.linesCovered} / ${module.linesTotal}</td>
+            </tr>
+        `).join('');
+        const sprintRows = coverage.bySprint.map(sprint => `
+            <tr>
+                <td><strong>${sprint.name}</strong></td>
+                <td>${formatRate(sprint.lineCoverage)}</td>
+                <td>${formatRate(sprint.branchCoverage)}</td>
+                <td>${formatRate(sprint.requirementCoverage)}</td>
+                <td>${sprint.builds + sprint.reports}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>🧬 Code Coverage</h3>
+            <p class="metric-subtext">Lines ${formatRate(overall.lineCoverage)} (${overall.linesCovered} of ${overall.linesTotal}) • branches ${formatRate(overall.branchCoverage)} • requirement coverage (stories with test cases) ${formatRate(coverage.requirementCoverage)} • from ${coverage.sources.map(source => source.source === 'build' ? `${source.origin} ${source.name}` : source.name).join(', ')}</p>
+            ${sprintRows ? `
+                <h4>By Sprint</h4>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>Sprint</th>
+                            <th>Line Coverage</th>
+                            <th>Branch Coverage</th>
+                            <th>Requirement Coverage</th>
+                            <th>Builds &amp; Reports</th>
+                        </tr>
+                    </thead>
+                    <tbody>${sprintRows}</tbody>
+                </table>
+            ` : ''}
+            ${moduleRows ? `
+                <h4>By Module${coverage.byModule.length > 25 ? ' (25 least covered)' : ''}</h4>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>Module</th>
+                            <th>Source</th>
+                            <th>Line Coverage</th>
+                            <th>Branch Coverage</th>
+                            <th>Lines Covered</th>
+                        </tr>
+                    </thead>
+                    <tbody>${moduleRows}</tbody>
+                </table>
+            ` : ''}
+            ${importControl}
+        `;
+        container.style.display = '';
+    }
+
+    renderTestTrendHistory() {
+        const container = document.getElementById('testTrendHistory');
+        if (!container) return;
+
+        const history = this.qualityData.trendHistory || {};
+        const view = this.testTrendView || 'sprint';
+        const entries = view === 'sprint' ? history.bySprint || [] : history.daily || [];
+        if ((history.bySprint || []).length === 0 && (history.daily || []).length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const formatValue = (value, suffix = '') => value !== null && value !== undefined ? `${value}${suffix}` : '—';
+        const rows = entries.slice().reverse().slice(0, 12).map(entry => `
+            <tr>
+                <td><strong>${view === 'sprint' ? entry.sprint.name : entry.date}</strong></td>
+                ${view === 'day' ? `<td>${entry.source === 'runs' ? 'Test runs' : 'Snapshot'}</td>` : ''}
+                <td>${formatValue(entry.passRate, '%')}</td>
+                <td>${formatValue(entry.executed)}</td>
+                <td>${formatValue(entry.automationPercentage, '%')}</td>
+                <td>${formatValue(entry.blocked)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>📈 Test Execution Trend</h3>
+            <div class="traceability-controls">
+                <select id="testTrendView" class="form-control" onchange="dashboardIntegration.setTestTrendView(this.value)">
+                    <option value="sprint" ${view === 'sprint' ? 'selected' : ''}>By sprint</option>
+                    <option value="day" ${view === 'day' ? 'selected' : ''}>By day (last 30 days)</option>
+                </select>
+            </div>
+            ${entries.length > 0 ? `
+                <div class="test-trend-chart"><canvas id="testTrendChart"></canvas></div>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>${view === 'sprint' ? 'Sprint' : 'Date'}</th>
+                            ${view === 'day' ? '<th>Source</th>' : ''}
+                            <th>Pass Rate</th>
+                            <th>Executed</th>
+                            <th>Automation</th>
+                            <th>Blocked</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="metric-subtext">Snapshots are recorded each time test data loads. Days before the first snapshot come from test runs: their pass rate and executed count are over run results rather than test points, so the chart draws them as separate run series, and they have no automation or blocked figures.</p>
+            ` : '<p class="metric-subtext">No sprint snapshots recorded yet</p>'}
+        `;
+        container.style.display = '';
+
+        // The chart manager instance is published as window.ChartManager
+        if (entries.length > 0 && window.ChartManager?.createTestTrendChart) {
+            window.ChartManager.createTestTrendChart('testTrendChart', entries);
+        }
+    }
+
+    setTestTrendView(view) {
+        this.testTrendView = view;
+        this.renderTestTrendHistory();
+    }
+
+    async importCoverageReports(files) {
+        if (!window.testMetricsEngine || !files || files.length === 0) return;
+
+        for (const file of files) {
+            try {
+                const report = window.testMetricsEngine.importCoverageReport(await file.text(), file.name);
+                this.showSuccessNotification(`Imported ${report.format} coverage from ${file.name}`);
+            } catch (error) {
+                console.error(`Failed to import coverage report ${file.name}:`, error);
+                this.showErrorNotification('Coverage import failed', error.message);
+            }
+        }
+
+        this.qualityData.codeCoverage = window.testMetricsEngine.getCodeCoverage();
+        this.qualityData.summary = window.testMetricsEngine.generateTestMetricsSummary();
+        this.renderCodeCoverage();
+        if (this.executiveData) {
+            this.updateExecutiveMetricCards();
+        }
+    }
+
+    renderTraceabilityMatrix() {
+        const container = document.getElementById('traceabilityMatrix');
+        if (!container) return;
+
+        const matrix = this.qualityData.traceability;
+        if (!matrix || matrix.rows.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const summary = matrix.summary;
+        const gapOptions = Object.entries(summary.gaps)
+            .map(([gap, count]) => `<option value="${gap}">${gap} (${count})</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <h3>🧾 Requirement Traceability</h3>
+            <p class="metric-subtext">${summary.epics} epics • ${summary.features} features • ${summary.stories} stories • ${summary.testCases} test cases • ${summary.coveragePercentage}% of stories tested • ${summary.rowsWithGaps} rows with gaps</p>
+            <div class="traceability-controls">
+                <input type="text" id="traceabilitySearch" class="form-control" placeholder="Filter by ID or title..."
+                       oninput="dashboardIntegration.setTraceabilityFilter({ search: this.value })">
+                <select id="traceabilityGapFilter" class="form-control"
+                        onchange="dashboardIntegration.setTraceabilityFilter({ gap: this.value })">
+                    <option value="all">All rows</option>
+                    <option value="any">Any gap</option>
+                    ${gapOptions}
+                </select>
+                <button class="btn btn-secondary" onclick="dashboardIntegration.exportTraceabilityMatrix('excel')">📊 Excel</button>
+                <button class="btn btn-secondary" onclick="dashboardIntegration.exportTraceabilityMatrix('csv')">📄 CSV</button>
+            </div>
+            <table class="source-rollup-table">
+                <thead>
+                    <tr>
+                        <th>Epic</th>
+                        <th>Feature</th>
+                        <th>Story</th>
+                        <th>Test Case</th>
+                        <th>Latest Outcome</th>
+                        <th>Bugs</th>
+                        <th>Gaps</th>
+                    </tr>
+                </thead>
+                <tbody id="traceabilityRows"></tbody>
+            </table>
+            <p class="metric-subtext" id="traceabilityCount"></p>
+        `;
+        container.style.display = '';
+
+        this.traceabilityFilter = { search: '', gap: 'all' };
+        this.renderTraceabilityRows();
+    }
+
+    setTraceabilityFilter(filter) {
+        this.traceabilityFilter = { ...this.traceabilityFilter, ...filter };
+        this.renderTraceabilityRows();
+    }
+
+    getFilteredTraceabilityRows() {
+        const { search, gap } = this.traceabilityFilter || { search: '', gap: 'all' };
+        const term = search.trim().toLowerCase();
+
+        return (this.qualityData.traceability?.rows || []).filter(row => {
+            if (gap === 'any' && row.gaps.length === 0) return false;
+            if (gap !== 'all' && gap !== 'any' && !row.gaps.includes(gap)) return false;
+            if (!term) return true;
+
+            return [row.epicId, row.epicTitle, row.featureId, row.featureTitle, row.storyId, row.storyTitle,
+                row.testCaseId, row.testCaseTitle, ...row.bugs.map(bug => bug.id)]
+                .some(value => value !== null && String(value).toLowerCase().includes(term));
+        });
+    }
+
+    renderTraceabilityRows() {
+        const body = document.getElementById('traceabilityRows');
+        if (!body) return;
+
+        const rows = this.getFilteredTraceabilityRows();
+        const item = (id, title) => id ? `#${id} ${title}` : '—';
+        const outcomeClass = { Passed: 'outcome-passed', Failed: 'outcome-failed', Blocked: 'outcome-failed' };
+
+        body.innerHTML = rows.slice(0, 200).map(row => `
+            <tr class="${row.gaps.length > 0 ? 'traceability-gap' : ''}">
+                <td>${item(row.epicId, row.epicTitle)}</td>
+                <td>${item(row.featureId, row.featureTitle)}</td>
+                <td>${item(row.storyId, row.storyTitle)}</td>
+                <td>${item(row.testCaseId, row.testCaseTitle)}</td>
+                <td class="${outcomeClass[row.outcome] || ''}">${row.outcome || '—'}</td>
+                <td>${row.bugs.map(bug => `<span title="${bug.title} (${bug.state})">#${bug.id}</span>`).join(', ') || '—'}</td>
+                <td>${row.gaps.map(gap => `<span class="traceability-gap-badge">${gap}</span>`).join(' ')}</td>
+            </tr>
+        `).join('');
+
+        const count = document.getElementById('traceabilityCount');
+        if (count) {
+            count.textContent = rows.length > 200
+                ? `Showing 200 of ${rows.length} matching rows; export for the full matrix`
+                : `${rows.length} of ${this.qualityData.traceability.rows.length} rows`;
+        }
+    }
+
+    refreshTestCategories() {
+        if (!window.testMetricsEngine || !this.qualityData.categories) return;
+
+        window.testMetricsEngine.applyTaxonomy();
+        this.qualityData.categories = window.testMetricsEngine.getTestCategoriesDefinition();
+        this.qualityData.executionMetrics = window.testMetricsEngine.getExecutionMetricsByCategory();
+        this.qualityData.coverageAnalysis = window.testMetricsEngine.getCoverageAnalysis();
+        this.qualityData.summary = window.testMetricsEngine.generateTestMetricsSummary();
+        this.renderQualitySection();
+    }
+
+    renderBugClassificationTable() {
+        const container = document.getElementById('bugEnvironmentClassification');
+        if (!container) return;
+
+        const environments = (this.qualityData.bugs || []).filter(env => env.total > 0);
+        if (environments.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const review = this.qualityData.environmentReview || { bySource: {}, needsReview: [] };
+        const sourceLabels = { field: 'Environment field', areaPath: 'Area path', tag: 'Tag', keyword: 'Keywords only', none: 'Unclassified' };
+        const sourceSummary = Object.entries(review.bySource)
+            .filter(([, count]) => count > 0)
+            .map(([source, count]) => `${sourceLabels[source]}: ${count}`)
+            .join(' • ');
+
+        const rows = environments.map(env => `
+            <tr>
+                <td><strong>${env.environment}</strong></td>
+                <td>${env.total}</td>
+                <td>${env.critical}</td>
+                <td>${env.high}</td>
+                <td>${env.open}</td>
+                <td>${env.resolutionRate || 0}%</td>
+                <td>${env.averageAge} days</td>
+            </tr>
+        `).join('');
+
+        // Bugs placed by keywords (or not at all) need their environment data fixed in ADO
+        const reviewRows = review.needsReview.slice(0, 50).map(bug => `
+            <tr class="${bug.source === 'none' ? 'source-error' : ''}">
+                <td>#${bug.id}</td>
+                <td>${bug.title}</td>
+                <td>${bug.environment}</td>
+                <td>${Math.round(bug.confidence * 100)}%</td>
+                <td>${bug.matched || '—'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>🐛 Bugs by Environment</h3>
+            <p class="metric-subtext">Classified by: ${sourceSummary}</p>
+            <table class="source-rollup-table">
+                <thead>
+                    <tr>
+                        <th>Environment</th>
+                        <th>Total</th>
+                        <th>Critical</th>
+                        <th>High</th>
+                        <th>Open</th>
+                        <th>Resolved</th>
+                        <th>Avg Age</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${review.needsReview.length > 0 ? `
+                <h4 style="margin-top: 20px;">⚠️ ${review.needsReview.length} bugs need environment data</h4>
+                <p class="metric-subtext">Set the environment field, a tag or an area path on these bugs; their environment was guessed from text${review.needsReview.length > 50 ? ' (showing the 50 least certain)' : ''}</p>
+                <table class="source-rollup-table">
+                    <thead>
+                        <tr>
+                            <th>Bug</th>
+                            <th>Title</th>
+                            <th>Guessed Environment</th>
+                            <th>Confidence</th>
+                            <th>Matched</th>
+                        </tr>
+                    </thead>
+                    <tbody>${reviewRows}</tbody>
+                </table>
+            ` : ''}
+        `;
+        container.style.display = '';
+    }
+
     renderTestCategoriesGrid() {
         const container = document.getElementById('categoriesGrid');
         if (!container) return;
@@ -473,6 +1483,11 @@ class DashboardIntegrationController {
                             <span class="metric-label">Avg Cycle Time</span>
                             <span class="metric-value">${member.averageCycleTime || 0} days</span>
                         </div>
+                        <div class="metric-row">
+                            <span class="metric-label">Reopened Items</span>
+                            <span class="metric-value">${member.reopenCount || 0}</span>
+                        </div>
+                        ${this.renderMemberReviewRows(member.reviewStats)}
                         <div class="metric-row">
                             <span class="metric-label">Current Workload</span>
                             <span class="metric-value workload-${this.getWorkloadLevel(member.currentWorkload)}">
@@ -523,6 +1538,24 @@ class DashboardIntegrationController {
         }
     }
 
+    async exportTraceabilityMatrix(format = this.getDefaultExportFormat()) {
+        console.log('📤 Exporting traceability matrix...');
+
+        if (!window.reportGenerator) {
+            console.error('Report generator not available');
+            return;
+        }
+
+        try {
+            // Auditors get the full matrix regardless of the on-screen filter
+            await window.reportGenerator.generateReport({ traceability: this.qualityData.traceability }, 'traceability-matrix', format);
+            this.showSuccessNotification('Traceability matrix exported successfully');
+        } catch (error) {
+            console.error('Failed to export traceability matrix:', error);
+            this.showErrorNotification('Export failed', error.message);
+        }
+    }
+
     async exportTeamReport() {
         console.log('📤 Exporting team performance report...');
         
@@ -553,12 +1586,158 @@ class DashboardIntegrationController {
     }
 
     handleGlobalFilterChange(filterElement) {
-        // Handle changes to global filters (board, resource, iteration selection)
+        // Handle changes to global filters (board, resource, iteration, source project selection)
+        if (filterElement.id === 'sourceFilter') {
+            this.setSourceFilter(filterElement.value);
+            return;
+        }
+
         console.log('🔄 Global filter changed, refreshing data...');
         this.refreshCurrentSection();
     }
 
     // Utility methods
+    getADOClient() {
+        // Shared client from js/api/ado-api.js, only once the connection is configured
+        return window.configManager?.getADOClient() || null;
+    }
+
+    getADOClientPool() {
+        // One client per configured org/project connection
+        return window.configManager?.getADOClientPool() || null;
+    }
+
+    // Clients of the sources in the source filter; just the shared client with a single connection
+    getSourceClients() {
+        const pool = this.getADOClientPool();
+        if (pool && pool.isMultiSource()) {
+            return pool.getClients(this.sourceFilter);
+        }
+
+        const adoClient = this.getADOClient();
+        return adoClient ? [adoClient] : [];
+    }
+
+    /**
+     * Runs a request against every source in scope (see ADOClientPool.forEachSource).
+     * Resolves to [{ source, value }] for the sources that answered.
+     */
+    async forEachSource(label, request) {
+        const pool = this.getADOClientPool();
+        if (pool && pool.isMultiSource()) {
+            const { results } = await pool.forEachSource(label, request, { sources: this.sourceFilter });
+            return results;
+        }
+
+        const adoClient = this.getADOClient();
+        return adoClient ? [{ source: adoClient.getSource(), value: await request(adoClient) }] : [];
+    }
+
+    // Raw work item responses from several sources, each item tagged with its source
+    mergeWorkItems(results) {
+        return {
+            value: results.flatMap(({ source, value }) => (value?.value || []).map(workItem => ({ ...workItem, source })))
+        };
+    }
+
+    // Mapping of the connection a tagged work item came from; sources can run different processes
+    getFieldMapping(workItem = null) {
+        return this.getADOClientPool()?.getClient(workItem?.source?.id)?.fieldMapping || window.fieldMapping;
+    }
+
+    /**
+     * Engines that keep one project's state (test plans, revision history, links)
+     * read the selected source, or the primary connection when several are in scope
+     */
+    getEngineClient() {
+        const clients = this.getSourceClients();
+        return clients.length === 1 ? clients[0] : this.getADOClient();
+    }
+
+    bindEnginesToSource() {
+        const adoClient = this.getEngineClient();
+        if (!adoClient) return;
+
+        [window.testMetricsEngine, window.workItemHistory, window.dependencyExtractor]
+            .filter(Boolean)
+            .forEach(engine => { engine.adoClient = adoClient; });
+    }
+
+    getEngineWorkItems(workItems) {
+        const sourceId = this.getEngineClient()?.getSource().id;
+        return workItems.filter(workItem => !workItem.source || workItem.source.id === sourceId);
+    }
+
+    // The selected iteration belongs to the primary project; other sources use their sprint of the same name
+    async resolveSourceIteration(adoClient, iteration) {
+        if (adoClient === this.getADOClient()) return iteration;
+
+        const iterations = (await adoClient.getIterations()).value || [];
+        return iterations.find(candidate => candidate.name === iteration.name) ||
+            iterations.find(candidate => candidate.attributes?.timeFrame === 'current') ||
+            null;
+    }
+
+    mergeSprintCapacity(capacities) {
+        if (capacities.length <= 1) return capacities[0] || null;
+
+        const sum = key => capacities.reduce((total, capacity) => total + (capacity[key] || 0), 0);
+        const days = new Map();
+        const capacityByActivity = {};
+        capacities.forEach(capacity => {
+            (capacity.days || []).forEach(day => {
+                const merged = days.get(day.date) || { ...day, capacity: 0 };
+                merged.capacity += day.capacity;
+                merged.isWorkingDay = merged.isWorkingDay || day.isWorkingDay;
+                merged.isTeamDayOff = merged.isTeamDayOff && day.isTeamDayOff;
+                days.set(day.date, merged);
+            });
+            Object.entries(capacity.capacityByActivity || {}).forEach(([activity, hours]) => {
+                capacityByActivity[activity] = (capacityByActivity[activity] || 0) + hours;
+            });
+        });
+
+        const totalCapacity = sum('totalCapacity');
+        const fullCapacity = sum('fullCapacity');
+        return {
+            ...capacities[0],
+            teamDaysOff: capacities.flatMap(capacity => capacity.teamDaysOff || []),
+            days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+            members: capacities.flatMap(capacity => capacity.members),
+            capacityByActivity,
+            totalCapacityPerDay: sum('totalCapacityPerDay'),
+            totalCapacity,
+            fullCapacity,
+            availabilityRatio: fullCapacity > 0 ? totalCapacity / fullCapacity : 1
+        };
+    }
+
+    mergeScopeChanges(changes) {
+        return {
+            added: changes.flatMap(change => change.added),
+            removed: changes.flatMap(change => change.removed),
+            totalChanges: changes.reduce((total, change) => total + change.totalChanges, 0),
+            impactScore: changes.reduce((total, change) => total + change.impactScore, 0)
+        };
+    }
+
+    mergeTestTrend(results) {
+        if (results.length <= 1) return results[0]?.value || [];
+
+        const byDate = new Map();
+        results.forEach(({ value }) => (value || []).forEach(point => {
+            const day = byDate.get(point.date) || { total: 0, passed: 0, failed: 0, notExecuted: 0 };
+            ['total', 'passed', 'failed', 'notExecuted'].forEach(key => { day[key] += point[key] || 0; });
+            byDate.set(point.date, day);
+        }));
+
+        const adoClient = this.getSourceClients()[0];
+        return [...byDate.keys()].sort().map(date => {
+            const day = byDate.get(date);
+            return adoClient.createTestTrendPoint(date, day.total, day.passed, day.failed, day.notExecuted);
+        });
+    }
+
     calculateProjectHealthScore() {
         // Comprehensive project health calculation
         let score = 0;
@@ -601,6 +1780,27 @@ class DashboardIntegrationController {
         };
     }
 
+    renderMemberReviewRows(reviewStats) {
+        if (!reviewStats) return '';
+
+        const firstReview = reviewStats.averageFirstReviewHours !== null
+            ? `${reviewStats.averageFirstReviewHours}h`
+            : '--';
+
+        return `
+                        <div class="metric-row">
+                            <span class="metric-label">PRs Reviewed/Pending</span>
+                            <span class="metric-value ${reviewStats.isBottleneck ? 'review-bottleneck' : ''}">
+                                ${reviewStats.reviewed}/${reviewStats.pending}
+                            </span>
+                        </div>
+                        <div class="metric-row">
+                            <span class="metric-label">Avg First Review</span>
+                            <span class="metric-value">${firstReview}</span>
+                        </div>
+        `;
+    }
+
     calculateMemberEfficiency(member) {
         // Simple efficiency calculation based on delivered vs committed work
         const delivered = member.storyPoints || 0;
@@ -655,12 +1855,27 @@ class DashboardIntegrationController {
     }
 
     showGlobalLoading(show) {
+        this.isLoading = show;
         const loaders = document.querySelectorAll('.loading');
         loaders.forEach(loader => {
             loader.style.display = show ? 'block' : 'none';
         });
     }
 
+    updateLoadingProgress(progress) {
+        if (!this.isLoading || progress.complete) return;
+
+        const message = progress.phase === 'query'
+            ? `⏳ Querying work items... ${progress.loaded.toLocaleString()} found`
+            : `⏳ Loading work item details... ${progress.loaded.toLocaleString()} of ${progress.total.toLocaleString()}`;
+
+        document.querySelectorAll('.loading').forEach(loader => {
+            if (loader.style.display !== 'none') {
+                loader.textContent = message;
+            }
+        });
+    }
+
     updateLastRefreshDisplay() {
         const element = document.getElementById('lastRefresh');
         if (element && this.lastRefreshTime) {
@@ -706,7 +1921,29 @@ class DashboardIntegrationController {
     }
 
     // Missing Critical Method Implementations
-    async calculateSprintBurndown(workItems, iteration) {
+    async loadSprintCapacity(adoClient, iteration, workItems) {
+        try {
+            const capacity = await adoClient.fetchSprintCapacity(iteration);
+
+            // Remaining hours assigned to each member, for utilization against capacity
+            capacity.members.forEach(member => {
+                member.assignedWork = (workItems?.value || [])
+                    .filter(wi => wi.fields?.['System.AssignedTo']?.uniqueName === member.uniqueName)
+                    .reduce((sum, wi) => sum + parseFloat(adoClient.fieldMapping.getValue(wi.fields, 'remainingWork') || 0), 0);
+            });
+
+            return capacity;
+        } catch (error) {
+            console.warn('Failed to load sprint capacity:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Array<{client: ADOClient, iteration: Object}>} [sprints] - Each source's sprint,
+     *   whose Analytics snapshots are summed; defaults to the selected iteration of the shared client
+     */
+    async calculateSprintBurndown(workItems, iteration, capacity = null, sprints = null) {
         if (!workItems || !workItems.value || workItems.value.length === 0) {
             return {
                 remainingPoints: 0,
@@ -719,8 +1956,8 @@ class DashboardIntegrationController {
         }
 
         const stories = workItems.value.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story' ||
-            wi.fields?.['System.WorkItemType'] === 'Feature'
+            this.getFieldMapping(wi).isType(wi.fields, 'story') ||
+            this.getFieldMapping(wi).isType(wi.fields, 'feature')
         );
 
         let totalPoints = 0;
@@ -728,11 +1965,11 @@ class DashboardIntegrationController {
         let remainingPoints = 0;
 
         for (const story of stories) {
-            const storyPoints = parseFloat(story.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0);
+            const storyPoints = parseFloat(this.getFieldMapping(story).getValue(story.fields, 'storyPoints') || 0);
             totalPoints += storyPoints;
 
             const state = story.fields?.['System.State'];
-            if (['Done', 'Closed', 'Resolved', 'Completed'].includes(state)) {
+            if (this.getFieldMapping(story).isCompletedState(state)) {
                 completedPoints += storyPoints;
             } else {
                 remainingPoints += storyPoints;
@@ -745,18 +1982,54 @@ class DashboardIntegrationController {
         const sprintDays = Math.ceil((sprintEnd - sprintStart) / (24 * 60 * 60 * 1000));
         const idealBurnRate = totalPoints / sprintDays;
 
+        // Daily remaining points from Analytics snapshots when available
+        const dailyRemaining = new Map();
+        const adoClient = this.getADOClient();
+        const sourceSprints = sprints || (adoClient ? [{ client: adoClient, iteration }] : []);
+        for (const sprint of sourceSprints.filter(s => s.iteration.path)) {
+            try {
+                const series = await sprint.client.getBurndownSeries(sprint.iteration);
+                series.forEach(point => dailyRemaining.set(point.date, (dailyRemaining.get(point.date) || 0) + point.remainingPoints));
+            } catch (error) {
+                console.warn('Failed to load burndown history:', error);
+            }
+        }
+
+        // With capacity data the ideal line only burns on days people are available
+        const capacityByDate = new Map((capacity?.days || []).map(d => [d.date, d.capacity]));
+        const useCapacity = capacity && capacity.totalCapacity > 0;
+        let capacityUsed = 0;
+
         const burndownData = [];
         for (let day = 0; day <= sprintDays; day++) {
-            const idealRemaining = Math.max(0, totalPoints - (idealBurnRate * day));
+            const date = new Date(sprintStart.getTime() + (day * 24 * 60 * 60 * 1000)).toISOString().slice(0, 10);
+            const idealRemaining = useCapacity
+                ? Math.max(0, totalPoints * (1 - capacityUsed / capacity.totalCapacity))
+                : Math.max(0, totalPoints - (idealBurnRate * day));
+            capacityUsed += capacityByDate.get(date) || 0;
+
             burndownData.push({
                 day,
+                date,
                 idealRemaining,
-                actualRemaining: day === 0 ? totalPoints : remainingPoints // Simplified for now
+                actualRemaining: dailyRemaining.has(date)
+                    ? dailyRemaining.get(date)
+                    : (day === 0 ? totalPoints : remainingPoints)
             });
         }
 
         const currentDay = Math.ceil((new Date() - sprintStart) / (24 * 60 * 60 * 1000));
-        const expectedCompletion = currentDay > 0 ? (completedPoints / currentDay) * sprintDays : totalPoints;
+        let expectedCompletion = currentDay > 0 ? (completedPoints / currentDay) * sprintDays : totalPoints;
+        if (useCapacity) {
+            // Project the pace so far over the capacity still to come
+            const today = new Date().toISOString().slice(0, 10);
+            const capacitySoFar = (capacity.days || [])
+                .filter(d => d.date < today)
+                .reduce((sum, d) => sum + d.capacity, 0);
+            expectedCompletion = capacitySoFar > 0
+                ? (completedPoints / capacitySoFar) * capacity.totalCapacity
+                : totalPoints;
+        }
         const isOnTrack = expectedCompletion >= (totalPoints * 0.9); // 90% completion threshold
 
         return {
@@ -765,6 +2038,7 @@ class DashboardIntegrationController {
             totalPoints,
             burndownData,
             isOnTrack,
+            availabilityRatio: useCapacity ? capacity.availabilityRatio : 1,
             projectedCompletion: new Date(sprintStart.getTime() + (sprintDays * 24 * 60 * 60 * 1000)),
             sprintProgress: totalPoints > 0 ? Math.round((completedPoints / totalPoints) * 100) : 0
         };
@@ -773,43 +2047,32 @@ class DashboardIntegrationController {
     async calculateSprintVelocity() {
         try {
             const config = window.configManager?.getConfiguration();
-            if (!config || !window.adoClient) {
+            if (!config || this.getSourceClients().length === 0) {
                 return { current: 0, previous: [], trend: 0, change: 0, consistency: 0 };
             }
 
-            // Get last 3 iterations to calculate velocity trend
-            const iterations = await window.adoClient.getIterations();
-            if (!iterations.value || iterations.value.length === 0) {
+            // Get each source's last 3 iterations to calculate velocity trend
+            const results = await this.forEachSource('velocity', async adoClient => {
+                const iterations = await adoClient.getIterations();
+                const completedIterations = (iterations.value || [])
+                    .filter(iter => new Date(iter.attributes?.finishDate) < new Date())
+                    .sort((a, b) => new Date(b.attributes?.finishDate) - new Date(a.attributes?.finishDate))
+                    .slice(0, 3);
+
+                // Analytics aggregates this server-side; the client falls back to per-iteration REST queries
+                return adoClient.getVelocitySeries(completedIterations);
+            });
+            if (results.every(({ value }) => value.length === 0)) {
                 return { current: 0, previous: [], trend: 0, change: 0, consistency: 0 };
             }
 
-            const completedIterations = iterations.value
-                .filter(iter => new Date(iter.attributes?.finishDate) < new Date())
-                .sort((a, b) => new Date(b.attributes?.finishDate) - new Date(a.attributes?.finishDate))
-                .slice(0, 3);
-
-            const velocityHistory = [];
-            for (const iteration of completedIterations) {
-                try {
-                    const iterationWorkItems = await window.adoClient.getSprintWorkItems(iteration.id);
-                    const stories = iterationWorkItems.value?.filter(wi => 
-                        wi.fields?.['System.WorkItemType'] === 'User Story' &&
-                        ['Done', 'Closed', 'Resolved', 'Completed'].includes(wi.fields?.['System.State'])
-                    ) || [];
-
-                    const velocity = stories.reduce((total, story) => {
-                        return total + parseFloat(story.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0);
-                    }, 0);
-
-                    velocityHistory.push({
-                        iteration: iteration.name,
-                        velocity,
-                        finishDate: iteration.attributes?.finishDate
-                    });
-                } catch (error) {
-                    console.warn(`Failed to calculate velocity for iteration ${iteration.name}:`, error);
-                }
-            }
+            // Sources are summed sprint by sprint, most recent first
+            const [first, ...others] = results.map(({ value }) => value).sort((a, b) => b.length - a.length);
+            const velocityHistory = first.map((entry, index) => others.reduce((sum, series) => ({
+                ...sum,
+                velocity: sum.velocity + (series[index]?.velocity || 0),
+                completedCount: sum.completedCount + (series[index]?.completedCount || 0)
+            }), entry));
 
             const current = velocityHistory.length > 0 ? velocityHistory[0].velocity : 0;
             const previous = velocityHistory.slice(1).map(v => v.velocity);
@@ -842,20 +2105,20 @@ class DashboardIntegrationController {
         }
     }
 
-    async trackScopeChanges(iterationId) {
+    async trackScopeChanges(iterationId, adoClient = this.getADOClient()) {
         try {
-            if (!window.adoClient) {
+            if (!adoClient) {
                 return { added: [], removed: [], totalChanges: 0, impactScore: 0 };
             }
 
             // Get current sprint work items
-            const currentWorkItems = await window.adoClient.getSprintWorkItems(iterationId);
+            const currentWorkItems = await adoClient.getSprintWorkItems(iterationId);
             const scopeChanges = { added: [], removed: [], totalChanges: 0, impactScore: 0 };
 
             // For each work item, check revision history to identify scope changes
             for (const workItem of currentWorkItems.value || []) {
                 try {
-                    const revisions = await window.adoClient.getWorkItemRevisions(workItem.id);
+                    const revisions = await adoClient.getWorkItemRevisions(workItem.id);
                     if (revisions.value && revisions.value.length > 1) {
                         // Analyze revisions to detect iteration path changes
                         for (let i = 1; i < revisions.value.length; i++) {
@@ -866,7 +2129,7 @@ class DashboardIntegrationController {
                             const previousIteration = previousRev.fields?.['System.IterationPath'];
                             
                             if (currentIteration !== previousIteration) {
-                                const storyPoints = parseFloat(currentRev.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0);
+                                const storyPoints = parseFloat(adoClient.fieldMapping.getValue(currentRev.fields, 'storyPoints') || 0);
                                 const changeType = currentIteration?.includes(iterationId) ? 'added' : 'removed';
                                 
                                 scopeChanges[changeType].push({
@@ -896,12 +2159,13 @@ class DashboardIntegrationController {
 
     async loadBugMetricsWithEnvironmentClassification() {
         try {
-            if (!window.adoClient) {
+            if (this.getSourceClients().length === 0) {
                 return [];
             }
 
-            const bugs = await window.adoClient.getBugsByEnvironment();
-            const environments = ['Dev', 'QA', 'UAT', 'Production', 'Unknown'];
+            const bugs = this.mergeWorkItems(await this.forEachSource('bugs', adoClient => adoClient.getBugsByEnvironment()));
+            const classifier = window.environmentClassifier;
+            const environments = [...classifier.getEnvironments(), 'Unknown'];
             const classification = {};
 
             // Initialize environment buckets
@@ -920,30 +2184,17 @@ class DashboardIntegrationController {
                 };
             });
 
-            // Classify bugs by environment
-            for (const bug of bugs.value || []) {
-                let environment = 'Unknown';
-                const tags = (bug.fields?.['System.Tags'] || '').toLowerCase();
-                const areaPath = (bug.fields?.['System.AreaPath'] || '').toLowerCase();
-                const title = (bug.fields?.['System.Title'] || '').toLowerCase();
-
-                // Environment detection logic
-                if (tags.includes('production') || areaPath.includes('prod') || title.includes('production')) {
-                    environment = 'Production';
-                } else if (tags.includes('uat') || areaPath.includes('uat') || title.includes('uat')) {
-                    environment = 'UAT';
-                } else if (tags.includes('qa') || areaPath.includes('qa') || title.includes('test')) {
-                    environment = 'QA';
-                } else if (tags.includes('dev') || areaPath.includes('dev') || title.includes('development')) {
-                    environment = 'Dev';
-                }
+            // Classify bugs by environment: field, area path/tag rules, then keywords
+            const { results, bySource, needsReview } = classifier.classifyAll(bugs.value || [], bug => this.getFieldMapping(bug));
+            this.qualityData.environmentReview = { bySource, needsReview };
 
-                const envData = classification[environment];
+            for (const { item: bug, classification: bugEnvironment } of results) {
+                const envData = classification[bugEnvironment.environment];
                 envData.total++;
                 envData.bugs.push(bug);
 
                 // Categorize by severity
-                const severity = (bug.fields?.['Microsoft.VSTS.Common.Severity'] || '3 - Medium').toLowerCase();
+                const severity = String(this.getFieldMapping(bug).getValue(bug.fields, 'severity') || '3 - Medium').toLowerCase();
                 if (severity.includes('critical') || severity.includes('1')) {
                     envData.critical++;
                 } else if (severity.includes('high') || severity.includes('2')) {
@@ -956,7 +2207,7 @@ class DashboardIntegrationController {
 
                 // Categorize by state
                 const state = bug.fields?.['System.State'] || '';
-                if (['Resolved', 'Done', 'Closed', 'Completed'].includes(state)) {
+                if (this.getFieldMapping(bug).isCompletedState(state)) {
                     envData.resolved++;
                 } else {
                     envData.open++;
@@ -1012,7 +2263,7 @@ class DashboardIntegrationController {
             if (this.qualityData.bugs && this.sprintData.workItems) {
                 const totalBugs = this.qualityData.bugs.reduce((sum, env) => sum + env.total, 0);
                 const totalStories = this.sprintData.workItems.value?.filter(wi => 
-                    wi.fields?.['System.WorkItemType'] === 'User Story'
+                    this.getFieldMapping(wi).isType(wi.fields, 'story')
                 ).length || 1;
                 
                 gates.bugDensity.current = Math.round((totalBugs / totalStories) * 100) / 100;
@@ -1042,12 +2293,13 @@ class DashboardIntegrationController {
 
     async loadIndividualPerformanceMetrics(resource) {
         try {
-            if (!window.adoClient) {
+            if (this.getSourceClients().length === 0) {
                 return this.getDefaultMemberMetrics(resource);
             }
 
-            // Get work items assigned to this team member
-            const memberActivity = await window.adoClient.getTeamMemberActivity(resource.uniqueName || resource.displayName);
+            // Get work items assigned to this team member in every source
+            const memberActivity = this.mergeWorkItems(await this.forEachSource('member activity',
+                adoClient => adoClient.getTeamMemberActivity(resource.uniqueName || resource.displayName)));
             const workItems = memberActivity.value || [];
 
             const metrics = {
@@ -1062,6 +2314,7 @@ class DashboardIntegrationController {
                 bugsResolved: 0,
                 testCasesAuthored: 0,
                 averageCycleTime: 0,
+                reopenCount: 0,
                 currentWorkload: 0,
                 committedPoints: 0,
                 velocity: 0,
@@ -1069,19 +2322,18 @@ class DashboardIntegrationController {
             };
 
             // Calculate metrics from work items
-            const stories = workItems.filter(wi => wi.fields?.['System.WorkItemType'] === 'User Story');
-            const tasks = workItems.filter(wi => wi.fields?.['System.WorkItemType'] === 'Task');
-            const bugs = workItems.filter(wi => wi.fields?.['System.WorkItemType'] === 'Bug');
-            const testCases = workItems.filter(wi => wi.fields?.['System.WorkItemType'] === 'Test Case');
+            const isCompleted = wi => this.getFieldMapping(wi).isCompletedState(wi.fields?.['System.State']);
+            const stories = workItems.filter(wi => this.getFieldMapping(wi).isType(wi.fields, 'story'));
+            const tasks = workItems.filter(wi => this.getFieldMapping(wi).isType(wi.fields, 'task'));
+            const bugs = workItems.filter(wi => this.getFieldMapping(wi).isType(wi.fields, 'bug'));
+            const testCases = workItems.filter(wi => this.getFieldMapping(wi).isType(wi.fields, 'testCase'));
 
             // Stories and story points
-            const completedStories = stories.filter(s => 
-                ['Done', 'Closed', 'Resolved', 'Completed'].includes(s.fields?.['System.State'])
-            );
+            const completedStories = stories.filter(isCompleted);
             
             metrics.storiesDelivered = completedStories.length;
             metrics.storyPoints = completedStories.reduce((total, story) => {
-                return total + parseFloat(story.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0);
+                return total + parseFloat(this.getFieldMapping(story).getValue(story.fields, 'storyPoints') || 0);
             }, 0);
 
             // Current workload
@@ -1090,16 +2342,14 @@ class DashboardIntegrationController {
             ).length;
 
             // Tasks
-            metrics.tasksCompleted = tasks.filter(t => 
-                ['Done', 'Closed', 'Resolved', 'Completed'].includes(t.fields?.['System.State'])
-            ).length;
+            metrics.tasksCompleted = tasks.filter(isCompleted).length;
 
             // Bugs
             const createdBugs = bugs.filter(b => 
                 b.fields?.['System.CreatedBy']?.displayName?.includes(resource.displayName)
             );
             const resolvedBugs = bugs.filter(b => 
-                ['Done', 'Closed', 'Resolved', 'Completed'].includes(b.fields?.['System.State']) &&
+                isCompleted(b) &&
                 b.fields?.['System.AssignedTo']?.displayName?.includes(resource.displayName)
             );
 
@@ -1111,14 +2361,14 @@ class DashboardIntegrationController {
                 tc.fields?.['System.CreatedBy']?.displayName?.includes(resource.displayName)
             ).length;
 
-            // Calculate average cycle time
-            if (completedStories.length > 0) {
-                const totalCycleTime = completedStories.reduce((total, story) => {
-                    const created = new Date(story.fields?.['System.CreatedDate']);
-                    const closed = new Date(story.fields?.['System.ChangedDate']);
-                    return total + ((closed - created) / (1000 * 60 * 60 * 24));
-                }, 0);
-                metrics.averageCycleTime = Math.round(totalCycleTime / completedStories.length);
+            // Cycle time and reopens from revision history
+            const engineStories = this.getEngineWorkItems(completedStories);
+            if (engineStories.length > 0) {
+                const flowMetrics = await this.loadFlowMetrics(engineStories);
+                if (flowMetrics) {
+                    metrics.averageCycleTime = flowMetrics.cycleTime.average;
+                    metrics.reopenCount = flowMetrics.totalReopens;
+                }
             }
 
             // Quality score based on bug creation vs resolution
@@ -1147,6 +2397,7 @@ class DashboardIntegrationController {
             bugsResolved: 0,
             testCasesAuthored: 0,
             averageCycleTime: 0,
+            reopenCount: 0,
             currentWorkload: 0,
             committedPoints: 0,
             velocity: 0,
@@ -1154,8 +2405,32 @@ class DashboardIntegrationController {
         };
     }
 
+    async loadDependencies(workItems) {
+        if (!window.dependencyExtractor || workItems.length === 0) return null;
+
+        try {
+            return await window.dependencyExtractor.extractDependencies(workItems);
+        } catch (error) {
+            console.warn('Failed to extract dependencies:', error);
+            return null;
+        }
+    }
+
+    async loadFlowMetrics(workItems) {
+        if (!window.workItemHistory || workItems.length === 0) {
+            return null;
+        }
+
+        try {
+            return await window.workItemHistory.analyzeWorkItems(workItems);
+        } catch (error) {
+            console.warn('Failed to load work item flow metrics:', error);
+            return null;
+        }
+    }
+
     inferMemberRole(workItems) {
-        const workItemTypes = workItems.map(wi => wi.fields?.['System.WorkItemType']);
+        const workItemTypes = workItems.map(wi => this.getFieldMapping(wi).toStandardType(wi.fields?.['System.WorkItemType']));
         const testCaseCount = workItemTypes.filter(type => type === 'Test Case').length;
         const bugCount = workItemTypes.filter(type => type === 'Bug').length;
         const storyCount = workItemTypes.filter(type => type === 'User Story').length;
@@ -196,7 +196,7 @@ class ErrorHandler {
                 category = ERROR_CATEGORIES.AUTHENTICATION;
                 severity = ERROR_SEVERITY.HIGH;
                 recoveryStrategy = RECOVERY_STRATEGIES.REFRESH_TOKEN;
-                userMessage = 'Your session has expired. Please check your Personal Access Token.';
+                userMessage = 'Your session has expired. Please check your access token or sign in again.';
                 break;
                 
             case 403:
@@ -256,8 +256,10 @@ class ErrorHandler {
      * Handle rate limiting
      */
     async handleRateLimit(response, url) {
-        const retryAfter = response.headers.get('Retry-After') || 
-                          response.headers.get('X-RateLimit-Reset') || 
+        // X-RateLimit-Reset is an epoch timestamp, not a duration; prefer Retry-After
+        const resetHeader = parseFloat(response.headers.get('X-RateLimit-Reset'));
+        const retryAfter = response.headers.get('Retry-After') ||
+                          (Number.isFinite(resetHeader) ? Math.max(1, Math.ceil(resetHeader - Date.now() / 1000)) : null) ||
                           '60';
         
         const resetTime = Date.now() + (parseInt(retryAfter) * 1000);
@@ -411,9 +413,23 @@ class ErrorHandler {
     }
 
     /**
-     * Handle token refresh strategy
+     * Handle token refresh strategy - refreshes the OAuth/bearer token of the
+     * ADO client that made the request, and only prompts when that is not possible
      */
     async handleTokenRefresh(error) {
+        const client = this.findClientForUrl(error.url);
+        if (client && client.authProvider?.canRefresh()) {
+            try {
+                if (await client.refreshAuthentication()) {
+                    this.sessionWarnings.delete('token_expired');
+                    console.log('[ERROR_HANDLER] Access token refreshed for', client.baseUrl);
+                    return false;
+                }
+            } catch (refreshError) {
+                console.warn('[ERROR_HANDLER] Token refresh failed:', refreshError);
+            }
+        }
+
         if (this.sessionWarnings.has('token_expired')) {
             return false; // Already handling
         }
@@ -429,6 +445,18 @@ class ErrorHandler {
         return false;
     }
 
+    /**
+     * Find the ADO client (primary or pooled) that owns a request URL
+     */
+    findClientForUrl(url) {
+        const clients = [
+            window.adoClient,
+            ...(window.adoClientPool ? window.adoClientPool.getClients() : [])
+        ].filter(Boolean);
+
+        return clients.find(client => client.ownsUrl(url)) || null;
+    }
+
     /**
      * Handle network disconnection
      */
@@ -702,7 +730,7 @@ class ErrorHandler {
                 <div class="alert alert-warning alert-dismissible mb-0">
                     <i class="fas fa-clock me-2"></i>
                     <strong>Session Expired</strong>
-                    Your Personal Access Token has expired or is invalid. Please update your configuration.
+                    Your access token has expired or is invalid. Please sign in again or update your configuration.
                     <button class="btn btn-sm btn-warning ms-2" onclick="dashboard.showConfigurationModal()">
                         <i class="fas fa-cog me-1"></i>Update Settings
                     </button>
@@ -48,6 +48,8 @@ class ReportGenerator {
             sections: [
                 'header',
                 'summary-metrics',
+                'source-breakdown',
+                'hierarchy-rollup',
                 'key-insights',
                 'recommendations',
                 'footer'
@@ -71,6 +73,7 @@ class ReportGenerator {
                 'velocity-analysis',
                 'burndown-chart',
                 'quality-metrics',
+                'flaky-tests',
                 'team-performance',
                 'issues-summary',
                 'next-sprint-planning',
@@ -92,6 +95,7 @@ class ReportGenerator {
             sections: [
                 'header',
                 'test-coverage',
+                'flaky-tests',
                 'bug-analysis',
                 'code-quality',
                 'performance-metrics',
@@ -130,6 +134,24 @@ class ReportGenerator {
             }
         });
 
+        // Traceability Matrix Template
+        this.templates.set('traceability-matrix', {
+            name: 'Traceability Matrix',
+            type: 'traceability',
+            layout: 'landscape',
+            sections: [
+                'header',
+                'traceability-matrix',
+                'footer'
+            ],
+            config: {
+                pageSize: 'A4',
+                margins: '10mm',
+                charts: [],
+                maxPages: 50
+            }
+        });
+
         // Monthly Summary Template
         this.templates.set('monthly-summary', {
             name: 'Monthly Summary',
@@ -142,6 +164,7 @@ class ReportGenerator {
                 'cumulative-metrics',
                 'trend-analysis',
                 'goals-progress',
+                'hierarchy-rollup',
                 'next-month-forecast',
                 'footer'
             ],
@@ -228,6 +251,18 @@ class ReportGenerator {
             case 'team-performance':
                 section.innerHTML = this.generateTeamPerformance(data);
                 break;
+            case 'source-breakdown':
+                section.innerHTML = this.generateSourceBreakdown(data, options);
+                break;
+            case 'hierarchy-rollup':
+                section.innerHTML = this.generateHierarchyRollup(data);
+                break;
+            case 'flaky-tests':
+                section.innerHTML = this.generateFlakyTests(data);
+                break;
+            case 'traceability-matrix':
+                section.innerHTML = this.generateTraceabilityMatrix(data);
+                break;
             case 'footer':
                 section.innerHTML = this.generatePDFFooter(template);
                 break;
@@ -570,6 +605,191 @@ class ReportGenerator {
         `;
     }
 
+    generateSourceBreakdown(data, options = {}) {
+        const sources = this.getSourceRollup(data, options);
+        if (sources.length === 0) return '';
+
+        const cellStyle = 'padding: 12px; border-bottom: 1px solid #e5e7eb; color: #374151;';
+        const headerStyle = `padding: 12px; text-align: left; border-bottom: 2px solid ${this.options.primaryColor}; color: #374151; font-weight: 600;`;
+
+        return `
+            <div class="pdf-source-breakdown" style="margin-bottom: 30px;">
+                <h2 style="
+                    color: ${this.options.primaryColor};
+                    margin-bottom: 20px;
+                    font-size: 22px;
+                    border-bottom: 2px solid #e5e7eb;
+                    padding-bottom: 10px;
+                ">By Source Project</h2>
+
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f8fafc;">
+                            <th style="${headerStyle}">Source</th>
+                            <th style="${headerStyle}">Organization / Project</th>
+                            <th style="${headerStyle}">Work Items</th>
+                            <th style="${headerStyle}">Story Points</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sources.map(entry => `
+                            <tr>
+                                <td style="${cellStyle} font-weight: 600;">${entry.source.label}</td>
+                                <td style="${cellStyle}">${entry.source.organization} / ${entry.source.project}</td>
+                                <td style="${cellStyle}">${entry.count}</td>
+                                <td style="${cellStyle}">${entry.storyPoints}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    generateHierarchyRollup(data) {
+        const rows = this.getHierarchyRollupRows(data);
+        if (rows.length === 0) return '';
+
+        const cellStyle = 'padding: 10px; border-bottom: 1px solid #e5e7eb; color: #374151;';
+        const headerStyle = `padding: 10px; text-align: left; border-bottom: 2px solid ${this.options.primaryColor}; color: #374151; font-weight: 600;`;
+
+        return `
+            <div class="pdf-hierarchy-rollup" style="margin-bottom: 30px;">
+                <h2 style="
+                    color: ${this.options.primaryColor};
+                    margin-bottom: 20px;
+                    font-size: 22px;
+                    border-bottom: 2px solid #e5e7eb;
+                    padding-bottom: 10px;
+                ">Epic & Feature Progress</h2>
+
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f8fafc;">
+                            <th style="${headerStyle}">Work Item</th>
+                            <th style="${headerStyle}">State</th>
+                            <th style="${headerStyle}">Points Done</th>
+                            <th style="${headerStyle}">Remaining</th>
+                            <th style="${headerStyle}">Complete</th>
+                            <th style="${headerStyle}">Open Bugs</th>
+                            <th style="${headerStyle}">Tested</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td style="${cellStyle} padding-left: ${10 + row.depth * 20}px; ${row.depth === 0 ? 'font-weight: 600;' : ''}">
+                                    ${row.workItemType} #${row.id}: ${row.title}
+                                </td>
+                                <td style="${cellStyle}">${row.state}</td>
+                                <td style="${cellStyle}">${row.completedPoints}</td>
+                                <td style="${cellStyle}">${row.remainingPoints}</td>
+                                <td style="${cellStyle}">${row.percentComplete}%</td>
+                                <td style="${cellStyle}">${row.bugs.open} / ${row.bugs.total}</td>
+                                <td style="${cellStyle}">${row.testCoverage ?? 'N/A'}${row.testCoverage !== null ? '%' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    generateFlakyTests(data) {
+        const tests = this.getFlakyTestRows(data);
+        if (tests.length === 0) return '';
+
+        const cellStyle = 'padding: 10px; border-bottom: 1px solid #e5e7eb; color: #374151;';
+        const headerStyle = `padding: 10px; text-align: left; border-bottom: 2px solid ${this.options.primaryColor}; color: #374151; font-weight: 600;`;
+
+        return `
+            <div class="pdf-flaky-tests" style="margin-bottom: 30px;">
+                <h2 style="
+                    color: ${this.options.primaryColor};
+                    margin-bottom: 20px;
+                    font-size: 22px;
+                    border-bottom: 2px solid #e5e7eb;
+                    padding-bottom: 10px;
+                ">Flaky Tests</h2>
+
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f8fafc;">
+                            <th style="${headerStyle}">Test</th>
+                            <th style="${headerStyle}">Flakiness</th>
+                            <th style="${headerStyle}">Flipped Builds</th>
+                            <th style="${headerStyle}">Failures</th>
+                            <th style="${headerStyle}">First Seen</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tests.map(test => `
+                            <tr>
+                                <td style="${cellStyle} font-weight: 600;">${test.testName}</td>
+                                <td style="${cellStyle}">${test.flakinessScore}%</td>
+                                <td style="${cellStyle}">${test.flakyBuilds} / ${test.builds}</td>
+                                <td style="${cellStyle}">${test.failures} / ${test.executions}</td>
+                                <td style="${cellStyle}">${new Date(test.firstSeen).toLocaleDateString()}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    generateTraceabilityMatrix(data) {
+        const rows = this.getTraceabilityRows(data);
+        if (rows.length === 0) return '';
+
+        const summary = data.traceability.summary;
+        const cellStyle = 'padding: 6px; border-bottom: 1px solid #e5e7eb; color: #374151; font-size: 11px;';
+        const headerStyle = `padding: 6px; text-align: left; border-bottom: 2px solid ${this.options.primaryColor}; color: #374151; font-weight: 600; font-size: 11px;`;
+        const item = (id, title) => id ? `#${id} ${title}` : '—';
+
+        return `
+            <div class="pdf-traceability-matrix" style="margin-bottom: 30px;">
+                <h2 style="
+                    color: ${this.options.primaryColor};
+                    margin-bottom: 20px;
+                    font-size: 22px;
+                    border-bottom: 2px solid #e5e7eb;
+                    padding-bottom: 10px;
+                ">Requirement Traceability</h2>
+                <p style="color: #6b7280; margin-bottom: 15px;">
+                    ${summary.stories} stories, ${summary.testCases} test cases, ${summary.coveragePercentage}% of stories tested, ${summary.rowsWithGaps} rows with gaps
+                </p>
+
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: #f8fafc;">
+                            <th style="${headerStyle}">Epic</th>
+                            <th style="${headerStyle}">Feature</th>
+                            <th style="${headerStyle}">Story</th>
+                            <th style="${headerStyle}">Test Case</th>
+                            <th style="${headerStyle}">Outcome</th>
+                            <th style="${headerStyle}">Bugs</th>
+                            <th style="${headerStyle}">Gaps</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr style="${row.gaps.length > 0 ? 'background: #fef2f2;' : ''}">
+                                <td style="${cellStyle}">${item(row.epicId, row.epicTitle)}</td>
+                                <td style="${cellStyle}">${item(row.featureId, row.featureTitle)}</td>
+                                <td style="${cellStyle}">${item(row.storyId, row.storyTitle)}</td>
+                                <td style="${cellStyle}">${item(row.testCaseId, row.testCaseTitle)}</td>
+                                <td style="${cellStyle}">${row.outcome || '—'}</td>
+                                <td style="${cellStyle}">${row.bugs.map(bug => `#${bug.id}`).join(', ') || '—'}</td>
+                                <td style="${cellStyle} color: #b91c1c; font-weight: 600;">${row.gaps.join(', ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     generateGenericSection(sectionKey, data) {
         return `
             <div class="pdf-generic-section" style="margin-bottom: 30px;">
@@ -791,9 +1011,50 @@ class ReportGenerator {
             case 'performance':
                 await this.createPerformanceWorksheets(workbook, data);
                 break;
+            case 'traceability':
+                await this.createTraceabilityWorksheets(workbook, data);
+                break;
             default:
                 await this.createGenericWorksheets(workbook, data);
         }
+
+        // Per-source roll-up when the data spans several org/project connections
+        const sources = this.getSourceRollup(data, options);
+        if (sources.length > 0) {
+            const sourceSheet = XLSX.utils.aoa_to_sheet([
+                ['Source', 'Organization', 'Project', 'Work Items', 'Story Points'],
+                ...sources.map(entry => [
+                    entry.source.label,
+                    entry.source.organization,
+                    entry.source.project,
+                    entry.count,
+                    entry.storyPoints
+                ])
+            ]);
+            this.formatExcelSheet(sourceSheet, 'sources');
+            XLSX.utils.book_append_sheet(workbook, sourceSheet, 'By Source');
+        }
+
+        // Epic/Feature rollup when the template includes it
+        const hierarchyRows = template.sections.includes('hierarchy-rollup') ? this.getHierarchyRollupRows(data) : [];
+        if (hierarchyRows.length > 0) {
+            const hierarchySheet = XLSX.utils.aoa_to_sheet([
+                this.getHierarchyRollupHeader(),
+                ...hierarchyRows.map(row => this.toHierarchyRollupRecord(row))
+            ]);
+            this.formatExcelSheet(hierarchySheet, 'hierarchy');
+            XLSX.utils.book_append_sheet(workbook, hierarchySheet, 'Epics & Features');
+        }
+
+        const flakyRows = template.sections.includes('flaky-tests') ? this.getFlakyTestRows(data) : [];
+        if (flakyRows.length > 0) {
+            const flakySheet = XLSX.utils.aoa_to_sheet([
+                this.getFlakyTestHeader(),
+                ...flakyRows.map(test => this.toFlakyTestRecord(test))
+            ]);
+            this.formatExcelSheet(flakySheet, 'flaky-tests');
+            XLSX.utils.book_append_sheet(workbook, flakySheet, 'Flaky Tests');
+        }
     }
 
     prepareSummaryData(data, template) {
@@ -972,6 +1233,25 @@ class ReportGenerator {
         XLSX.utils.book_append_sheet(workbook, capacitySheet, 'Capacity Planning');
     }
 
+    async createTraceabilityWorksheets(workbook, data) {
+        const rows = this.getTraceabilityRows(data);
+        const matrixSheet = XLSX.utils.aoa_to_sheet([
+            this.getTraceabilityHeader(),
+            ...rows.map(row => this.toTraceabilityRecord(row))
+        ]);
+        this.formatExcelSheet(matrixSheet, 'traceability');
+        XLSX.utils.book_append_sheet(workbook, matrixSheet, 'Traceability');
+
+        // Gap counts, so auditors can see what to chase before reading the matrix
+        const gaps = Object.entries(data.traceability?.summary?.gaps || {});
+        const gapSheet = XLSX.utils.aoa_to_sheet([
+            ['Gap', 'Rows'],
+            ...gaps.sort((a, b) => b[1] - a[1])
+        ]);
+        this.formatExcelSheet(gapSheet, 'default');
+        XLSX.utils.book_append_sheet(workbook, gapSheet, 'Gaps');
+    }
+
     async createGenericWorksheets(workbook, data) {
         // Raw Data Export
         const rawData = [
@@ -1082,6 +1362,23 @@ class ReportGenerator {
                     { wch: 10 }, { wch: 30 }, { wch: 10 }, { wch: 15 }, { wch: 15 }, { wch: 12 }
                 ];
                 break;
+            case 'sources':
+                sheet['!cols'] = [
+                    { wch: 20 }, { wch: 20 }, { wch: 25 }, { wch: 12 }, { wch: 12 }
+                ];
+                break;
+            case 'traceability':
+                sheet['!cols'] = [
+                    { wch: 8 }, { wch: 30 }, { wch: 8 }, { wch: 30 }, { wch: 8 }, { wch: 35 }, { wch: 12 },
+                    { wch: 10 }, { wch: 35 }, { wch: 14 }, { wch: 22 }, { wch: 20 }, { wch: 10 }, { wch: 40 }
+                ];
+                break;
+            case 'flaky-tests':
+                sheet['!cols'] = [
+                    { wch: 50 }, { wch: 12 }, { wch: 16 }, { wch: 14 }, { wch: 10 },
+                    { wch: 10 }, { wch: 12 }, { wch: 24 }, { wch: 24 }, { wch: 18 }
+                ];
+                break;
             default:
                 sheet['!cols'] = [
                     { wch: 20 }, { wch: 15 }, { wch: 15 }, { wch: 15 }
@@ -2105,9 +2402,46 @@ class ReportGenerator {
             case 'performance':
                 csvData.push(...this.preparePerformanceCSV(data));
                 break;
+            case 'traceability':
+                csvData.push(['TRACEABILITY MATRIX']);
+                csvData.push(this.getTraceabilityHeader());
+                this.getTraceabilityRows(data).forEach(row => csvData.push(this.toTraceabilityRecord(row)));
+                break;
             default:
                 csvData.push(...this.prepareGenericCSV(data));
         }
+
+        const sources = this.getSourceRollup(data, options);
+        if (sources.length > 0) {
+            csvData.push([]);
+            csvData.push(['BY SOURCE PROJECT']);
+            csvData.push(['Source', 'Organization', 'Project', 'Work Items', 'Story Points']);
+            sources.forEach(entry => {
+                csvData.push([
+                    entry.source.label,
+                    entry.source.organization,
+                    entry.source.project,
+                    entry.count,
+                    entry.storyPoints
+                ]);
+            });
+        }
+
+        const hierarchyRows = template.sections.includes('hierarchy-rollup') ? this.getHierarchyRollupRows(data) : [];
+        if (hierarchyRows.length > 0) {
+            csvData.push([]);
+            csvData.push(['EPIC & FEATURE PROGRESS']);
+            csvData.push(this.getHierarchyRollupHeader());
+            hierarchyRows.forEach(row => csvData.push(this.toHierarchyRollupRecord(row)));
+        }
+
+        const flakyRows = template.sections.includes('flaky-tests') ? this.getFlakyTestRows(data) : [];
+        if (flakyRows.length > 0) {
+            csvData.push([]);
+            csvData.push(['FLAKY TESTS']);
+            csvData.push(this.getFlakyTestHeader());
+            flakyRows.forEach(test => csvData.push(this.toFlakyTestRecord(test)));
+        }
         
         return csvData;
     }
@@ -3116,6 +3450,108 @@ class ReportGenerator {
         return nextRun;
     }
 
+    getSourceRollup(data, options = {}) {
+        // data.sources is DashboardIntegration.loadSourceRollup's result; its rollup comes from
+        // ADOClientPool.rollupBySource. options.sources narrows it
+        const sources = data.sources?.rollup || [];
+        const selected = options.sources || [];
+
+        return selected.length > 0
+            ? sources.filter(entry => selected.includes(entry.source.id))
+            : sources;
+    }
+
+    getHierarchyRollupRows(data) {
+        // data.hierarchyRollup comes from HierarchyRollupEngine.calculateRollups; rows keep tree order
+        const roots = data.hierarchyRollup?.roots || [];
+        const rows = [];
+        const visit = (node, depth) => {
+            if (!['Epic', 'Feature'].includes(node.workItemType)) return;
+            rows.push({ ...node, depth });
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+
+        roots.forEach(node => visit(node, 0));
+        return rows;
+    }
+
+    getHierarchyRollupHeader() {
+        return ['Type', 'ID', 'Title', 'Level', 'State', 'Points Done', 'Points Remaining',
+            '% Complete', 'Open Bugs', 'Total Bugs', 'Stories', 'Stories Tested', 'Test Coverage %'];
+    }
+
+    toHierarchyRollupRecord(row) {
+        return [
+            row.workItemType,
+            row.id,
+            row.title,
+            row.depth,
+            row.state,
+            row.completedPoints,
+            row.remainingPoints,
+            row.percentComplete,
+            row.bugs.open,
+            row.bugs.total,
+            row.stories.total,
+            row.stories.tested,
+            row.testCoverage ?? ''
+        ];
+    }
+
+    getTraceabilityRows(data) {
+        // data.traceability comes from TestMetricsEngine.buildTraceabilityMatrix
+        return data.traceability?.rows || [];
+    }
+
+    getTraceabilityHeader() {
+        return ['Epic ID', 'Epic', 'Feature ID', 'Feature', 'Story ID', 'Story', 'Story State',
+            'Test Case ID', 'Test Case', 'Latest Outcome', 'Last Run', 'Bug IDs', 'Open Bugs', 'Gaps'];
+    }
+
+    toTraceabilityRecord(row) {
+        return [
+            row.epicId ?? '',
+            row.epicTitle,
+            row.featureId ?? '',
+            row.featureTitle,
+            row.storyId ?? '',
+            row.storyTitle,
+            row.storyState,
+            row.testCaseId ?? '',
+            row.testCaseTitle,
+            row.outcome,
+            row.lastRun || '',
+            row.bugs.map(bug => bug.id).join('; '),
+            row.openBugs,
+            row.gaps.join('; ')
+        ];
+    }
+
+    getFlakyTestRows(data, limit = 20) {
+        // data.flakyTests comes from TestMetricsEngine.analyzeFlakyTests, worst offenders first
+        return (data.flakyTests?.flakyTests || []).slice(0, limit);
+    }
+
+    getFlakyTestHeader() {
+        return ['Test', 'Test Case ID', 'Flakiness Score %', 'Flipped Builds', 'Builds',
+            'Failures', 'Executions', 'First Seen', 'Last Seen', 'Last Flaky Build'];
+    }
+
+    toFlakyTestRecord(test) {
+        return [
+            test.testName,
+            test.testCaseId ?? '',
+            test.flakinessScore,
+            test.flakyBuilds,
+            test.builds,
+            test.failures,
+            test.executions,
+            test.firstSeen,
+            test.lastSeen,
+            test.lastBuild || ''
+        ];
+    }
+
     generateScheduleId() {
         return 'schedule_' + Math.random().toString(36).substr(2, 9);
     }
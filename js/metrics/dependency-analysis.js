@@ -0,0 +1,210 @@
+/**
+ * Dependency Extractor
+ * Reads Predecessor/Successor and Related links across teams and iterations,
+ * flags dependencies that are late or cross sprint boundaries, and shapes
+ * them for RiskAssessmentEngine and the dependency graph
+ */
+
+class DependencyExtractor {
+    constructor(adoClient = null) {
+        this.adoClient = adoClient || window.adoClient || null;
+
+        // Relation type -> how the linked item relates to the item holding the link
+        this.linkRoles = {
+            'System.LinkTypes.Dependency-Forward': 'successor',
+            'System.LinkTypes.Dependency-Reverse': 'predecessor',
+            'System.LinkTypes.Related': 'related'
+        };
+
+        this.dependencies = [];
+        this.graph = null;
+    }
+
+    /**
+     * @param {Array} workItems - raw ADO work items including relations
+     */
+    async extractDependencies(workItems) {
+        if (!this.adoClient || !this.adoClient.isConfigured()) {
+            throw new Error('ADO client not configured');
+        }
+
+        console.log('🔗 Extracting work item dependencies...');
+        const itemsById = new Map(workItems.map(item => [item.id, item]));
+
+        // Linked items outside the loaded set may belong to other teams, sprints or projects
+        const linkedIds = [...new Set(workItems.flatMap(item => this.getLinks(item).map(link => link.id)))]
+            .filter(id => !itemsById.has(id));
+        const [linkedItems, schedule] = await Promise.all([
+            this.adoClient.fetchWorkItemDetails(linkedIds),
+            this.adoClient.getIterationSchedule().catch(error => {
+                console.warn('Failed to load iteration dates:', error);
+                return new Map();
+            })
+        ]);
+        linkedItems.forEach(item => itemsById.set(item.id, item));
+
+        const dependencies = new Map();
+        workItems.forEach(item => {
+            this.getLinks(item).forEach(link => {
+                const other = itemsById.get(link.id);
+                if (!other) return;
+
+                if (link.role === 'related') {
+                    const [first, second] = item.id < other.id ? [item, other] : [other, item];
+                    const key = `related:${first.id}:${second.id}`;
+                    if (!dependencies.has(key)) {
+                        dependencies.set(key, this.createDependency(first, second, 'related', schedule));
+                    }
+                    return;
+                }
+
+                const [predecessor, successor] = link.role === 'predecessor' ? [other, item] : [item, other];
+                const key = `${predecessor.id}->${successor.id}`;
+                if (!dependencies.has(key)) {
+                    dependencies.set(key, this.createDependency(predecessor, successor, 'dependency', schedule));
+                }
+            });
+        });
+
+        this.dependencies = [...dependencies.values()];
+        this.graph = this.buildGraph(this.dependencies);
+        console.log(`🔗 Found ${this.dependencies.length} dependencies, ${this.dependencies.filter(d => d.late).length} late`);
+
+        return {
+            dependencies: this.dependencies,
+            summary: this.summarize(this.dependencies),
+            graph: this.graph
+        };
+    }
+
+    getLinks(item) {
+        return (item.relations || [])
+            .filter(relation => this.linkRoles[relation.rel])
+            .map(relation => ({
+                id: Number(relation.url.split('/').pop()),
+                role: this.linkRoles[relation.rel]
+            }))
+            .filter(link => !Number.isNaN(link.id));
+    }
+
+    createDependency(predecessorItem, successorItem, type, schedule) {
+        const predecessor = this.describe(predecessorItem, schedule);
+        const successor = this.describe(successorItem, schedule);
+        const isDependency = type === 'dependency';
+        const now = new Date();
+
+        const crossTeam = predecessor.team !== successor.team;
+        const crossSprint = predecessor.iterationPath !== successor.iterationPath;
+        const external = predecessor.project !== successor.project;
+        const late = isDependency && !predecessor.completed && this.isLate(predecessor, successor, now);
+
+        // The successor's sprint has started while the late work it waits on is unfinished
+        const blocked = late && !successor.completed &&
+            !!successor.startDate && new Date(successor.startDate) <= now;
+
+        const reasons = [];
+        if (late) reasons.push(predecessor.finishDate ? 'Predecessor scheduled after it is needed' : 'Predecessor not scheduled');
+        if (blocked) reasons.push('Successor sprint started before predecessor finished');
+        if (crossSprint) reasons.push('Crosses sprint boundary');
+        if (crossTeam) reasons.push('Crosses team boundary');
+        if (external) reasons.push('Other project');
+
+        return {
+            id: isDependency ? `${predecessor.id}->${successor.id}` : `${predecessor.id}~${successor.id}`,
+            type,
+            predecessor,
+            successor,
+            crossTeam,
+            crossSprint,
+            external,
+            late,
+            status: !isDependency ? 'related' : predecessor.completed ? 'done' : blocked ? 'blocked' : 'open',
+            criticality: late || blocked ? 'high' : crossTeam || crossSprint || external ? 'medium' : 'low',
+            reasons
+        };
+    }
+
+    describe(item, schedule) {
+        const fields = item.fields || {};
+        const areaPath = fields['System.AreaPath'] || '';
+        const iterationPath = fields['System.IterationPath'] || '';
+        const dates = schedule.get(iterationPath.toLowerCase()) || {};
+
+        return {
+            id: item.id,
+            title: fields['System.Title'],
+            workItemType: window.fieldMapping ? window.fieldMapping.toStandardType(fields['System.WorkItemType']) : fields['System.WorkItemType'],
+            state: fields['System.State'],
+            assignedTo: fields['System.AssignedTo']?.displayName || 'Unassigned',
+            project: fields['System.TeamProject'] || '',
+            areaPath,
+            // Teams own areas directly under the project root
+            team: areaPath.split('\\').slice(0, 2).join('\\'),
+            iterationPath,
+            startDate: dates.startDate || null,
+            finishDate: dates.finishDate || null,
+            completed: (this.adoClient?.fieldMapping || window.fieldMapping).isCompletedState(fields['System.State'])
+        };
+    }
+
+    isLate(predecessor, successor, now) {
+        // An unfinished predecessor whose sprint is over, or that is planned to finish after its successor's sprint
+        if (predecessor.finishDate && new Date(predecessor.finishDate) < now) {
+            return true;
+        }
+        if (predecessor.finishDate && successor.finishDate) {
+            return new Date(predecessor.finishDate) > new Date(successor.finishDate);
+        }
+
+        // Nothing scheduled for the predecessor while its successor is already planned
+        return !predecessor.finishDate && !!successor.startDate;
+    }
+
+    summarize(dependencies) {
+        const links = dependencies.filter(d => d.type === 'dependency');
+        return {
+            total: links.length,
+            related: dependencies.length - links.length,
+            late: links.filter(d => d.late).length,
+            blocked: links.filter(d => d.status === 'blocked').length,
+            crossSprint: links.filter(d => d.crossSprint).length,
+            crossTeam: dependencies.filter(d => d.crossTeam).length,
+            external: dependencies.filter(d => d.external).length
+        };
+    }
+
+    buildGraph(dependencies) {
+        const nodes = new Map();
+        dependencies.forEach(dep => {
+            [dep.predecessor, dep.successor].forEach(item => nodes.set(item.id, item));
+        });
+
+        return {
+            nodes: [...nodes.values()],
+            edges: dependencies.map(dep => ({
+                from: dep.predecessor.id,
+                to: dep.successor.id,
+                type: dep.type,
+                late: dep.late,
+                status: dep.status,
+                crossSprint: dep.crossSprint,
+                crossTeam: dep.crossTeam
+            }))
+        };
+    }
+
+    getAtRiskDependencies() {
+        return this.dependencies.filter(dep => dep.criticality === 'high');
+    }
+
+    getDependencies() {
+        return this.dependencies;
+    }
+
+    getGraph() {
+        return this.graph;
+    }
+}
+
+// Global instance
+window.dependencyExtractor = new DependencyExtractor();
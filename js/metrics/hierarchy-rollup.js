@@ -0,0 +1,161 @@
+/**
+ * Hierarchy Rollup Engine
+ * Rolls completed versus remaining points, bug counts and test coverage up
+ * the Epic > Feature > Story tree built from hierarchy links
+ */
+
+class HierarchyRollupEngine {
+    constructor(adoClient = null) {
+        this.adoClient = adoClient || window.adoClient || null;
+
+        // Backlog items whose points count toward their Feature and Epic
+        this.pointTypes = ['User Story', 'Bug'];
+
+        this.hierarchy = null;
+        this.rollups = null;
+    }
+
+    /**
+     * @param {Array<ADOClient>} [clients] - Sources to read; their trees sit side by side
+     */
+    async loadHierarchy(maxDepth = 5, clients = [this.adoClient]) {
+        if (clients.length === 0 || clients.some(client => !client || !client.isConfigured())) {
+            throw new Error('ADO client not configured');
+        }
+
+        console.log('🌳 Loading work item hierarchy...');
+        const hierarchies = await Promise.all(clients.map(client => client.getWorkItemHierarchy(['Epic', 'Feature'], maxDepth)));
+        this.hierarchy = hierarchies.length === 1 ? hierarchies[0] : {
+            roots: hierarchies.flatMap(hierarchy => hierarchy.roots),
+            count: hierarchies.reduce((total, hierarchy) => total + hierarchy.count, 0)
+        };
+        console.log(`🌳 Loaded ${this.hierarchy.count} work items under ${this.hierarchy.roots.length} top-level items`);
+
+        return this.hierarchy;
+    }
+
+    async calculateRollups(maxDepth = 5, clients = undefined) {
+        await this.loadHierarchy(maxDepth, clients);
+
+        const roots = this.hierarchy.roots.map(node => this.rollupNode(node));
+        const all = roots.flatMap(node => this.flatten(node));
+        const summarize = node => {
+            const { children, ...summary } = node;
+            return summary;
+        };
+
+        this.rollups = {
+            roots,
+            epics: all.filter(node => node.workItemType === 'Epic').map(summarize),
+            features: all.filter(node => node.workItemType === 'Feature').map(summarize),
+            totals: this.combine(roots),
+            calculatedAt: new Date().toISOString()
+        };
+
+        return this.rollups;
+    }
+
+    rollupNode(node) {
+        const children = node.children.map(child => this.rollupNode(child));
+        const isCompleted = (this.adoClient?.fieldMapping || window.fieldMapping).isCompletedState(node.state);
+        const isStory = node.workItemType === 'User Story';
+        const points = this.pointTypes.includes(node.workItemType) ? Number(node.storyPoints) || 0 : 0;
+
+        // A story counts as tested when a test case is linked to it or sits under it
+        const own = {
+            completedPoints: isCompleted ? points : 0,
+            remainingPoints: isCompleted ? 0 : points,
+            stories: {
+                total: isStory ? 1 : 0,
+                completed: isStory && isCompleted ? 1 : 0,
+                tested: isStory && (node.testCaseIds.length > 0 ||
+                    children.some(child => child.workItemType === 'Test Case')) ? 1 : 0
+            },
+            bugs: {
+                total: node.workItemType === 'Bug' ? 1 : 0,
+                open: node.workItemType === 'Bug' && !isCompleted ? 1 : 0
+            },
+            testCases: new Set([
+                ...node.testCaseIds,
+                ...(node.workItemType === 'Test Case' ? [node.id] : [])
+            ])
+        };
+
+        const stats = this.combine(children, own);
+
+        return {
+            id: node.id,
+            title: node.title,
+            workItemType: node.workItemType,
+            state: node.state,
+            areaPath: node.areaPath,
+            url: node.url,
+            ...stats,
+            children
+        };
+    }
+
+    combine(nodes, own = null) {
+        const base = own || {
+            completedPoints: 0,
+            remainingPoints: 0,
+            stories: { total: 0, completed: 0, tested: 0 },
+            bugs: { total: 0, open: 0 },
+            testCases: new Set()
+        };
+
+        // Test cases are counted once even when they test several stories
+        const testCases = new Set(base.testCases);
+        const totals = nodes.reduce((sum, node) => {
+            node.testCaseIds.forEach(id => testCases.add(id));
+            return {
+                completedPoints: sum.completedPoints + node.completedPoints,
+                remainingPoints: sum.remainingPoints + node.remainingPoints,
+                stories: {
+                    total: sum.stories.total + node.stories.total,
+                    completed: sum.stories.completed + node.stories.completed,
+                    tested: sum.stories.tested + node.stories.tested
+                },
+                bugs: {
+                    total: sum.bugs.total + node.bugs.total,
+                    open: sum.bugs.open + node.bugs.open
+                }
+            };
+        }, base);
+
+        const totalPoints = totals.completedPoints + totals.remainingPoints;
+
+        return {
+            completedPoints: totals.completedPoints,
+            remainingPoints: totals.remainingPoints,
+            totalPoints,
+            percentComplete: totalPoints > 0 ? this.round((totals.completedPoints / totalPoints) * 100) : 0,
+            stories: totals.stories,
+            bugs: totals.bugs,
+            testCaseIds: [...testCases],
+            testCoverage: totals.stories.total > 0
+                ? this.round((totals.stories.tested / totals.stories.total) * 100)
+                : null
+        };
+    }
+
+    flatten(node) {
+        return [node, ...node.children.flatMap(child => this.flatten(child))];
+    }
+
+    findNode(id) {
+        if (!this.rollups) return null;
+        return this.rollups.roots.flatMap(node => this.flatten(node)).find(node => node.id === id) || null;
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    getRollups() {
+        return this.rollups;
+    }
+}
+
+// Global instance
+window.hierarchyRollup = new HierarchyRollupEngine();
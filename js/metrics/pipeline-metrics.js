@@ -0,0 +1,288 @@
+/**
+ * Pipeline Metrics Engine
+ * Builds deployment history from ADO pipelines and computes DORA metrics:
+ * deployment frequency, lead time for changes, change failure rate, time to restore
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class PipelineMetricsEngine {
+    constructor(adoClient = null) {
+        this.adoClient = adoClient || window.adoClient || null;
+
+        // Stages (or classic pipeline names) that count as deployments
+        this.deploymentPattern = /deploy|release|prod/i;
+        this.productionPattern = /prod/i;
+
+        // DORA performance bands, best first
+        this.performanceLevels = {
+            deploymentFrequency: [
+                { level: 'Elite', min: 1 },           // daily or more (deployments per day)
+                { level: 'High', min: 1 / 7 },        // at least weekly
+                { level: 'Medium', min: 1 / 30 },     // at least monthly
+                { level: 'Low', min: 0 }
+            ],
+            leadTime: [
+                { level: 'Elite', max: 1 },           // days
+                { level: 'High', max: 7 },
+                { level: 'Medium', max: 30 },
+                { level: 'Low', max: Infinity }
+            ],
+            changeFailureRate: [
+                { level: 'Elite', max: 15 },          // percent
+                { level: 'High', max: 20 },
+                { level: 'Medium', max: 30 },
+                { level: 'Low', max: Infinity }
+            ],
+            timeToRestore: [
+                { level: 'Elite', max: 1 },           // hours
+                { level: 'High', max: 24 },
+                { level: 'Medium', max: 24 * 7 },
+                { level: 'Low', max: Infinity }
+            ]
+        };
+
+        this.builds = [];
+        this.deployments = [];
+        this.clientsBySource = new Map();
+        this.doraMetrics = null;
+    }
+
+    /**
+     * @param {Array<ADOClient>} [clients] - Sources to read, for a roll-up across
+     *   connections; builds and deployments are tagged with their source
+     */
+    async loadPipelineData(days = 30, clients = [this.adoClient]) {
+        if (clients.length === 0 || clients.some(client => !client || !client.isConfigured())) {
+            throw new Error('ADO client not configured');
+        }
+
+        console.log('🚀 Loading pipeline data...');
+        const minTime = new Date(Date.now() - days * DAY_MS).toISOString();
+        this.clientsBySource = new Map(clients.map(client => [client.getSource().id, client]));
+
+        const perSource = await Promise.all(clients.map(async client => {
+            const source = client.getSource();
+            const builds = (await client.getBuilds({ minTime })).value || [];
+
+            // Stage results come from each build's timeline
+            return Promise.all(builds.map(async build => {
+                const timeline = await client.getBuildTimeline(build.id);
+                return {
+                    id: build.id,
+                    buildNumber: build.buildNumber,
+                    definition: build.definition?.name || '',
+                    result: build.result,
+                    queueTime: build.queueTime,
+                    startTime: build.startTime,
+                    finishTime: build.finishTime,
+                    sourceBranch: build.sourceBranch,
+                    source,
+                    stages: (timeline.records || [])
+                        .filter(record => record.type === 'Stage')
+                        .map(record => ({
+                            name: record.name,
+                            result: record.result,
+                            startTime: record.startTime,
+                            finishTime: record.finishTime
+                        }))
+                };
+            }));
+        }));
+        this.builds = perSource.flat();
+
+        this.deployments = this.builds
+            .map(build => this.createDeployment(build))
+            .filter(Boolean)
+            .sort((a, b) => new Date(a.finishTime) - new Date(b.finishTime));
+
+        await this.linkDeploymentBugs(minTime);
+
+        console.log(`🚀 Loaded ${this.builds.length} builds, ${this.deployments.length} deployments`);
+        return { builds: this.builds, deployments: this.deployments };
+    }
+
+    createDeployment(build) {
+        // Prefer production stages, then any deployment stage; classic pipelines have no stages
+        const deployStages = build.stages.filter(stage => this.deploymentPattern.test(stage.name));
+        const stage = deployStages.find(s => this.productionPattern.test(s.name)) || deployStages[deployStages.length - 1];
+
+        if (!stage && !(build.stages.length === 0 && this.deploymentPattern.test(build.definition))) {
+            return null;
+        }
+
+        const result = stage ? stage.result : build.result;
+        if (!result || ['skipped', 'canceled'].includes(result)) {
+            return null;
+        }
+
+        return {
+            buildId: build.id,
+            buildNumber: build.buildNumber,
+            definition: build.definition,
+            source: build.source,
+            stage: stage?.name || build.definition,
+            isProduction: this.productionPattern.test(stage?.name || build.definition),
+            succeeded: result === 'succeeded' || result === 'succeededWithIssues',
+            finishTime: stage?.finishTime || build.finishTime,
+            linkedBugs: []
+        };
+    }
+
+    async linkDeploymentBugs(since) {
+        // Build numbers are only unique within a source
+        const deploymentsByBuild = new Map(this.deployments.map(d => [`${d.source.id}|${d.buildNumber}`, d]));
+
+        await Promise.all([...this.clientsBySource.values()].map(async client => {
+            try {
+                const { bugs } = await client.fetchBugs({ dateRange: { start: since } });
+                bugs.forEach(bug => {
+                    const deployment = deploymentsByBuild.get(`${client.getSource().id}|${bug.foundInBuild}`);
+                    if (deployment) {
+                        deployment.linkedBugs.push({ id: bug.id, title: bug.title, severity: bug.severity });
+                    }
+                });
+            } catch (error) {
+                console.warn('Failed to link bugs to deployments:', error);
+            }
+        }));
+    }
+
+    async calculateDoraMetrics(days = 30, clients = undefined) {
+        await this.loadPipelineData(days, clients);
+
+        // Production deployments when the pipelines distinguish them, otherwise every deployment
+        const production = this.deployments.filter(d => d.isProduction);
+        const deployments = production.length > 0 ? production : this.deployments;
+
+        const deploymentFrequency = this.calculateDeploymentFrequency(deployments, days);
+        const leadTime = await this.calculateLeadTimeForChanges(deployments);
+        const changeFailureRate = this.calculateChangeFailureRate(deployments);
+        const timeToRestore = this.calculateTimeToRestore(deployments);
+
+        this.doraMetrics = {
+            periodDays: days,
+            deploymentCount: deployments.length,
+            deploymentFrequency: {
+                ...deploymentFrequency,
+                level: this.classify('deploymentFrequency', deploymentFrequency.perDay)
+            },
+            leadTime: { ...leadTime, level: this.classify('leadTime', leadTime.medianDays) },
+            changeFailureRate: { ...changeFailureRate, level: this.classify('changeFailureRate', changeFailureRate.percentage) },
+            timeToRestore: { ...timeToRestore, level: this.classify('timeToRestore', timeToRestore.meanHours) },
+            calculatedAt: new Date().toISOString()
+        };
+
+        return this.doraMetrics;
+    }
+
+    calculateDeploymentFrequency(deployments, days) {
+        const successful = deployments.filter(d => d.succeeded).length;
+        return {
+            total: successful,
+            perDay: this.round(successful / days, 2),
+            perWeek: this.round((successful / days) * 7)
+        };
+    }
+
+    async calculateLeadTimeForChanges(deployments) {
+        const leadTimes = [];
+
+        // Commit-to-deploy time for every change in each successful deployment
+        for (const deployment of deployments.filter(d => d.succeeded)) {
+            const client = this.clientsBySource.get(deployment.source.id) || this.adoClient;
+            const changes = (await client.getBuildChanges(deployment.buildId)).value || [];
+            changes.forEach(change => {
+                if (change.timestamp) {
+                    leadTimes.push((new Date(deployment.finishTime) - new Date(change.timestamp)) / DAY_MS);
+                }
+            });
+        }
+
+        const sorted = leadTimes.filter(days => days >= 0).sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+        return {
+            medianDays: sorted.length > 0 ? this.round(median) : null,
+            averageDays: sorted.length > 0 ? this.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+            changeCount: sorted.length
+        };
+    }
+
+    calculateChangeFailureRate(deployments) {
+        // A change failed if its deployment failed or bugs were found in that build
+        const failures = deployments.filter(d => !d.succeeded || d.linkedBugs.length > 0);
+
+        return {
+            percentage: deployments.length > 0 ? this.round((failures.length / deployments.length) * 100) : null,
+            failedDeployments: failures.length,
+            linkedBugs: failures.reduce((sum, d) => sum + d.linkedBugs.length, 0),
+            failures: failures.map(d => ({
+                buildNumber: d.buildNumber,
+                definition: d.definition,
+                stage: d.stage,
+                finishTime: d.finishTime,
+                bugs: d.linkedBugs
+            }))
+        };
+    }
+
+    calculateTimeToRestore(deployments) {
+        // Time from a failed deployment to the next successful one of the same pipeline
+        const restoreTimes = [];
+
+        deployments.forEach((deployment, index) => {
+            if (deployment.succeeded) return;
+
+            // Deployments of other pipelines interleave; only this pipeline's last run matters
+            const previous = deployments.slice(0, index).findLast(d => this.isSamePipeline(d, deployment));
+            if (previous && !previous.succeeded) {
+                return; // same outage
+            }
+
+            const recovery = deployments.slice(index + 1)
+                .find(d => d.succeeded && this.isSamePipeline(d, deployment));
+            if (recovery) {
+                restoreTimes.push((new Date(recovery.finishTime) - new Date(deployment.finishTime)) / HOUR_MS);
+            }
+        });
+
+        return {
+            meanHours: restoreTimes.length > 0
+                ? this.round(restoreTimes.reduce((a, b) => a + b, 0) / restoreTimes.length)
+                : null,
+            incidents: restoreTimes.length
+        };
+    }
+
+    // Pipeline names repeat across projects
+    isSamePipeline(a, b) {
+        return a.definition === b.definition && a.source?.id === b.source?.id;
+    }
+
+    classify(metric, value) {
+        if (value === null || value === undefined) return 'N/A';
+
+        const bands = this.performanceLevels[metric];
+        const band = bands.find(b => (b.min !== undefined ? value >= b.min : value <= b.max));
+        return band ? band.level : 'Low';
+    }
+
+    round(value, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    getDoraMetrics() {
+        return this.doraMetrics;
+    }
+
+    getDeployments() {
+        return this.deployments;
+    }
+}
+
+// Global instance
+window.pipelineMetrics = new PipelineMetricsEngine();
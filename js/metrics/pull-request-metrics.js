@@ -0,0 +1,296 @@
+/**
+ * Pull Request Metrics Engine
+ * PR throughput, review latency, reviewer load, PR size and work item links
+ * across every repository in the project
+ */
+
+class PullRequestMetricsEngine {
+    constructor(adoClient = null) {
+        this.adoClient = adoClient || window.adoClient || null;
+
+        // Size buckets by number of changed files
+        this.sizeBuckets = [
+            { name: 'XS', maxFiles: 2 },
+            { name: 'S', maxFiles: 10 },
+            { name: 'M', maxFiles: 30 },
+            { name: 'L', maxFiles: 100 },
+            { name: 'XL', maxFiles: Infinity }
+        ];
+
+        // Reviewers above either threshold are flagged as bottlenecks
+        this.bottleneckThresholds = {
+            pendingReviews: 5,
+            firstReviewHours: 24
+        };
+
+        this.pullRequests = [];
+        this.metrics = null;
+    }
+
+    /**
+     * @param {Array<ADOClient>} [clients] - Sources to read, for a roll-up across connections
+     */
+    async loadPullRequests(days = 30, clients = [this.adoClient]) {
+        if (clients.length === 0 || clients.some(client => !client || !client.isConfigured())) {
+            throw new Error('ADO client not configured');
+        }
+
+        console.log('🔀 Loading pull requests...');
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const repositories = (await Promise.all(clients.map(async client =>
+            ((await client.getRepositories()).value || []).map(repository => ({ client, repository }))
+        ))).flat();
+
+        const perRepository = await Promise.all(repositories.map(async ({ client, repository }) => {
+            const response = await client.getPullRequests(repository.id);
+            const recent = (response.value || []).filter(pr => new Date(pr.creationDate) >= since);
+            return Promise.all(recent.map(pr => this.loadPullRequestDetails(repository, pr, client)));
+        }));
+
+        this.pullRequests = perRepository.flat();
+        console.log(`🔀 Loaded ${this.pullRequests.length} pull requests from ${repositories.length} repositories`);
+
+        return this.pullRequests;
+    }
+
+    async loadPullRequestDetails(repository, pr, client = this.adoClient) {
+        const [threads, iterations, workItems, commits] = await Promise.all([
+            client.getPullRequestThreads(repository.id, pr.pullRequestId),
+            client.getPullRequestIterations(repository.id, pr.pullRequestId),
+            client.getPullRequestWorkItems(repository.id, pr.pullRequestId),
+            client.getPullRequestCommits(repository.id, pr.pullRequestId)
+        ]);
+
+        // Files changed across the whole PR are reported on the latest iteration
+        const lastIteration = (iterations.value || []).reduce((max, it) => Math.max(max, it.id), 0);
+        const changes = lastIteration > 0
+            ? await client.getPullRequestIterationChanges(repository.id, pr.pullRequestId, lastIteration)
+            : { changeEntries: [] };
+
+        const author = this.toPerson(pr.createdBy);
+        const reviewActivity = this.extractReviewActivity(threads.value || [], author);
+        const filesChanged = (changes.changeEntries || []).length;
+
+        return {
+            id: pr.pullRequestId,
+            title: pr.title,
+            repository: repository.name,
+            source: client.getSource(),
+            status: pr.status,
+            author,
+            createdDate: pr.creationDate,
+            closedDate: pr.closedDate || null,
+            reviewers: (pr.reviewers || [])
+                .filter(reviewer => !reviewer.isContainer)
+                .map(reviewer => ({
+                    ...this.toPerson(reviewer),
+                    vote: reviewer.vote || 0,
+                    isRequired: !!reviewer.isRequired,
+                    firstResponse: reviewActivity.byReviewer[this.personKey(reviewer)] || null
+                })),
+            firstReviewDate: reviewActivity.firstReviewDate,
+            filesChanged,
+            size: this.sizeBuckets.find(bucket => filesChanged <= bucket.maxFiles).name,
+            workItemIds: this.collectWorkItemIds(workItems.value || [], commits.value || [])
+        };
+    }
+
+    extractReviewActivity(threads, author) {
+        const byReviewer = {};
+        let firstReviewDate = null;
+
+        threads.forEach(thread => {
+            (thread.comments || []).forEach(comment => {
+                const person = comment.author;
+                if (!person || this.personKey(person) === author.key || this.isServiceIdentity(person)) {
+                    return;
+                }
+
+                const date = comment.publishedDate || thread.publishedDate;
+                const key = this.personKey(person);
+
+                if (!byReviewer[key] || new Date(date) < new Date(byReviewer[key])) {
+                    byReviewer[key] = date;
+                }
+                if (!firstReviewDate || new Date(date) < new Date(firstReviewDate)) {
+                    firstReviewDate = date;
+                }
+            });
+        });
+
+        return { byReviewer, firstReviewDate };
+    }
+
+    collectWorkItemIds(workItemRefs, commits) {
+        const ids = new Set(workItemRefs.map(ref => Number(ref.id)));
+
+        // Commit messages mention work items as #123 or AB#123
+        commits.forEach(commit => {
+            const matches = (commit.comment || '').matchAll(/(?:AB)?#(\d+)\b/g);
+            for (const match of matches) {
+                ids.add(Number(match[1]));
+            }
+        });
+
+        return [...ids];
+    }
+
+    async calculateMetrics(days = 30, clients = undefined) {
+        await this.loadPullRequests(days, clients);
+
+        const prs = this.pullRequests;
+        const completed = prs.filter(pr => pr.status === 'completed');
+        const abandoned = prs.filter(pr => pr.status === 'abandoned');
+        const active = prs.filter(pr => pr.status === 'active');
+
+        const timeToFirstReview = prs
+            .filter(pr => pr.firstReviewDate)
+            .map(pr => this.hoursBetween(pr.createdDate, pr.firstReviewDate));
+        const timeToMerge = completed
+            .filter(pr => pr.closedDate)
+            .map(pr => this.hoursBetween(pr.createdDate, pr.closedDate));
+
+        const sizeDistribution = {};
+        this.sizeBuckets.forEach(bucket => { sizeDistribution[bucket.name] = 0; });
+        prs.forEach(pr => sizeDistribution[pr.size]++);
+
+        const linkedPRs = prs.filter(pr => pr.workItemIds.length > 0);
+
+        this.metrics = {
+            periodDays: days,
+            throughput: {
+                created: prs.length,
+                completed: completed.length,
+                abandoned: abandoned.length,
+                active: active.length,
+                completedPerWeek: this.round((completed.length / days) * 7)
+            },
+            timeToFirstReview: this.describeHours(timeToFirstReview),
+            timeToMerge: this.describeHours(timeToMerge),
+            abandonedRate: prs.length > 0 ? this.round((abandoned.length / prs.length) * 100) : 0,
+            sizeDistribution,
+            workItemLinks: {
+                linkedPullRequests: linkedPRs.length,
+                unlinkedPullRequests: prs.length - linkedPRs.length,
+                linkRate: prs.length > 0 ? this.round((linkedPRs.length / prs.length) * 100) : 0,
+                byPullRequest: prs.map(pr => ({ id: pr.id, repository: pr.repository, workItemIds: pr.workItemIds }))
+            },
+            reviewerLoad: this.calculateReviewerLoad(prs),
+            calculatedAt: new Date().toISOString()
+        };
+
+        return this.metrics;
+    }
+
+    calculateReviewerLoad(prs) {
+        const load = {};
+        const getEntry = person => {
+            if (!load[person.key]) {
+                load[person.key] = {
+                    displayName: person.displayName,
+                    uniqueName: person.uniqueName,
+                    assigned: 0,
+                    reviewed: 0,
+                    pending: 0,
+                    authored: 0,
+                    merged: 0,
+                    responseHours: []
+                };
+            }
+            return load[person.key];
+        };
+
+        prs.forEach(pr => {
+            const author = getEntry(pr.author);
+            author.authored++;
+            if (pr.status === 'completed') author.merged++;
+
+            pr.reviewers.forEach(reviewer => {
+                const entry = getEntry(reviewer);
+                entry.assigned++;
+
+                if (reviewer.vote !== 0 || reviewer.firstResponse) {
+                    entry.reviewed++;
+                } else if (pr.status === 'active') {
+                    entry.pending++;
+                }
+
+                if (reviewer.firstResponse) {
+                    entry.responseHours.push(this.hoursBetween(pr.createdDate, reviewer.firstResponse));
+                }
+            });
+        });
+
+        return Object.values(load).map(entry => {
+            const { responseHours, ...stats } = entry;
+            const averageFirstReviewHours = responseHours.length > 0
+                ? this.round(responseHours.reduce((a, b) => a + b, 0) / responseHours.length)
+                : null;
+
+            return {
+                ...stats,
+                averageFirstReviewHours,
+                isBottleneck: stats.pending >= this.bottleneckThresholds.pendingReviews ||
+                    (averageFirstReviewHours !== null && averageFirstReviewHours > this.bottleneckThresholds.firstReviewHours)
+            };
+        }).sort((a, b) => b.pending - a.pending || b.assigned - a.assigned);
+    }
+
+    getMemberReviewStats(member) {
+        if (!this.metrics) return null;
+
+        const key = this.personKey(member);
+        return this.metrics.reviewerLoad.find(entry =>
+            this.personKey(entry) === key ||
+            entry.displayName === member.displayName
+        ) || null;
+    }
+
+    toPerson(identity = {}) {
+        return {
+            key: this.personKey(identity),
+            displayName: identity.displayName || '',
+            uniqueName: identity.uniqueName || ''
+        };
+    }
+
+    personKey(identity = {}) {
+        return (identity.uniqueName || identity.displayName || identity.id || '').toLowerCase();
+    }
+
+    isServiceIdentity(identity) {
+        const name = identity.displayName || '';
+        return name.startsWith('Microsoft.') || name.includes('Build Service') || !!identity.isContainer;
+    }
+
+    describeHours(values) {
+        if (values.length === 0) {
+            return { medianHours: null, averageHours: null, samples: 0 };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+        return {
+            medianHours: this.round(median),
+            averageHours: this.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+            samples: sorted.length
+        };
+    }
+
+    hoursBetween(start, end) {
+        return Math.max(0, (new Date(end) - new Date(start)) / (1000 * 60 * 60));
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    getMetrics() {
+        return this.metrics;
+    }
+}
+
+// Global instance
+window.pullRequestMetrics = new PullRequestMetricsEngine();
@@ -0,0 +1,169 @@
+/**
+ * Test Taxonomy
+ * Configurable test categories and the tag, suite-name and area-path rules
+ * that place test cases in them. Rule sources are tried in precedence order;
+ * the first source that matches decides a test case's categories.
+ */
+
+const TEST_TAXONOMY_SOURCES = ['tag', 'suite', 'areaPath', 'keyword'];
+
+const DEFAULT_TEST_TAXONOMY = {
+    // A tag equal to the category key always matches; keywords are substrings
+    // of tags used only when nothing else matched, tried in priority order
+    categories: {
+        'manual-only': { name: 'Manual Only', icon: '👨‍💻', description: 'Tests that can only be executed manually', automatable: false, keywords: ['manual'], priority: 1 },
+        'automated': { name: 'Automated', icon: '🤖', description: 'Fully automated test cases', automatable: true, keywords: ['auto'], priority: 2 },
+        'semi-automated': { name: 'Semi-Automated', icon: '⚙️', description: 'Partially automated tests requiring manual intervention', automatable: true, keywords: [] },
+        'regression': { name: 'Regression', icon: '🔄', description: 'Tests verifying existing functionality', automatable: true, keywords: ['regression'], priority: 4 },
+        'smoke': { name: 'Smoke', icon: '💨', description: 'Basic functionality verification tests', automatable: true, keywords: ['smoke'], priority: 3 },
+        'integration': { name: 'Integration', icon: '🔗', description: 'Tests verifying component integration', automatable: true, keywords: ['integration'], priority: 5 },
+        'unit': { name: 'Unit', icon: '🧪', description: 'Individual component/function tests', automatable: true, keywords: ['unit'], priority: 10 },
+        'e2e': { name: 'End-to-End', icon: '🎯', description: 'Complete user journey tests', automatable: true, keywords: ['e2e', 'end-to-end'], priority: 7 },
+        'api': { name: 'API', icon: '🌐', description: 'API and service layer tests', automatable: true, keywords: ['api'], priority: 6 },
+        'performance': { name: 'Performance', icon: '⚡', description: 'Performance and load testing', automatable: true, keywords: ['performance', 'load'], priority: 8 },
+        'security': { name: 'Security', icon: '🛡️', description: 'Security and vulnerability tests', automatable: true, keywords: ['security'], priority: 9 },
+        'uat': { name: 'UAT', icon: '✅', description: 'User Acceptance Testing', automatable: false, keywords: ['uat'], priority: 11 },
+        'accessibility': { name: 'Accessibility', icon: '♿', description: 'Accessibility compliance tests', automatable: true, keywords: ['accessibility', 'a11y'], priority: 12 }
+    },
+    precedence: ['tag', 'suite', 'areaPath', 'keyword'],
+    suiteRules: [],      // { pattern: 'Smoke', category: 'smoke' } - suite name contains pattern
+    areaPathRules: [],   // { path: 'MyProject\\Web\\A11y', category: 'accessibility' } - path and below
+    defaultCategory: 'manual-only',
+    // Story tags that call for a category of test the story does not have yet
+    storyRequirements: [
+        { tag: 'critical', category: 'smoke' },
+        { tag: 'release', category: 'regression' },
+        { tag: 'api', category: 'integration' }
+    ]
+};
+
+class TestTaxonomy {
+    constructor(config = null) {
+        this.setRules(config);
+    }
+
+    /**
+     * Categories in the config replace the defaults as a whole; empty rule
+     * lists and precedence fall back to the defaults
+     */
+    setRules(config = null) {
+        const defaults = DEFAULT_TEST_TAXONOMY;
+        const configured = config?.categories && Object.keys(config.categories).length > 0
+            ? config.categories
+            : defaults.categories;
+
+        this.categories = {};
+        Object.entries(configured).forEach(([key, category]) => {
+            this.categories[key] = {
+                name: category.name || key,
+                icon: category.icon || '🧪',
+                description: category.description || '',
+                automatable: category.automatable !== false,
+                keywords: (category.keywords || []).map(keyword => keyword.toLowerCase()),
+                // Configs saved before priorities existed keep the default order
+                priority: category.priority ?? defaults.categories[key]?.priority ?? null
+            };
+        });
+
+        const known = rule => !!this.categories[rule.category];
+        this.precedence = (config?.precedence?.length ? config.precedence : defaults.precedence)
+            .filter(source => TEST_TAXONOMY_SOURCES.includes(source));
+        this.suiteRules = (config?.suiteRules || defaults.suiteRules).filter(known);
+        this.areaPathRules = (config?.areaPathRules || defaults.areaPathRules).filter(known);
+        this.storyRequirements = (config?.storyRequirements || defaults.storyRequirements).filter(known);
+        this.defaultCategory = [config?.defaultCategory, defaults.defaultCategory]
+            .find(key => key && this.categories[key]) || Object.keys(this.categories)[0];
+
+        return this;
+    }
+
+    getCategories() {
+        return this.categories;
+    }
+
+    /**
+     * @param {{tags: string|string[], suiteName?: string, areaPath?: string}} testCase
+     * @returns {{categories: string[], source: string}} source is a rule source or 'default'
+     */
+    categorize(testCase) {
+        const tags = this.parseTags(testCase.tags);
+
+        for (const source of this.precedence) {
+            const categories = this.matchSource(source, tags, testCase);
+            if (categories.length > 0) {
+                return { categories, source };
+            }
+        }
+
+        return { categories: [this.defaultCategory], source: 'default' };
+    }
+
+    matchSource(source, tags, testCase) {
+        switch (source) {
+            case 'tag':
+                return Object.keys(this.categories).filter(key => tags.includes(key.toLowerCase()));
+            case 'suite': {
+                const suiteName = (testCase.suiteName || '').toLowerCase();
+                if (!suiteName) return [];
+                return this.unique(this.suiteRules
+                    .filter(rule => suiteName.includes(rule.pattern.toLowerCase()))
+                    .map(rule => rule.category));
+            }
+            case 'areaPath': {
+                const areaPath = (testCase.areaPath || '').toLowerCase();
+                if (!areaPath) return [];
+                return this.unique(this.areaPathRules
+                    .filter(rule => {
+                        const path = rule.path.toLowerCase();
+                        return areaPath === path || areaPath.startsWith(`${path}\\`);
+                    })
+                    .map(rule => rule.category));
+            }
+            case 'keyword':
+                return this.inferFromKeywords(tags);
+            default:
+                return [];
+        }
+    }
+
+    // Single best guess: the highest priority category whose keyword appears in a tag,
+    // so 'manual' wins over 'auto', 'smoke' over 'regression'; unprioritized categories come last
+    inferFromKeywords(tags) {
+        const rank = category => category.priority ?? Infinity;
+        const match = Object.entries(this.categories)
+            .sort(([, a], [, b]) => rank(a) - rank(b))
+            .find(([, category]) => category.keywords.some(keyword => tags.some(tag => tag.includes(keyword))));
+        return match ? [match[0]] : [];
+    }
+
+    findMissingCategories(storyTags, existingCategories) {
+        const tags = this.parseTags(storyTags);
+        return this.unique(this.storyRequirements
+            .filter(rule => tags.includes(rule.tag.toLowerCase()) && !existingCategories.includes(rule.category))
+            .map(rule => rule.category));
+    }
+
+    parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(';');
+        return list.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    }
+
+    unique(values) {
+        return [...new Set(values)];
+    }
+
+    toJSON() {
+        return {
+            categories: this.categories,
+            precedence: this.precedence,
+            suiteRules: this.suiteRules,
+            areaPathRules: this.areaPathRules,
+            defaultCategory: this.defaultCategory,
+            storyRequirements: this.storyRequirements
+        };
+    }
+}
+
+// Global instance
+window.TestTaxonomy = TestTaxonomy;
+window.testTaxonomy = new TestTaxonomy();
@@ -0,0 +1,128 @@
+/**
+ * Test Trend History
+ * Keeps one test execution snapshot per day and per sprint in localStorage so
+ * pass rate, executed count, automation percentage and blocked count can be
+ * charted over time. Snapshots are kept per organization/project.
+ */
+
+const TEST_TREND_STORAGE_KEY = 'adoTestTrendHistory';
+
+class TestTrendHistory {
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.maxDays = 90;
+        this.maxSprints = 26;
+        this.history = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage?.getItem(TEST_TREND_STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Failed to load test trend history:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(TEST_TREND_STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('Failed to save test trend history:', error);
+        }
+    }
+
+    getScope(scope) {
+        if (!this.history[scope]) {
+            this.history[scope] = { days: {}, sprints: {} };
+        }
+        return this.history[scope];
+    }
+
+    /**
+     * Stores a snapshot as the day's figures and, when it has a sprint, as that
+     * sprint's figures; later snapshots on the same day or sprint replace earlier ones
+     * @param {string} scope - organization/project
+     * @param {{date: string, sprint: ?{name: string, path: string}, passRate: number, executed: number,
+     *          automationPercentage: number, blocked: number, total: number}} snapshot
+     */
+    record(scope, snapshot) {
+        const history = this.getScope(scope);
+        const entry = { ...snapshot, recordedAt: new Date().toISOString() };
+
+        history.days[snapshot.date] = entry;
+        if (snapshot.sprint?.path) {
+            history.sprints[snapshot.sprint.path] = entry;
+        }
+
+        this.trim(history);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Fills days with no snapshot from a daily pass/fail series (see
+     * ADOClient.getTestTrendSeries); automation and blocked counts stay unknown.
+     * These entries count run results rather than test points, so they carry
+     * source 'runs' and are charted apart from the snapshots.
+     */
+    backfill(scope, series = []) {
+        const history = this.getScope(scope);
+        let added = 0;
+
+        series.forEach(point => {
+            if (history.days[point.date] || point.total === 0) return;
+            history.days[point.date] = {
+                date: point.date,
+                sprint: null,
+                passRate: point.passRate,
+                executed: point.total - point.notExecuted,
+                automationPercentage: null,
+                blocked: null,
+                total: point.total,
+                source: 'runs'
+            };
+            added++;
+        });
+
+        if (added > 0) {
+            this.trim(history);
+            this.save();
+        }
+        return added;
+    }
+
+    trim(history) {
+        const days = Object.keys(history.days).sort();
+        days.slice(0, Math.max(0, days.length - this.maxDays)).forEach(date => delete history.days[date]);
+
+        const sprints = Object.values(history.sprints).sort((a, b) => a.date.localeCompare(b.date));
+        sprints.slice(0, Math.max(0, sprints.length - this.maxSprints))
+            .forEach(entry => delete history.sprints[entry.sprint.path]);
+    }
+
+    getDailyHistory(scope, days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return Object.values(this.history[scope]?.days || {})
+            .filter(entry => entry.date >= since)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    getSprintHistory(scope) {
+        return Object.values(this.history[scope]?.sprints || {})
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    clear(scope = null) {
+        if (scope) {
+            delete this.history[scope];
+        } else {
+            this.history = {};
+        }
+        this.save();
+    }
+}
+
+// Global instance
+window.TestTrendHistory = TestTrendHistory;
+window.testTrendHistory = new TestTrendHistory();
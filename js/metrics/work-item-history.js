@@ -0,0 +1,255 @@
+/**
+ * Work Item History Service
+ * Turns work item revisions into state-transition timelines and flow metrics
+ * (lead time, cycle time, time in state, reopen counts)
+ */
+
+class WorkItemHistoryService {
+    constructor(adoClient = null) {
+        this.adoClient = adoClient || window.adoClient || null;
+        this.histories = new Map();
+    }
+
+    // State categories and the blocked field come from the client's process mapping
+    get fieldMapping() {
+        return this.adoClient?.fieldMapping || window.fieldMapping;
+    }
+
+    getStateCategory(state) {
+        return this.fieldMapping.getStateCategory(state);
+    }
+
+    /**
+     * @param {number} workItemId
+     * @param {number} [rev] - Current revision; a cached history older than this is rebuilt
+     */
+    async getHistory(workItemId, rev = null) {
+        const cached = this.histories.get(workItemId);
+        if (cached && (rev === null || cached.rev >= rev)) {
+            return cached;
+        }
+
+        if (!this.adoClient) {
+            throw new Error('ADO client not available');
+        }
+
+        const revisions = await this.adoClient.getWorkItemRevisions(workItemId);
+        const history = this.buildHistory(workItemId, revisions.value || []);
+        this.histories.set(workItemId, history);
+
+        return history;
+    }
+
+    /**
+     * @param {Array<number|Object>} workItems - Work item ids, or work items whose rev keeps the cache current
+     */
+    async getHistories(workItems) {
+        const histories = await Promise.all(
+            workItems.map(item => {
+                const [id, rev] = typeof item === 'object' ? [item.id, item.rev ?? null] : [item, null];
+                return this.getHistory(id, rev).catch(error => {
+                    console.warn(`Failed to build history for work item ${id}:`, error);
+                    return null;
+                });
+            })
+        );
+
+        return histories.filter(Boolean);
+    }
+
+    getCachedHistory(workItemId) {
+        return this.histories.get(workItemId) || null;
+    }
+
+    async analyzeWorkItems(workItems) {
+        const histories = await this.getHistories(workItems);
+        const summary = this.summarizeHistories(histories);
+
+        console.log(`🕒 Analyzed revision history for ${histories.length} work items`);
+        return summary;
+    }
+
+    buildHistory(workItemId, revisions) {
+        const sorted = [...revisions].sort((a, b) => (a.rev || 0) - (b.rev || 0));
+        const timeline = [];
+        let previousState = null;
+        let previousCategory = null;
+        let wasBlocked = false;
+
+        sorted.forEach(revision => {
+            const fields = revision.fields || {};
+            const date = new Date(fields['System.ChangedDate']);
+            const changedBy = fields['System.ChangedBy']?.displayName || fields['System.ChangedBy'];
+            const state = fields['System.State'];
+
+            if (state && state !== previousState) {
+                const category = this.getStateCategory(state);
+                const isReopen = ['review', 'completed'].includes(previousCategory) &&
+                    ['proposed', 'active'].includes(category);
+
+                timeline.push({
+                    type: isReopen ? 'reopened' : 'entered',
+                    state,
+                    category,
+                    fromState: previousState,
+                    date,
+                    changedBy,
+                    reason: fields['System.Reason'] || null,
+                    rev: revision.rev
+                });
+
+                previousState = state;
+                previousCategory = category;
+            }
+
+            const isBlocked = this.isBlocked(fields);
+            if (isBlocked !== wasBlocked) {
+                timeline.push({
+                    type: isBlocked ? 'blocked' : 'unblocked',
+                    state: previousState,
+                    category: previousCategory,
+                    date,
+                    changedBy,
+                    rev: revision.rev
+                });
+                wasBlocked = isBlocked;
+            }
+        });
+
+        const first = sorted[0]?.fields || {};
+        const last = sorted[sorted.length - 1]?.fields || {};
+
+        return {
+            id: workItemId,
+            rev: sorted[sorted.length - 1]?.rev || 0,
+            title: last['System.Title'] || first['System.Title'] || '',
+            workItemType: last['System.WorkItemType'] || first['System.WorkItemType'] || '',
+            createdDate: first['System.CreatedDate'] ? new Date(first['System.CreatedDate']) : timeline[0]?.date || null,
+            currentState: previousState,
+            currentCategory: previousCategory,
+            timeline,
+            ...this.calculateFlowMetrics(timeline, first['System.CreatedDate'])
+        };
+    }
+
+    isBlocked(fields) {
+        if (this.fieldMapping.getValue(fields, 'blocked') === 'Yes') {
+            return true;
+        }
+
+        const tags = (fields['System.Tags'] || '').split(';').map(tag => tag.trim().toLowerCase());
+        return tags.includes('blocked');
+    }
+
+    calculateFlowMetrics(timeline, createdDate) {
+        const stateChanges = timeline.filter(event => event.type === 'entered' || event.type === 'reopened');
+        const created = createdDate ? new Date(createdDate) : stateChanges[0]?.date;
+        const now = new Date();
+
+        const firstActive = stateChanges.find(event => event.category === 'active' || event.category === 'review');
+        const lastCompleted = [...stateChanges].reverse().find(event => event.category === 'completed');
+        const isCompleted = stateChanges.length > 0 && stateChanges[stateChanges.length - 1].category === 'completed';
+
+        // Time spent in each state, with the current state running until now
+        const timeInState = {};
+        stateChanges.forEach((event, index) => {
+            const end = stateChanges[index + 1]?.date || (isCompleted ? event.date : now);
+            timeInState[event.state] = (timeInState[event.state] || 0) + this.daysBetween(event.date, end);
+        });
+
+        // Blocked periods
+        let blockedDays = 0;
+        let blockedSince = null;
+        timeline.forEach(event => {
+            if (event.type === 'blocked') {
+                blockedSince = event.date;
+            } else if (event.type === 'unblocked' && blockedSince) {
+                blockedDays += this.daysBetween(blockedSince, event.date);
+                blockedSince = null;
+            }
+        });
+        if (blockedSince) {
+            blockedDays += this.daysBetween(blockedSince, now);
+        }
+
+        return {
+            activatedDate: firstActive?.date || null,
+            completedDate: isCompleted ? lastCompleted.date : null,
+            leadTime: isCompleted && created ? this.daysBetween(created, lastCompleted.date) : null,
+            cycleTime: isCompleted && firstActive ? this.daysBetween(firstActive.date, lastCompleted.date) : null,
+            timeInState,
+            reopenCount: timeline.filter(event => event.type === 'reopened').length,
+            blockedCount: timeline.filter(event => event.type === 'blocked').length,
+            blockedDays,
+            isBlocked: blockedSince !== null
+        };
+    }
+
+    summarizeHistories(histories) {
+        const completed = histories.filter(h => h.completedDate);
+        const leadTimes = completed.map(h => h.leadTime).filter(value => value !== null);
+        const cycleTimes = completed.map(h => h.cycleTime).filter(value => value !== null);
+
+        const timeInState = {};
+        histories.forEach(history => {
+            Object.entries(history.timeInState).forEach(([state, days]) => {
+                if (!timeInState[state]) {
+                    timeInState[state] = { total: 0, items: 0 };
+                }
+                timeInState[state].total += days;
+                timeInState[state].items++;
+            });
+        });
+
+        const averageTimeInState = {};
+        Object.entries(timeInState).forEach(([state, totals]) => {
+            averageTimeInState[state] = this.round(totals.total / totals.items);
+        });
+
+        const reopenedItems = histories.filter(h => h.reopenCount > 0);
+
+        return {
+            itemCount: histories.length,
+            completedCount: completed.length,
+            leadTime: this.describe(leadTimes),
+            cycleTime: this.describe(cycleTimes),
+            averageTimeInState,
+            totalReopens: histories.reduce((sum, h) => sum + h.reopenCount, 0),
+            reopenRate: histories.length > 0 ? reopenedItems.length / histories.length : 0,
+            reopenedItems: reopenedItems.map(h => ({ id: h.id, title: h.title, reopenCount: h.reopenCount })),
+            blockedItems: histories.filter(h => h.isBlocked).map(h => ({ id: h.id, title: h.title, blockedDays: this.round(h.blockedDays) })),
+            histories
+        };
+    }
+
+    describe(values) {
+        if (values.length === 0) {
+            return { average: 0, median: 0, p85: 0, samples: 0 };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+
+        return {
+            average: this.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+            median: this.round(percentile(0.5)),
+            p85: this.round(percentile(0.85)),
+            samples: sorted.length
+        };
+    }
+
+    daysBetween(start, end) {
+        return Math.max(0, (new Date(end) - new Date(start)) / (1000 * 60 * 60 * 24));
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    clearCache() {
+        this.histories.clear();
+    }
+}
+
+// Global instance
+window.workItemHistory = new WorkItemHistoryService();
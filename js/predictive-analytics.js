@@ -937,7 +937,7 @@ class RiskAssessmentEngine {
             defectTrend: this.analyzeDefectTrend(data.bugs),
             testCoverage: this.analyzeTestCoverage(data.tests),
             defectDensity: this.calculateDefectDensity(data.bugs, data.workItems),
-            reworkRate: this.calculateReworkRate(data.workItems)
+            reworkRate: this.calculateReworkRate(data.workItems, data.flowMetrics)
         };
 
         const weights = { defectTrend: 0.35, testCoverage: 0.25, defectDensity: 0.25, reworkRate: 0.15 };
@@ -953,7 +953,7 @@ class RiskAssessmentEngine {
 
     assessResourceRisk(data) {
         const factors = {
-            teamUtilization: this.analyzeTeamUtilization(data.teamMembers),
+            teamUtilization: this.analyzeTeamUtilization(data.teamMembers, data.capacity),
             skillGaps: this.identifySkillGaps(data.workItems, data.teamMembers),
             turnoverRisk: this.assessTurnoverRisk(data.teamMembers),
             capacityVariance: this.calculateCapacityVariance(data.capacity)
@@ -1066,6 +1066,17 @@ class RiskAssessmentEngine {
         return (criticalRatio * 0.4 + blockedRatio * 0.4 + externalRatio * 0.2);
     }
 
+    assessIntegrationRisk(dependencies) {
+        if (!dependencies || dependencies.length === 0) return 0.1;
+
+        // Work handed across teams, sprints or projects is where integration slips
+        const crossTeamRatio = dependencies.filter(dep => dep.crossTeam).length / dependencies.length;
+        const crossSprintRatio = dependencies.filter(dep => dep.crossSprint).length / dependencies.length;
+        const externalRatio = dependencies.filter(dep => dep.external).length / dependencies.length;
+
+        return Math.min(1, crossTeamRatio * 0.4 + crossSprintRatio * 0.3 + externalRatio * 0.3);
+    }
+
     analyzeDefectTrend(bugData) {
         if (!bugData || bugData.length < 3) return 0.3;
         
@@ -1121,7 +1132,12 @@ class RiskAssessmentEngine {
         return Math.min(1, density / 0.5); // Normalize against 0.5 bugs per story point
     }
 
-    calculateReworkRate(workItemData) {
+    calculateReworkRate(workItemData, flowMetrics = null) {
+        // Reopen counts from revision history beat guessing from current state
+        if (flowMetrics && flowMetrics.itemCount > 0) {
+            return flowMetrics.reopenRate;
+        }
+
         if (!workItemData) return 0.3;
         
         const reworkItems = workItemData.filter(wi => 
@@ -1253,17 +1269,56 @@ class RiskAssessmentEngine {
                 confidence: risks.resource.confidence
             });
         }
-        
+
+        // Dependency warnings
+        const lateDependencies = (data.dependencies || []).filter(dep => dep.late);
+        if (lateDependencies.length > 0) {
+            warnings.push({
+                type: 'dependency',
+                severity: lateDependencies.some(dep => dep.status === 'blocked') ? 'high' : 'medium',
+                message: `${lateDependencies.length} dependencies are late`,
+                indicator: 'late_dependencies',
+                confidence: 0.9
+            });
+        }
+
         return warnings;
     }
 
+    /**
+     * Resource risk from assigned remaining work versus available capacity.
+     * Expects the sprint capacity structure from ADOClient.fetchSprintCapacity,
+     * with assignedWork filled in per member.
+     */
+    analyzeTeamUtilization(teamMembers, capacity = null) {
+        const members = (capacity?.members || teamMembers || [])
+            .filter(member => member.totalCapacity > 0 && member.assignedWork !== undefined);
+        if (members.length === 0) return 0.75;
+
+        const totalCapacity = members.reduce((sum, m) => sum + m.totalCapacity, 0);
+        const totalAssigned = members.reduce((sum, m) => sum + m.assignedWork, 0);
+        const overloadedShare = members.filter(m => m.assignedWork > m.totalCapacity).length / members.length;
+
+        // Risk grows with the share of overloaded members and with team load above 85%
+        return Math.min(1, overloadedShare * 0.6 + Math.max(0, totalAssigned / totalCapacity - 0.85) * 2);
+    }
+
+    calculateCapacityVariance(capacity) {
+        if (!capacity || !capacity.days || capacity.fullCapacity === 0) return 0.15;
+
+        // Lost availability plus day-to-day swings from days off
+        const workingDays = capacity.days.filter(day => day.isWorkingDay).map(day => day.capacity);
+        const mean = StatisticalUtils.mean(workingDays);
+        const variation = mean > 0 ? StatisticalUtils.standardDeviation(workingDays) / mean : 0;
+
+        return Math.min(1, (1 - capacity.availabilityRatio) + variation * 0.5);
+    }
+
     // Placeholder methods for missing implementations
     identifyScheduleTrends(data) { return { trend: 'stable', confidence: 0.5 }; }
     calculateQualityMetrics(data) { return { defectRate: 0.1, testEffectiveness: 0.8 }; }
-    analyzeTeamUtilization(teamMembers) { return 0.75; }
     identifySkillGaps(workItems, teamMembers) { return 0.2; }
     assessTurnoverRisk(teamMembers) { return 0.1; }
-    calculateCapacityVariance(capacity) { return 0.15; }
     calculateResourceMetrics(data) { return { utilization: 0.8, efficiency: 0.85 }; }
     analyzeScopeCreep(workItems) { return 0.15; }
     analyzeRequirementStability(workItems) { return 0.8; }
@@ -1272,7 +1327,6 @@ class RiskAssessmentEngine {
     assessTechnicalDebt(codeMetrics) { return 0.3; }
     analyzeComplexityTrend(workItems) { return 0.25; }
     assessPlatformRisk(environment) { return 0.2; }
-    assessIntegrationRisk(dependencies) { return 0.15; }
 }
 
 /**
@@ -1283,7 +1337,11 @@ class MonteCarloSimulator {
         this.random = Math.random;
     }
 
-    simulateSprintCompletion(velocityHistory, remainingWork, iterations = ANALYTICS_CONFIG.SIMULATION.MONTE_CARLO_ITERATIONS) {
+    /**
+     * @param {Object} [capacity] - Sprint capacity from ADOClient.fetchSprintCapacity; the
+     *   current sprint's velocity is scaled by its availability ratio
+     */
+    simulateSprintCompletion(velocityHistory, remainingWork, iterations = ANALYTICS_CONFIG.SIMULATION.MONTE_CARLO_ITERATIONS, capacity = null) {
         if (!velocityHistory || velocityHistory.length === 0) {
             return this.createSimulationResult([], 0, 0, 0);
         }
@@ -1298,7 +1356,8 @@ class MonteCarloSimulator {
             const simulatedCompletion = this.simulateSingleCompletion(
                 meanVelocity, 
                 stdVelocity, 
-                remainingWork
+                remainingWork,
+                capacity ? capacity.availabilityRatio : 1
             );
             completionTimes.push(simulatedCompletion);
         }
@@ -1306,7 +1365,7 @@ class MonteCarloSimulator {
         return this.analyzeSimulationResults(completionTimes);
     }
 
-    simulateSingleCompletion(meanVelocity, stdVelocity, remainingWork) {
+    simulateSingleCompletion(meanVelocity, stdVelocity, remainingWork, firstSprintAvailability = 1) {
         let work = remainingWork;
         let sprints = 0;
         const maxSprints = 52; // Safety limit
@@ -1314,7 +1373,8 @@ class MonteCarloSimulator {
         while (work > 0 && sprints < maxSprints) {
             // Generate velocity using normal distribution approximation
             const velocity = this.normalRandom(meanVelocity, stdVelocity);
-            work -= Math.max(0, velocity);
+            const availability = sprints === 0 ? firstSprintAvailability : 1;
+            work -= Math.max(0, velocity * availability);
             sprints++;
         }
         
@@ -1608,7 +1668,9 @@ class PredictiveAnalytics {
             if (includeSimulation) {
                 simulationResults = this.simulator.simulateSprintCompletion(
                     sprintData.velocity,
-                    sprintData.remainingWork
+                    sprintData.remainingWork,
+                    ANALYTICS_CONFIG.SIMULATION.MONTE_CARLO_ITERATIONS,
+                    sprintData.capacity
                 );
             }
 
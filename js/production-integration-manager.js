@@ -150,7 +150,7 @@ class ProductionIntegrationManager {
     }
 
     async initializeADOClient() {
-        this.ensureModuleLoaded('js/api/ado-client.js');
+        this.ensureModuleLoaded('js/api/ado-api.js');
         
         if (!window.ADOClient) {
             throw new Error('ADOClient class not found');
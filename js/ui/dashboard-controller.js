@@ -11,6 +11,8 @@ class DashboardController {
         this.isDataLoaded = false;
         this.dashboardData = {
             workItems: [],
+            flowMetrics: null,
+            pullRequestMetrics: null,
             testMetrics: null,
             teamMetrics: null,
             qualityMetrics: null
@@ -120,6 +122,20 @@ class DashboardController {
             const workItemsResults = await Promise.all(workItemsPromises);
             this.dashboardData.workItems = workItemsResults.flatMap(result => result.value || []);
 
+            // Load revision history so cycle time reflects real state transitions
+            if (window.workItemHistory) {
+                this.dashboardData.flowMetrics = await window.workItemHistory.analyzeWorkItems(this.dashboardData.workItems);
+            }
+
+            // Load pull request review activity
+            if (window.pullRequestMetrics) {
+                try {
+                    this.dashboardData.pullRequestMetrics = await window.pullRequestMetrics.calculateMetrics();
+                } catch (error) {
+                    console.warn('Failed to load pull request metrics:', error);
+                }
+            }
+
             // Load test metrics
             if (this.testMetricsEngine) {
                 this.dashboardData.testMetrics = this.testMetricsEngine.getComprehensiveTestMetrics();
@@ -160,15 +176,15 @@ class DashboardController {
             );
 
             const stories = resourceWorkItems.filter(wi => 
-                wi.fields?.['System.WorkItemType'] === 'User Story'
+                window.fieldMapping.isType(wi.fields, 'story')
             );
             
             const tasks = resourceWorkItems.filter(wi => 
-                wi.fields?.['System.WorkItemType'] === 'Task'
+                window.fieldMapping.isType(wi.fields, 'task')
             );
             
             const bugs = resourceWorkItems.filter(wi => 
-                wi.fields?.['System.WorkItemType'] === 'Bug'
+                window.fieldMapping.isType(wi.fields, 'bug')
             );
 
             const completedStories = stories.filter(wi => 
@@ -176,7 +192,7 @@ class DashboardController {
             );
 
             const storyPoints = completedStories.reduce((total, story) => {
-                const points = story.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0;
+                const points = window.fieldMapping.getValue(story.fields, 'storyPoints') || 0;
                 return total + points;
             }, 0);
 
@@ -214,6 +230,12 @@ class DashboardController {
         if (completedItems.length === 0) return 0;
 
         const cycleTimes = completedItems.map(wi => {
+            const history = window.workItemHistory?.getCachedHistory(wi.id);
+            if (history && history.cycleTime !== null) {
+                return history.cycleTime;
+            }
+
+            // No revision history loaded - approximate from created/changed dates
             const created = new Date(wi.fields?.['System.CreatedDate']);
             const resolved = new Date(wi.fields?.['Microsoft.VSTS.Common.StateChangeDate'] || wi.fields?.['System.ChangedDate']);
             return Math.max(0, (resolved - created) / (1000 * 60 * 60 * 24)); // Days
@@ -224,11 +246,11 @@ class DashboardController {
 
     calculateQualityMetrics() {
         const bugs = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'Bug'
+            window.fieldMapping.isType(wi.fields, 'bug')
         );
 
         const stories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story'
+            window.fieldMapping.isType(wi.fields, 'story')
         );
 
         // Bug classification by environment
@@ -248,7 +270,8 @@ class DashboardController {
     }
 
     classifyBugsByEnvironment(bugs) {
-        const environments = ['Dev', 'QA', 'UAT', 'Production'];
+        const classifier = window.environmentClassifier;
+        const environments = [...classifier.getEnvironments(), 'Unknown'];
         const classification = {};
 
         environments.forEach(env => {
@@ -264,23 +287,13 @@ class DashboardController {
         });
 
         bugs.forEach(bug => {
-            // Determine environment from tags or area path
-            let environment = 'QA'; // Default
-            const tags = bug.fields?.['System.Tags'] || '';
-            const areaPath = bug.fields?.['System.AreaPath'] || '';
-            
-            if (tags.toLowerCase().includes('production') || areaPath.toLowerCase().includes('prod')) {
-                environment = 'Production';
-            } else if (tags.toLowerCase().includes('uat') || areaPath.toLowerCase().includes('uat')) {
-                environment = 'UAT';
-            } else if (tags.toLowerCase().includes('dev') || areaPath.toLowerCase().includes('dev')) {
-                environment = 'Dev';
-            }
+            // Environment field first, then area path/tag rules, then keywords
+            const { environment } = classifier.classify(bug.fields);
 
             if (classification[environment]) {
                 classification[environment].total++;
                 
-                const severity = bug.fields?.['Microsoft.VSTS.Common.Severity'] || 'Medium';
+                const severity = window.fieldMapping.getValue(bug.fields, 'severity') || 'Medium';
                 switch (severity.toLowerCase()) {
                     case 'critical':
                     case '1 - critical':
@@ -323,7 +336,7 @@ class DashboardController {
 
         severities.forEach(severity => {
             distribution[severity] = bugs.filter(bug => {
-                const bugSeverity = bug.fields?.['Microsoft.VSTS.Common.Severity'] || 'Medium';
+                const bugSeverity = window.fieldMapping.getValue(bug.fields, 'severity') || 'Medium';
                 return bugSeverity.toLowerCase().includes(severity.toLowerCase());
             }).length;
         });
@@ -396,11 +409,11 @@ class DashboardController {
         
         // Calculate executive metrics
         const totalStories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story'
+            window.fieldMapping.isType(wi.fields, 'story')
         ).length;
         
         const completedStories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story' &&
+            window.fieldMapping.isType(wi.fields, 'story') &&
             ['Resolved', 'Done', 'Completed', 'Closed'].includes(wi.fields?.['System.State'])
         ).length;
 
@@ -479,7 +492,7 @@ class DashboardController {
     renderSprintAnalytics() {
         const container = document.getElementById('sprintContent');
         const stories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story'
+            window.fieldMapping.isType(wi.fields, 'story')
         );
 
         container.innerHTML = `
@@ -567,6 +580,8 @@ class DashboardController {
                 </div>
             </div>
 
+            ${this.renderReviewBottlenecks(teamMetrics)}
+
             <div class="team-charts">
                 <div class="chart-section">
                     <h3>Velocity Contribution</h3>
@@ -681,7 +696,7 @@ class DashboardController {
                             <td class="story-title">${story.fields?.['System.Title'] || 'No Title'}</td>
                             <td class="state-${(story.fields?.['System.State'] || '').toLowerCase().replace(' ', '-')}">${story.fields?.['System.State'] || 'Unknown'}</td>
                             <td>${story.fields?.['System.AssignedTo']?.displayName || 'Unassigned'}</td>
-                            <td class="text-center">${story.fields?.['Microsoft.VSTS.Scheduling.StoryPoints'] || 0}</td>
+                            <td class="text-center">${window.fieldMapping.getValue(story.fields, 'storyPoints') || 0}</td>
                             <td class="text-center">${this.calculateWorkItemAge(story)}</td>
                         </tr>
                     `).join('')}
@@ -799,6 +814,59 @@ class DashboardController {
         `;
     }
 
+    renderReviewBottlenecks(teamMetrics) {
+        const prMetrics = this.dashboardData.pullRequestMetrics;
+        if (!prMetrics || !window.pullRequestMetrics) return '';
+
+        return `
+            <div class="review-overview">
+                <h3>Code Review Load</h3>
+                <p>
+                    ${prMetrics.throughput.completed} PRs merged •
+                    median first review ${prMetrics.timeToFirstReview.medianHours ?? '--'}h •
+                    median time to merge ${prMetrics.timeToMerge.medianHours ?? '--'}h •
+                    ${prMetrics.abandonedRate}% abandoned
+                </p>
+                <div class="team-cards">
+                    ${teamMetrics.map(member => this.renderReviewLoadCard(member)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderReviewLoadCard(memberData) {
+        const member = memberData.resource;
+        const stats = window.pullRequestMetrics.getMemberReviewStats(member);
+        if (!stats) return '';
+
+        return `
+            <div class="team-member-card ${stats.isBottleneck ? 'review-bottleneck' : ''}">
+                <div class="member-info">
+                    <h4>${member.displayName || member.name || member.uniqueName}</h4>
+                    <p>${stats.isBottleneck ? '⚠️ Review bottleneck' : 'Review load OK'}</p>
+                </div>
+                <div class="member-metrics">
+                    <div class="metric-row">
+                        <span>Reviews Assigned:</span>
+                        <span class="metric-value">${stats.assigned}</span>
+                    </div>
+                    <div class="metric-row">
+                        <span>Pending Reviews:</span>
+                        <span class="metric-value">${stats.pending}</span>
+                    </div>
+                    <div class="metric-row">
+                        <span>Avg First Review:</span>
+                        <span class="metric-value">${stats.averageFirstReviewHours ?? '--'} hours</span>
+                    </div>
+                    <div class="metric-row">
+                        <span>PRs Authored/Merged:</span>
+                        <span class="metric-value">${stats.authored}/${stats.merged}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     // Utility methods
     calculateWorkItemAge(workItem) {
         const created = new Date(workItem.fields?.['System.CreatedDate']);
@@ -831,21 +899,35 @@ class DashboardController {
     renderAutomationTrendsChart(trends) {
         if (!trends) return '<div class="chart-placeholder">No automation data available</div>';
         
+        // Automation percentage recorded for each sprint (see TestTrendHistory)
+        const sprints = trends.bySprint || [];
+        const history = sprints.length > 0 ? `
+            <div class="automation-history">
+                ${sprints.map(entry => `
+                    <div class="stat-item">
+                        <span class="stat-label">${entry.sprint}:</span>
+                        <span class="stat-value">${entry.automationPercentage}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '<p class="metric-subtext">Sprint history builds up as test data is loaded each sprint</p>';
+
         return `
             <div class="automation-stats">
                 <div class="stat-item">
                     <span class="stat-label">Automated:</span>
-                    <span class="stat-value">${trends.automated.percentage}%</span>
+                    <span class="stat-value">${trends.automated.percentage}% (${trends.automated.count})</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Manual:</span>
-                    <span class="stat-value">${trends.manual.percentage}%</span>
+                    <span class="stat-value">${trends.manual.percentage}% (${trends.manual.count})</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Semi-Automated:</span>
-                    <span class="stat-value">${trends.semiAutomated.percentage}%</span>
+                    <span class="stat-value">${trends.semiAutomated.percentage}% (${trends.semiAutomated.count})</span>
                 </div>
             </div>
+            ${history}
         `;
     }
 
@@ -864,7 +946,7 @@ class DashboardController {
 
     renderKeyDeliverables() {
         const completedStories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story' &&
+            window.fieldMapping.isType(wi.fields, 'story') &&
             ['Resolved', 'Done', 'Completed', 'Closed'].includes(wi.fields?.['System.State'])
         );
 
@@ -879,7 +961,7 @@ class DashboardController {
     // AI Insights generation
     generateBusinessValueInsights() {
         const stories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story'
+            window.fieldMapping.isType(wi.fields, 'story')
         );
         
         const businessKeywords = ['revenue', 'customer', 'user experience', 'efficiency', 'cost', 'roi'];
@@ -922,11 +1004,11 @@ class DashboardController {
 
     generateSprintSummary() {
         const totalStories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story'
+            window.fieldMapping.isType(wi.fields, 'story')
         ).length;
         
         const completedStories = this.dashboardData.workItems.filter(wi => 
-            wi.fields?.['System.WorkItemType'] === 'User Story' &&
+            window.fieldMapping.isType(wi.fields, 'story') &&
             ['Resolved', 'Done', 'Completed', 'Closed'].includes(wi.fields?.['System.State'])
         ).length;
 
@@ -0,0 +1,717 @@
+/**
+ * ADO Metrics Command Center - Local Azure DevOps Mock Server
+ * Serves the subset of the Azure DevOps REST API the dashboard uses, for
+ * offline development and demos. Uses only Node built-ins.
+ *
+ *   node mock/ado-mock-server.js [--port 8085] [--fixtures ado-fixtures.json]
+ *
+ * Then connect with any organization/project/PAT and set the Proxy URL to
+ * http://localhost:8085. Requests matching a recorded fixture (see
+ * ResponseFixtures in js/api/response-fixtures.js) are replayed; everything else is
+ * answered from a generated, deterministic data set.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { ResponseFixtures } = require('../js/api/response-fixtures.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== FIXTURES =====
+
+// Keyed exactly as the dashboard records them, request bodies redacted
+const fixtureKeys = new ResponseFixtures();
+function createFixtureKey(method, requestPath, body = null) {
+    return fixtureKeys.createKey(method, requestPath, fixtureKeys.redactBody(body));
+}
+
+function loadFixtures(file) {
+    const fixtures = new Map();
+    if (!file) return fixtures;
+
+    const document = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    (document.entries || []).forEach(entry => {
+        fixtures.set(createFixtureKey(entry.method, entry.path, entry.body), entry.response);
+    });
+
+    console.log(`📼 Loaded ${fixtures.size} recorded fixtures from ${file}`);
+    return fixtures;
+}
+
+// ===== GENERATED DATA SET =====
+
+// Small seeded PRNG so every run serves the same data
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Each project's work items get their own ID range, as IDs are unique per organization
+const WORK_ITEM_ID_RANGE = 100000;
+
+function createDataSet(project, idBase = 0) {
+    const random = createRandom(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const isoDate = time => new Date(time).toISOString();
+
+    const people = ['Alex Morgan', 'Sam Rivera', 'Jordan Lee', 'Taylor Kim', 'Casey Patel'].map((name, index) => ({
+        id: `00000000-0000-0000-0000-00000000000${index + 1}`,
+        displayName: name,
+        uniqueName: `${name.toLowerCase().replace(' ', '.')}@example.com`
+    }));
+
+    // Six two-week sprints, the last one in progress
+    const sprintLength = 14 * DAY_MS;
+    const currentStart = Date.now() - 5 * DAY_MS;
+    const iterations = Array.from({ length: 6 }, (_, index) => {
+        const start = currentStart - (5 - index) * sprintLength;
+        const finish = start + sprintLength - DAY_MS;
+        return {
+            id: `10000000-0000-0000-0000-00000000000${index + 1}`,
+            name: `Sprint ${index + 1}`,
+            path: `${project}\\Sprint ${index + 1}`,
+            attributes: {
+                startDate: isoDate(start),
+                finishDate: isoDate(finish),
+                timeFrame: index === 5 ? 'current' : 'past'
+            }
+        };
+    });
+
+    // Two teams, each owning an area under the project root
+    const areas = ['Web', 'Api'];
+
+    const workItems = [];
+    const addWorkItem = (type, iteration, fields) => {
+        const id = idBase + workItems.length + 1;
+        const created = new Date(iteration.attributes.startDate).getTime() - random() * 5 * DAY_MS;
+        workItems.push({
+            id,
+            rev: 1,
+            fields: {
+                'System.Id': id,
+                'System.TeamProject': project,
+                'System.WorkItemType': type,
+                'System.AreaPath': project,
+                'System.IterationPath': iteration.path,
+                'System.CreatedDate': isoDate(created),
+                'System.ChangedDate': isoDate(Math.min(Date.now(), created + random() * 12 * DAY_MS)),
+                'System.AssignedTo': pick(people),
+                'Microsoft.VSTS.Common.Priority': 1 + Math.floor(random() * 4),
+                ...fields
+            }
+        });
+    };
+
+    iterations.forEach((iteration, sprintIndex) => {
+        const isCurrent = iteration.attributes.timeFrame === 'current';
+        const doneState = () => (!isCurrent || random() < 0.4 ? 'Closed' : pick(['New', 'Active', 'Resolved']));
+
+        for (let i = 0; i < 8; i++) {
+            addWorkItem('User Story', iteration, {
+                'System.Title': `Story ${sprintIndex + 1}.${i + 1}`,
+                'System.AreaPath': `${project}\\${areas[i % areas.length]}`,
+                'System.State': doneState(),
+                'Microsoft.VSTS.Scheduling.StoryPoints': pick([1, 2, 3, 5, 8])
+            });
+        }
+        for (let i = 0; i < 10; i++) {
+            const remaining = Math.round(random() * 8);
+            addWorkItem('Task', iteration, {
+                'System.Title': `Task ${sprintIndex + 1}.${i + 1}`,
+                'System.State': doneState(),
+                'Microsoft.VSTS.Scheduling.OriginalEstimate': remaining + 4,
+                'Microsoft.VSTS.Scheduling.RemainingWork': remaining,
+                'Microsoft.VSTS.Scheduling.CompletedWork': 4
+            });
+        }
+        for (let i = 0; i < 4; i++) {
+            const environment = pick(['production', 'staging', 'qa', 'dev']);
+            addWorkItem('Bug', iteration, {
+                'System.Title': `Bug ${sprintIndex + 1}.${i + 1} found in ${environment}`,
+                'System.State': doneState(),
+                'System.Tags': environment,
+                'Microsoft.VSTS.Common.Severity': pick(['1 - Critical', '2 - High', '3 - Medium', '4 - Low'])
+            });
+        }
+    });
+
+    // The last two automated test cases point at tests the pipeline no longer runs
+    for (let i = 0; i < 30; i++) {
+        const tags = pick(['smoke', 'regression', 'integration', 'e2e']);
+        const automated = random() < 0.6;
+        addWorkItem('Test Case', iterations[iterations.length - 1], {
+            'System.Title': `Test case ${i + 1}`,
+            'System.State': 'Ready',
+            'System.Tags': tags,
+            'Microsoft.VSTS.TCM.AutomationStatus': automated ? 'Automated' : 'Not Automated',
+            ...(automated ? { 'Microsoft.VSTS.TCM.AutomatedTestName': `Demo.Tests.${i >= 28 ? 'Legacy.' : ''}Testcase${i + 1}` } : {})
+        });
+    }
+
+    // Epic > Feature > Story > Bug hierarchy, and test cases linked to the stories they test
+    const link = (source, target, rel, reverseRel) => {
+        const url = id => `https://dev.azure.com/mock/_apis/wit/workItems/${id}`;
+        source.relations = [...(source.relations || []), { rel, url: url(target.id), attributes: {} }];
+        target.relations = [...(target.relations || []), { rel: reverseRel, url: url(source.id), attributes: {} }];
+    };
+    const ofType = type => workItems.filter(item => item.fields['System.WorkItemType'] === type);
+    const stories = ofType('User Story');
+    const bugs = ofType('Bug');
+    const testCases = ofType('Test Case');
+
+    const epics = [1, 2].map(index => {
+        addWorkItem('Epic', iterations[0], { 'System.Title': `Epic ${index}`, 'System.State': 'Active' });
+        return workItems[workItems.length - 1];
+    });
+    const features = [1, 2, 3, 4].map(index => {
+        addWorkItem('Feature', iterations[0], {
+            'System.Title': `Feature ${index}`,
+            'System.State': index === 1 ? 'Closed' : 'Active'
+        });
+        const feature = workItems[workItems.length - 1];
+        link(epics[(index - 1) % 2], feature, 'System.LinkTypes.Hierarchy-Forward', 'System.LinkTypes.Hierarchy-Reverse');
+        return feature;
+    });
+
+    stories.forEach((story, index) => {
+        link(features[index % features.length], story, 'System.LinkTypes.Hierarchy-Forward', 'System.LinkTypes.Hierarchy-Reverse');
+    });
+    bugs.forEach((bug, index) => {
+        link(stories[(index * 3) % stories.length], bug, 'System.LinkTypes.Hierarchy-Forward', 'System.LinkTypes.Hierarchy-Reverse');
+    });
+    testCases.forEach((testCase, index) => {
+        link(stories[index % stories.length], testCase, 'Microsoft.VSTS.Common.TestedBy-Forward', 'Microsoft.VSTS.Common.TestedBy-Reverse');
+    });
+    // Bugs filed from test runs are linked to the failing test case
+    bugs.slice(0, 4).forEach((bug, index) => {
+        link(testCases[index * 2], bug, 'System.LinkTypes.Related', 'System.LinkTypes.Related');
+    });
+
+    // Cross-team dependencies on the previous sprint, one scheduled too late, and a related pair
+    const perSprint = stories.length / iterations.length;
+    for (let sprint = 1; sprint < iterations.length; sprint++) {
+        link(stories[(sprint - 1) * perSprint + 1], stories[sprint * perSprint], 'System.LinkTypes.Dependency-Forward', 'System.LinkTypes.Dependency-Reverse');
+    }
+    link(stories[stories.length - 5], stories[stories.length - perSprint - 6], 'System.LinkTypes.Dependency-Forward', 'System.LinkTypes.Dependency-Reverse');
+    link(stories[0], stories[perSprint * 2 + 4], 'System.LinkTypes.Related', 'System.LinkTypes.Related');
+
+    const testPlans = [1, 2].map(id => ({
+        id,
+        name: id === 1 ? 'Regression' : 'Release Validation',
+        state: 'Active',
+        startDate: iterations[0].attributes.startDate,
+        endDate: iterations[iterations.length - 1].attributes.finishDate,
+        revision: 1,
+        rootSuite: { id: id * 100 }
+    }));
+
+    // Every build is run twice, so tests that flip between the two runs show up as flaky
+    const pipelineTests = workItems.filter(item => item.fields['System.WorkItemType'] === 'Test Case' &&
+        !(item.fields['Microsoft.VSTS.TCM.AutomatedTestName'] || '').includes('.Legacy.')).length;
+    const testRuns = Array.from({ length: 20 }, (_, index) => {
+        const total = pipelineTests;
+        const passed = Math.round(total * (0.75 + random() * 0.25));
+        const completed = Date.now() - (20 - index) * 1.5 * DAY_MS;
+        const buildId = 500 + Math.floor(index / 2);
+        return {
+            id: index + 1,
+            name: `Nightly run ${index + 1}`,
+            state: 'Completed',
+            isAutomated: true,
+            startedDate: isoDate(completed - 30 * 60 * 1000),
+            completedDate: isoDate(completed),
+            totalTests: total,
+            passedTests: passed,
+            unanalyzedTests: total - passed,
+            plan: { id: String(testPlans[index % 2].id) },
+            build: { id: String(buildId), name: `20240101.${buildId}` },
+            buildConfiguration: { id: buildId, number: `20240101.${buildId}`, sourceVersion: `${buildId}`.padStart(40, 'a') }
+        };
+    });
+
+    // Each build's second run finishes it
+    const builds = testRuns.filter((run, index) => index % 2 === 1).map(run => ({
+        id: Number(run.build.id),
+        buildNumber: run.build.name,
+        status: 'completed',
+        result: run.passedTests === run.totalTests ? 'succeeded' : 'partiallySucceeded',
+        definition: { id: 1, name: 'Nightly' },
+        queueTime: run.startedDate,
+        startTime: run.startedDate,
+        finishTime: run.completedDate,
+        sourceBranch: 'refs/heads/main',
+        sourceVersion: run.buildConfiguration.sourceVersion
+    }));
+
+    return {
+        areas,
+        project: {
+            id: '20000000-0000-0000-0000-000000000001',
+            name: project,
+            state: 'wellFormed',
+            visibility: 'private'
+        },
+        team: { id: '30000000-0000-0000-0000-000000000001', name: `${project} Team` },
+        people,
+        iterations,
+        workItems,
+        testPlans,
+        testRuns,
+        builds,
+        random
+    };
+}
+
+// ===== WIQL =====
+
+/**
+ * Evaluates the subset of WIQL the dashboard generates: AND/OR groups of
+ * =, <>, >, <, >=, <=, IN, NOT IN, UNDER and CONTAINS conditions.
+ * Conditions using macros (@Me, @Today...) are treated as matching.
+ */
+function runWiql(query, workItems, top = null) {
+    const whereMatch = query.match(/\bWHERE\b([\s\S]*?)(?:\bORDER BY\b([\s\S]*))?$/i);
+    const tokens = whereMatch ? tokenizeWhere(whereMatch[1]) : [];
+    let position = 0;
+
+    const parseOr = () => {
+        const terms = [parseAnd()];
+        while (tokens[position] === 'OR') {
+            position++;
+            terms.push(parseAnd());
+        }
+        return item => terms.some(term => term(item));
+    };
+    const parseAnd = () => {
+        const terms = [parseTerm()];
+        while (tokens[position] === 'AND') {
+            position++;
+            terms.push(parseTerm());
+        }
+        return item => terms.every(term => term(item));
+    };
+    const parseTerm = () => {
+        const token = tokens[position++];
+        if (token === '(') {
+            const group = parseOr();
+            position++; // ')'
+            return group;
+        }
+        return item => evaluateCondition(token, item);
+    };
+
+    const predicate = tokens.length > 0 ? parseOr() : () => true;
+    let matches = workItems.filter(predicate);
+
+    const order = whereMatch?.[2]?.match(/\[([\w.]+)\]\s*(ASC|DESC)?/i);
+    if (order) {
+        const [, field, direction = 'ASC'] = order;
+        const sign = direction.toUpperCase() === 'DESC' ? -1 : 1;
+        matches = matches.sort((a, b) => (a.fields[field] > b.fields[field] ? 1 : -1) * sign);
+    }
+
+    return top ? matches.slice(0, top) : matches;
+}
+
+function tokenizeWhere(where) {
+    const pattern = /\(\s*(?=\[)|\(\s*\(|\)|\bAND\b|\bOR\b|\[[\w.]+\]\s*(?:NOT IN|IN|UNDER|CONTAINS|<>|>=|<=|=|>|<)\s*(?:\((?:'(?:[^']|'')*'|[^)'])*\)|'(?:[^']|'')*'|@\w+(?:\s*[-+]\s*\d+)?|[\d.]+)/gi;
+    return (where.match(pattern) || []).map(token => {
+        const trimmed = token.trim();
+        if (trimmed.startsWith('(') && trimmed.length > 1) return '(';
+        return /^(AND|OR)$/i.test(trimmed) ? trimmed.toUpperCase() : trimmed;
+    });
+}
+
+function evaluateCondition(condition, item) {
+    const match = condition.match(/^\[([\w.]+)\]\s*(NOT IN|IN|UNDER|CONTAINS|<>|>=|<=|=|>|<)\s*([\s\S]+)$/i);
+    if (!match) return true;
+
+    const [, field, rawOperator, rawValue] = match;
+    if (rawValue.startsWith('@')) return true;
+
+    const operator = rawOperator.toUpperCase();
+    const parseLiteral = literal => (literal.startsWith("'") ? literal.slice(1, -1).replace(/''/g, "'") : Number(literal));
+    const values = operator.endsWith('IN')
+        ? (rawValue.slice(1, -1).match(/'(?:[^']|'')*'|[\d.]+/g) || []).map(parseLiteral)
+        : [parseLiteral(rawValue)];
+
+    let actual = item.fields[field];
+    if (actual && typeof actual === 'object') {
+        actual = [actual.uniqueName, actual.displayName];
+    }
+    const candidates = [].concat(actual ?? '');
+    const equals = value => candidates.some(candidate => String(candidate).toLowerCase() === String(value).toLowerCase());
+    const compare = value => {
+        const left = candidates[0];
+        return typeof value === 'number' ? Number(left) - value : new Date(left) - new Date(value);
+    };
+
+    switch (operator) {
+        case '=': return equals(values[0]);
+        case '<>': return !equals(values[0]);
+        case 'IN': return values.some(equals);
+        case 'NOT IN': return !values.some(equals);
+        case '>': return compare(values[0]) > 0;
+        case '<': return compare(values[0]) < 0;
+        case '>=': return compare(values[0]) >= 0;
+        case '<=': return compare(values[0]) <= 0;
+        case 'UNDER': return candidates.some(candidate =>
+            String(candidate).toLowerCase() === String(values[0]).toLowerCase() ||
+            String(candidate).toLowerCase().startsWith(`${String(values[0]).toLowerCase()}\\`));
+        case 'CONTAINS': return candidates.some(candidate =>
+            String(candidate).toLowerCase().includes(String(values[0]).toLowerCase()));
+        default: return true;
+    }
+}
+
+// ===== ROUTES =====
+
+const TEST_CONFIGURATIONS = [
+    { id: 1, name: 'Chrome on Windows' },
+    { id: 2, name: 'Firefox on macOS' }
+];
+
+// Each plan's Smoke and Regression suites hold a quarter of the test cases
+function suiteTestCases(data, suiteId) {
+    const testCases = data.workItems.filter(item => item.fields['System.WorkItemType'] === 'Test Case');
+    const slot = (Math.floor(suiteId / 100) - 1) * 2 + (suiteId % 100);
+    return testCases.filter((testCase, index) => index % 4 === slot);
+}
+
+function createRoutes(getDataSet) {
+    const byIds = (data, ids) => ids
+        .map(id => data.workItems.find(item => item.id === Number(id)))
+        .filter(Boolean);
+
+    // Paths are relative to the organization segment
+    return [
+        ['GET', /^\/_apis\/projects\/([^/]+)$/, (data) => data.project],
+        ['GET', /^\/_apis\/projects\/([^/]+)\/teams$/, (data) => ({ count: 1, value: [data.team] })],
+        ['GET', /^\/_apis\/projects\/([^/]+)\/teams\/([^/]+)\/members$/, (data) => ({
+            count: data.people.length,
+            value: data.people.map(identity => ({ identity }))
+        })],
+        ['POST', /^\/([^/]+)\/_apis\/wit\/wiql$/, (data, request) => {
+            const matches = runWiql(request.body?.query || '', data.workItems, Number(request.query.get('$top')) || null);
+            return {
+                queryType: 'flat',
+                asOf: new Date().toISOString(),
+                workItems: matches.map(item => ({ id: item.id, url: `${request.baseUrl}/_apis/wit/workItems/${item.id}` }))
+            };
+        }],
+        ['GET', /^\/_apis\/wit\/workitems$/, (data, request) => {
+            const items = byIds(data, (request.query.get('ids') || '').split(',').filter(Boolean));
+            return { count: items.length, value: items };
+        }],
+        ['POST', /^\/_apis\/wit\/workitemsbatch$/, (data, request) => {
+            const items = byIds(data, request.body?.ids || []);
+            return { count: items.length, value: items };
+        }],
+        ['GET', /^\/([^/]+)(?:\/[^/]+)?\/_apis\/work\/teamsettings\/iterations$/, (data, request) => {
+            const timeframe = request.query.get('$timeframe') || request.query.get('timeframe');
+            const value = data.iterations.filter(iteration => !timeframe || iteration.attributes.timeFrame === timeframe);
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)(?:\/[^/]+)?\/_apis\/work\/teamsettings\/iterations\/([^/]+)\/workitems$/, (data, request, match) => {
+            const iteration = data.iterations.find(it => it.id === match[2]);
+            const items = data.workItems.filter(item => iteration && item.fields['System.IterationPath'] === iteration.path);
+            return { workItemRelations: items.map(item => ({ rel: null, source: null, target: { id: item.id } })) };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/wit\/classificationnodes\/areas$/, (data) => ({
+            id: 1,
+            name: data.project.name,
+            structureType: 'area',
+            hasChildren: true,
+            children: data.areas.map((name, index) => ({ id: index + 2, name, structureType: 'area', hasChildren: false }))
+        })],
+        ['GET', /^\/([^/]+)\/_apis\/wit\/classificationnodes\/iterations$/, (data) => ({
+            id: 100,
+            name: data.project.name,
+            structureType: 'iteration',
+            hasChildren: true,
+            children: data.iterations.map((iteration, index) => ({
+                id: 101 + index,
+                identifier: iteration.id,
+                name: iteration.name,
+                structureType: 'iteration',
+                hasChildren: false,
+                attributes: { startDate: iteration.attributes.startDate, finishDate: iteration.attributes.finishDate }
+            }))
+        })],
+        ['GET', /^\/([^/]+)\/_apis\/testplan\/plans$/, (data) => ({ count: data.testPlans.length, value: data.testPlans })],
+        ['GET', /^\/([^/]+)\/_apis\/testplan\/plans\/(\d+)\/suites$/, (data, request, match) => {
+            const planId = Number(match[2]);
+            const value = [0, 1].map(index => ({
+                id: planId * 100 + index,
+                name: index === 0 ? 'Smoke' : 'Regression',
+                plan: { id: planId },
+                suiteType: 'staticTestSuite'
+            }));
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/testplan\/plans\/(\d+)\/suites\/(\d+)\/testcase$/, (data, request, match) => {
+            const value = suiteTestCases(data, Number(match[3])).map(testCase => ({
+                workItem: { id: testCase.id, name: testCase.fields['System.Title'] },
+                pointAssignments: TEST_CONFIGURATIONS.map(configuration => ({
+                    configurationId: configuration.id,
+                    configurationName: configuration.name,
+                    tester: testCase.fields['System.AssignedTo']
+                }))
+            }));
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/testplan\/plans\/(\d+)\/suites\/(\d+)\/testpoint$/, (data, request, match) => {
+            const plan = data.testPlans.find(p => p.id === Number(match[2]));
+            const suiteId = Number(match[3]);
+            if (!plan) return null;
+
+            // Deterministic outcome per test case and configuration, weighted toward passing
+            const outcomes = ['passed', 'passed', 'passed', 'passed', 'passed', 'failed', 'blocked', 'unspecified', 'passed', 'notApplicable'];
+            const value = suiteTestCases(data, suiteId).flatMap(testCase => TEST_CONFIGURATIONS.map(configuration => {
+                const outcome = outcomes[(testCase.id + configuration.id * 3) % outcomes.length];
+                const lastRun = data.testRuns[(testCase.id + configuration.id) % data.testRuns.length];
+                return {
+                    id: testCase.id * 10 + configuration.id,
+                    testPlan: { id: plan.id, name: plan.name },
+                    testSuite: { id: suiteId, name: suiteId % 100 === 0 ? 'Smoke' : 'Regression' },
+                    testCaseReference: { id: testCase.id, name: testCase.fields['System.Title'] },
+                    configuration: { id: configuration.id, name: configuration.name },
+                    tester: testCase.fields['System.AssignedTo'],
+                    isActive: true,
+                    isAutomated: false,
+                    results: outcome === 'unspecified'
+                        ? { outcome, state: 'ready' }
+                        : {
+                            outcome,
+                            state: 'completed',
+                            lastTestRunId: lastRun.id,
+                            lastResultDetails: { dateCompleted: lastRun.completedDate, runBy: testCase.fields['System.AssignedTo'] }
+                        }
+                };
+            }));
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/test\/runs$/, (data, request) => {
+            const top = Number(request.query.get('$top')) || data.testRuns.length;
+            const value = data.testRuns.slice(-top);
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/test\/runs\/(\d+)\/results$/, (data, request, match) => {
+            const run = data.testRuns.find(r => r.id === Number(match[2]));
+            if (!run) return null;
+
+            // Legacy automated tests are no longer part of the pipeline
+            const testCases = data.workItems.filter(item => item.fields['System.WorkItemType'] === 'Test Case' &&
+                !(item.fields['Microsoft.VSTS.TCM.AutomatedTestName'] || '').includes('.Legacy.'));
+            const outcomes = (request.query.get('outcomes') || '').toLowerCase().split(',').filter(Boolean);
+            const skip = Number(request.query.get('$skip')) || 0;
+            const top = Number(request.query.get('$top')) || run.totalTests;
+            // A few recurring root causes with run-specific details in the message
+            const failures = [
+                (index) => ({
+                    errorMessage: `System.TimeoutException: The operation timed out after ${3000 + index * 17} ms waiting for '#checkout-${index}'`,
+                    stackTrace: 'at Demo.Tests.Pages.CheckoutPage.WaitForReady() in C:\\src\\Pages\\CheckoutPage.cs:line 88\nat Demo.Tests.CheckoutTests.Run()'
+                }),
+                (index) => ({
+                    errorMessage: `Assert.AreEqual failed. Expected:<${index}>. Actual:<${index + 1}>.`,
+                    stackTrace: `at Demo.Tests.CartTests.Totals() in C:\\src\\CartTests.cs:line ${40 + index}`
+                }),
+                () => ({
+                    errorMessage: `HttpRequestException: Response status code does not indicate success: 503 (Service Unavailable) for request ${'0123abcd-0000-4000-8000-' + String(run.id).padStart(12, '0')}`,
+                    stackTrace: 'at Demo.Tests.Api.ApiClient.SendAsync(HttpRequestMessage request)\nat Demo.Tests.OrderApiTests.Create()'
+                })
+            ];
+            // Results only reference test cases associated with the automated test
+            const value = testCases.slice(0, run.totalTests).map((testCase, index) => ({
+                id: index + 1,
+                testCase: testCase.fields['Microsoft.VSTS.TCM.AutomationStatus'] === 'Automated'
+                    ? { id: String(testCase.id), name: testCase.fields['System.Title'] }
+                    : undefined,
+                testCaseTitle: testCase.fields['System.Title'],
+                automatedTestName: testCase.fields['Microsoft.VSTS.TCM.AutomatedTestName'] ||
+                    `Demo.Tests.${testCase.fields['System.Title'].replace(/[^A-Za-z0-9]+/g, '')}`,
+                automatedTestStorage: 'Demo.Tests.dll',
+                outcome: index < run.passedTests ? 'Passed' : 'Failed',
+                durationInMs: 500 + Math.round(data.random() * 5000),
+                startedDate: run.startedDate,
+                completedDate: run.completedDate,
+                build: run.build,
+                testRun: { id: String(run.id) },
+                ...(index < run.passedTests ? {} : failures[index % failures.length](index))
+            }))
+                .filter(result => outcomes.length === 0 || outcomes.includes(result.outcome.toLowerCase()))
+                .slice(skip, skip + top);
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/build\/builds$/, (data, request) => {
+            const minTime = request.query.get('minTime');
+            const top = Number(request.query.get('$top')) || data.builds.length;
+            const value = data.builds
+                .filter(build => !minTime || new Date(build.finishTime) >= new Date(minTime))
+                .sort((a, b) => new Date(b.finishTime) - new Date(a.finishTime))
+                .slice(0, top);
+            return { count: value.length, value };
+        }],
+        ['GET', /^\/([^/]+)\/_apis\/build\/builds\/(\d+)\/timeline$/, () => ({ records: [] })],
+        // Coverage creeps up build over build; the summary and module views share one model
+        ['GET', /^\/([^/]+)\/_apis\/test\/codecoverage$/, (data, request) => {
+            const build = data.builds.find(b => b.id === Number(request.query.get('buildId')));
+            if (!build) return null;
+
+            const step = build.id - data.builds[0].id;
+            const modules = [
+                { name: 'demo.web.dll', lines: 1200, lineRate: 0.55 + step * 0.02, branches: 400, branchRate: 0.4 + step * 0.02 },
+                { name: 'demo.api.dll', lines: 800, lineRate: 0.7 + step * 0.01, branches: 240, branchRate: 0.6 + step * 0.01 }
+            ].map(module => ({
+                ...module,
+                linesCovered: Math.round(module.lines * module.lineRate),
+                branchesCovered: Math.round(module.branches * module.branchRate)
+            }));
+
+            if (request.query.get('flags')) {
+                return {
+                    count: 1,
+                    value: [{
+                        configuration: { flavor: 'Release', platform: 'Any CPU' },
+                        state: 'Completed',
+                        modules: modules.map(module => ({
+                            name: module.name,
+                            statistics: {
+                                linesCovered: module.linesCovered,
+                                linesPartiallyCovered: 0,
+                                linesNotCovered: module.lines - module.linesCovered,
+                                blocksCovered: module.linesCovered,
+                                blocksNotCovered: module.lines - module.linesCovered
+                            }
+                        }))
+                    }]
+                };
+            }
+
+            const total = key => modules.reduce((sum, module) => sum + module[key], 0);
+            return {
+                build: { id: String(build.id) },
+                coverageData: [{
+                    buildFlavor: 'Release',
+                    buildPlatform: 'Any CPU',
+                    coverageStats: [
+                        { label: 'Lines', position: 4, total: total('lines'), covered: total('linesCovered'), isDeltaAvailable: false, delta: 0 },
+                        { label: 'Branches', position: 6, total: total('branches'), covered: total('branchesCovered'), isDeltaAvailable: false, delta: 0 }
+                    ]
+                }]
+            };
+        }]
+    ];
+}
+
+// ===== SERVER =====
+
+function parseArguments(argv) {
+    const options = { port: 8085, fixtures: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        if (argv[i] === '--fixtures') options.fixtures = argv[++i];
+    }
+    return options;
+}
+
+function startServer(options) {
+    const fixtures = loadFixtures(options.fixtures);
+    const dataSets = new Map();
+    const getDataSet = project => {
+        if (!dataSets.has(project)) dataSets.set(project, createDataSet(project, dataSets.size * WORK_ITEM_ID_RANGE));
+        return dataSets.get(project);
+    };
+    // Organization-level work item reads name no project; serve them from the
+    // project that owns the requested IDs
+    const getDataSetForIds = ids => {
+        const owner = Array.from(dataSets.values()).find(data =>
+            ids.some(id => data.workItems.some(item => item.id === Number(id))));
+        return owner || getDataSet('Demo');
+    };
+    const routes = createRoutes(getDataSet);
+
+    const server = http.createServer((req, res) => {
+        const send = (status, payload) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Access-Control-Allow-Origin': req.headers.origin || '*',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+                'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+                'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Delay'
+            });
+            res.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (req.method === 'OPTIONS') {
+            send(204);
+            return;
+        }
+
+        let rawBody = '';
+        req.on('data', chunk => { rawBody += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const [, organization, ...rest] = url.pathname.split('/');
+            const relativePath = `/${rest.map(decodeURIComponent).join('/')}`;
+            const fixtureKey = createFixtureKey(req.method, `/${rest.join('/')}${url.search}`, rawBody || null);
+
+            console.log(`${req.method} /${organization}${relativePath}`);
+
+            if (fixtures.has(fixtureKey)) {
+                send(200, fixtures.get(fixtureKey));
+                return;
+            }
+
+            const route = routes.find(([method, pattern]) =>
+                method === req.method && pattern.test(relativePath.toLowerCase()));
+            if (!route) {
+                send(404, { message: `Mock server does not implement ${req.method} ${relativePath}` });
+                return;
+            }
+
+            const match = relativePath.match(new RegExp(route[1].source, 'i'));
+            let body = null;
+            try {
+                body = rawBody ? JSON.parse(rawBody) : null;
+            } catch (error) {
+                send(400, { message: 'Request body is not valid JSON' });
+                return;
+            }
+
+            const data = match[1]
+                ? getDataSet(decodeURIComponent(match[1]))
+                : getDataSetForIds((url.searchParams.get('ids') || '').split(',').concat(body?.ids || []).filter(Boolean));
+            const result = route[2](data, {
+                body,
+                query: url.searchParams,
+                baseUrl: `http://${req.headers.host}/${organization}`
+            }, match);
+
+            if (result === null) {
+                send(404, { message: 'Not found' });
+            } else {
+                send(200, result);
+            }
+        });
+    });
+
+    server.listen(options.port, () => {
+        console.log(`🧪 ADO mock server listening on http://localhost:${options.port}`);
+        console.log('   Use it as the Proxy URL in the connection settings (any organization, project and PAT)');
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    startServer(parseArguments(process.argv.slice(2)));
+}
+
+module.exports = { startServer, createDataSet, runWiql, createFixtureKey };